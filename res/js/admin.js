@@ -3,6 +3,8 @@ let playlist = [];
 let mainVideoIndex = -1;
 let skipSeconds = 5;
 let skipIntroSeconds = 90;
+let imageDuration = 10;
+let imageTransition = 'none';
 const thumbnailCache = {}; // Cache for loaded thumbnails
 
 // DOM Cache for performance
@@ -279,6 +281,9 @@ socket.on('config', (cfg) => {
   skipSeconds = cfg.skipSeconds || 5;
   skipIntroSeconds = cfg.skipIntroSeconds || 90;
   document.getElementById('skip-intro-text').textContent = skipIntroSeconds + 's';
+  if (typeof cfg.imageDuration === 'number') imageDuration = cfg.imageDuration;
+  if (cfg.imageTransition) imageTransition = cfg.imageTransition;
+  document.getElementById('upload-btn').style.display = cfg.uploadsEnabled ? '' : 'none';
 
   // Server mode room info
   if (cfg.serverMode) {
@@ -413,6 +418,9 @@ function switchView(viewName) {
   // Check HEVC warning visibility on tab switch
   updateHevcWarning();
 
+  // Resume positions move while something plays elsewhere
+  if (viewName === 'media') loadWatchHistory();
+
   // Hide VPN warning on tab switch (media or remote)
   if (viewName !== 'dashboard') {
     const vpnWarning = document.getElementById('vpn-warning');
@@ -447,7 +455,8 @@ function initNavIndicator() {
 async function loadFiles() {
   // Check for hydrated data from server (saves a round-trip)
   if (window.INITIAL_DATA && window.INITIAL_DATA.files) {
-    displayFiles(window.INITIAL_DATA.files);
+    populateFileTools(window.INITIAL_DATA.files);
+    reloadFileBrowser();
     // Also hydrate playlist if available
     if (window.INITIAL_DATA.playlist) {
       playlist = window.INITIAL_DATA.playlist;
@@ -461,22 +470,21 @@ async function loadFiles() {
     return;
   }
 
+  reloadFileBrowser();
+  refreshFileTools();
+}
+
+async function refreshFileTools() {
   try {
     const response = await fetch('/api/files');
-    const files = await response.json();
-    displayFiles(files);
+    populateFileTools(await response.json());
   } catch (error) {
     console.error('Error loading files:', error);
-    document.getElementById('file-browser').innerHTML =
-      '<div class="empty-message">Error loading files. Check server connection.</div>';
   }
 }
 
-// Display files in the file browser
-function displayFiles(files) {
-  const fileBrowser = dom.fileBrowser || document.getElementById('file-browser');
-
-  // Also populate FFmpeg inputs
+// The FFmpeg and detection tools list the whole library, the browser pages through it
+function populateFileTools(files) {
   const ffmpegInputs = ['remux-file-input', 'reencode-file-input', 'extract-file-input'];
   ffmpegInputs.forEach(id => {
     const select = document.getElementById(id);
@@ -500,66 +508,309 @@ function displayFiles(files) {
 
     if (currentVal) select.value = currentVal;
   });
+  populateDetectFileList(files);
+}
+
+// ==================== File Browser ====================
+// Pages of /api/files with the search, type, sort and subtitle filters above the list.
+// The next page loads when the list is scrolled near its end.
+const FILE_PAGE_SIZE = 100;
+const FILE_SCROLL_MARGIN = 200; // px from the bottom that loads the next page
+const fileBrowserState = { files: [], total: 0, cursor: null, done: false, loading: false, generation: 0 };
+
+function getFileQuery() {
+  const [sort, order] = document.getElementById('file-sort').value.split(':');
+  const params = new URLSearchParams({ limit: FILE_PAGE_SIZE, sort });
+  const text = document.getElementById('file-search').value.trim();
+  const type = document.getElementById('file-type-filter').value;
+  if (order) params.set('order', order);
+  if (text) params.set('q', text);
+  if (type) params.set('type', type);
+  if (document.getElementById('file-subtitles-filter').checked) params.set('subtitles', 'true');
+  return params;
+}
+
+function hasFileFilters() {
+  return !!(document.getElementById('file-search').value.trim() ||
+    document.getElementById('file-type-filter').value ||
+    document.getElementById('file-subtitles-filter').checked);
+}
+
+// Start over from the first page, e.g. after a filter changed
+function reloadFileBrowser() {
+  Object.assign(fileBrowserState, { files: [], total: 0, cursor: null, done: false, loading: false });
+  fileBrowserState.generation++;
+  loadFileBrowserPage();
+}
+
+async function loadFileBrowserPage() {
+  const state = fileBrowserState;
+  if (state.loading || state.done) return;
+  state.loading = true;
+
+  const generation = state.generation;
+  const fileBrowser = dom.fileBrowser || document.getElementById('file-browser');
+  const params = getFileQuery();
+  if (state.cursor) params.set('cursor', state.cursor);
+
+  try {
+    const response = await fetch(`/api/files?${params}`);
+    const data = await response.json();
+    if (generation !== state.generation) return; // Filters changed while loading
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+
+    state.files.push(...data.files);
+    state.total = data.total;
+    state.cursor = data.nextCursor;
+    state.done = !data.nextCursor;
+    state.loading = false;
+    displayFiles(state.files);
+  } catch (error) {
+    if (generation !== state.generation) return;
+    console.error('Error loading files:', error);
+    fileBrowser.innerHTML = '<div class="empty-message">Error loading files. Check server connection.</div>';
+    state.loading = false;
+    state.done = true;
+    return;
+  }
+
+  // Keep going until the list fills its panel, otherwise it can't be scrolled
+  if (!state.done && fileBrowser.scrollHeight <= fileBrowser.clientHeight + FILE_SCROLL_MARGIN) {
+    loadFileBrowserPage();
+  }
+}
+
+// Display the loaded files in the file browser
+function displayFiles(files) {
+  const fileBrowser = dom.fileBrowser || document.getElementById('file-browser');
 
   if (files.length === 0) {
-    fileBrowser.innerHTML = '<div class="empty-message">No media files found in videos folder</div>';
+    fileBrowser.innerHTML = hasFileFilters()
+      ? '<div class="empty-message">No files match the filters</div>'
+      : '<div class="empty-message">No media files found in videos folder</div>';
     return;
   }
 
   const fragment = document.createDocumentFragment();
 
-  files.forEach((file) => {
-    const fileItem = document.createElement('div');
-    fileItem.className = 'file-item';
-
-    const fileName = document.createElement('span');
-    fileName.className = 'file-name';
-    fileName.innerHTML = `<span class="file-icon">🎬</span> ${file.escapedFilename || escapeHTML(file.filename)}`;
+  // Other sorts show one flat list, so the order is visible
+  if (!document.getElementById('file-sort').value.startsWith('name')) {
+    files.forEach(file => fragment.appendChild(createFileItem(file)));
+    renderFileFragment(fileBrowser, fragment);
+    return;
+  }
 
-    if (file.filename.endsWith('.mkv')) {
-      fileName.innerHTML += ' <span style="color: #FF9800;">⚠️</span>';
+  // Episodes are grouped by series and season, other files in subfolders by folder.
+  // Files at the top of /media stay a plain list as before.
+  const seriesMap = new Map();
+  const folderMap = new Map();
+  const rootFiles = [];
+  files.forEach(file => {
+    if (file.series) {
+      const key = file.series.toLowerCase();
+      if (!seriesMap.has(key)) seriesMap.set(key, { name: file.series, seasons: new Map() });
+      const seasons = seriesMap.get(key).seasons;
+      if (!seasons.has(file.season)) seasons.set(file.season, []);
+      seasons.get(file.season).push(file);
+    } else if (file.folder) {
+      if (!folderMap.has(file.folder)) folderMap.set(file.folder, []);
+      folderMap.get(file.folder).push(file);
+    } else {
+      rootFiles.push(file);
     }
+  });
+
+  [...seriesMap.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(series => {
+      const body = document.createElement('div');
+      const seasonNumbers = [...series.seasons.keys()].sort((a, b) => a - b);
+      let episodeCount = 0;
+
+      seasonNumbers.forEach(season => {
+        const episodes = sortEpisodes(series.seasons.get(season));
+        episodeCount += episodes.length;
+
+        const seasonHeader = document.createElement('div');
+        seasonHeader.className = 'file-season-header';
+        const seasonTitle = document.createElement('span');
+        seasonTitle.textContent = `Season ${season} · ${episodes.length} episode${episodes.length === 1 ? '' : 's'}`;
+        const addSeasonBtn = document.createElement('button');
+        addSeasonBtn.className = 'btn btn-sm btn-secondary';
+        addSeasonBtn.textContent = '+ Add season';
+        addSeasonBtn.onclick = () => addFilesToPlaylist(episodes);
+        seasonHeader.appendChild(seasonTitle);
+        seasonHeader.appendChild(addSeasonBtn);
+        body.appendChild(seasonHeader);
+
+        episodes.forEach(file => {
+          body.appendChild(createFileItem(file, `E${String(file.episode).padStart(2, '0')} · ${file.name}`));
+        });
+      });
 
-    const addBtn = document.createElement('button');
-    addBtn.className = 'btn btn-sm btn-primary';
-    addBtn.textContent = '+ Add';
-    addBtn.onclick = () => addToPlaylist(file);
+      fragment.appendChild(createFileGroup(`series:${series.name.toLowerCase()}`, '📺',
+        `${series.name} (${episodeCount} episode${episodeCount === 1 ? '' : 's'})`, body));
+    });
 
-    fileItem.appendChild(fileName);
-    fileItem.appendChild(addBtn);
-    fragment.appendChild(fileItem);
+  [...folderMap.keys()].sort().forEach(folder => {
+    const body = document.createElement('div');
+    folderMap.get(folder).forEach(file => body.appendChild(createFileItem(file, file.name)));
+    fragment.appendChild(createFileGroup(`folder:${folder}`, '📁', folder, body));
   });
 
+  rootFiles.forEach(file => fragment.appendChild(createFileItem(file)));
+  renderFileFragment(fileBrowser, fragment);
+}
+
+// Swap in the new list without losing the scroll position
+function renderFileFragment(fileBrowser, fragment) {
+  const state = fileBrowserState;
+  if (!state.done) {
+    const more = document.createElement('div');
+    more.className = 'empty-message';
+    more.textContent = `Showing ${state.files.length} of ${state.total}, scroll for more`;
+    fragment.appendChild(more);
+  }
+
+  const scrollTop = fileBrowser.scrollTop;
   fileBrowser.innerHTML = '';
   fileBrowser.appendChild(fragment);
+  fileBrowser.scrollTop = scrollTop;
 }
 
-// Add a file to the playlist
-async function addToPlaylist(file) {
-  if (!playlist.some(item => item.filename === file.filename)) {
-    const fileCopy = { ...file };
+document.addEventListener('DOMContentLoaded', () => {
+  const fileBrowser = document.getElementById('file-browser');
+  fileBrowser.addEventListener('scroll', () => {
+    if (fileBrowser.scrollTop + fileBrowser.clientHeight >= fileBrowser.scrollHeight - FILE_SCROLL_MARGIN) {
+      loadFileBrowserPage();
+    }
+  });
 
-    if (fileCopy.filename.endsWith('.mkv') || fileCopy.filename.endsWith('.mp4')) {
-      try {
-        const response = await fetch(`/api/tracks/${encodeURIComponent(fileCopy.filename)}`);
-        if (response.ok) {
-          const tracks = await response.json();
-          fileCopy.tracks = {
-            audio: tracks.audio || [],
-            subtitles: tracks.subtitles || []
-          };
-        } else {
-          fileCopy.tracks = { audio: [], subtitles: [] };
-        }
-      } catch (error) {
+  let searchTimer = null;
+  document.getElementById('file-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(reloadFileBrowser, 300);
+  });
+  ['file-type-filter', 'file-sort', 'file-subtitles-filter'].forEach(id => {
+    document.getElementById(id).addEventListener('change', reloadFileBrowser);
+  });
+});
+
+// Groups the admin opened stay open when the file list is refreshed
+const expandedFileGroups = new Set();
+
+function createFileGroup(key, icon, title, body) {
+  const group = document.createElement('div');
+  group.className = 'file-group';
+  if (expandedFileGroups.has(key)) group.classList.add('expanded');
+
+  const header = document.createElement('div');
+  header.className = 'file-group-header';
+  header.innerHTML = `<span class="file-group-arrow">▶</span><span class="file-icon">${icon}</span>`;
+  const name = document.createElement('span');
+  name.className = 'file-group-name';
+  name.textContent = title;
+  header.appendChild(name);
+  header.onclick = () => {
+    const expanded = group.classList.toggle('expanded');
+    if (expanded) expandedFileGroups.add(key);
+    else expandedFileGroups.delete(key);
+  };
+
+  body.className = 'file-group-body';
+  group.appendChild(header);
+  group.appendChild(body);
+  return group;
+}
+
+function createFileItem(file, label) {
+  const fileItem = document.createElement('div');
+  fileItem.className = 'file-item';
+
+  const fileName = document.createElement('span');
+  fileName.className = 'file-name';
+  fileName.title = file.filename;
+  fileName.innerHTML = `<span class="file-icon">🎬</span> ${label ? escapeHTML(label) : (file.escapedFilename || escapeHTML(file.filename))}`;
+
+  if (file.filename.endsWith('.mkv')) {
+    fileName.innerHTML += ' <span style="color: #FF9800;">⚠️</span>';
+  }
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn btn-sm btn-primary';
+  addBtn.textContent = '+ Add';
+  addBtn.onclick = () => addToPlaylist(file);
+
+  fileItem.appendChild(fileName);
+
+  // From the media index, once the server has probed the file
+  const details = [];
+  if (file.info?.duration > 0 && !/\.(png|jpe?g|webp)$/i.test(file.filename)) details.push(formatTimestamp(file.info.duration));
+  if (file.info?.height) details.push(`${file.info.height}p`);
+  if (details.length > 0) {
+    const meta = document.createElement('span');
+    meta.style.cssText = 'color: #888; font-size: 12px; margin-right: 8px; white-space: nowrap;';
+    meta.textContent = details.join(' · ');
+    fileItem.appendChild(meta);
+  }
+
+  const resume = resumePositions[file.filename];
+  if (resume) {
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn btn-sm btn-secondary';
+    resumeBtn.textContent = `↻ ${formatTimestamp(resume.position)}`;
+    resumeBtn.title = `Resume from ${formatTimestamp(resume.position)}`;
+    resumeBtn.style.marginRight = '6px';
+    resumeBtn.onclick = () => resumeFile(file, resume.position);
+    fileItem.appendChild(resumeBtn);
+  }
+
+  fileItem.appendChild(addBtn);
+  return fileItem;
+}
+
+function sortEpisodes(files) {
+  return [...files].sort((a, b) => a.season - b.season || a.episode - b.episode ||
+    a.filename.localeCompare(b.filename, undefined, { numeric: true }));
+}
+
+// Build a playlist item for a media file, with its audio/subtitle tracks
+async function createPlaylistItem(file) {
+  const fileCopy = { ...file };
+
+  if (fileCopy.filename.endsWith('.mkv') || fileCopy.filename.endsWith('.mp4')) {
+    try {
+      const response = await fetch(`/api/tracks/${encodeURIComponent(fileCopy.filename)}`);
+      if (response.ok) {
+        const tracks = await response.json();
+        fileCopy.tracks = {
+          audio: tracks.audio || [],
+          subtitles: tracks.subtitles || []
+        };
+      } else {
         fileCopy.tracks = { audio: [], subtitles: [] };
       }
-    } else {
+    } catch (error) {
       fileCopy.tracks = { audio: [], subtitles: [] };
     }
+  } else {
+    fileCopy.tracks = { audio: [], subtitles: [] };
+  }
+
+  if (fileCopy.filename.endsWith('.mkv')) {
+    fileCopy.usesHEVC = true;
+  }
+  return fileCopy;
+}
+
+// Add a file to the playlist
+async function addToPlaylist(file) {
+  if (!playlist.some(item => item.filename === file.filename)) {
+    const fileCopy = await createPlaylistItem(file);
 
-    if (fileCopy.filename.endsWith('.mkv')) {
-      fileCopy.usesHEVC = true;
+    if (isPlaylistLive()) {
+      addLiveItems([fileCopy]);
+      return;
     }
 
     fileCopy.isNew = true; // Flag for slide-in animation
@@ -572,8 +823,37 @@ async function addToPlaylist(file) {
   }
 }
 
+// Add several files in the given order (e.g. a whole season), skipping ones already added
+async function addFilesToPlaylist(files) {
+  const newFiles = files.filter(file => !playlist.some(item => item.filename === file.filename));
+  if (newFiles.length === 0) {
+    showStatus('Already in the playlist', 'info');
+    return;
+  }
+
+  const items = await Promise.all(newFiles.map(file => createPlaylistItem(file)));
+
+  if (isPlaylistLive()) {
+    addLiveItems(items);
+    return;
+  }
+
+  items.forEach(item => { item.isNew = true; });
+  playlist.push(...items);
+  updatePlaylistDisplay();
+  updateHevcWarning();
+  updateDashboardStats();
+  showStatus(`Added ${items.length} item${items.length === 1 ? '' : 's'} to the playlist`, 'success');
+  setTimeout(() => items.forEach(item => { item.isNew = false; }), 300);
+}
+
 // Remove a file from the playlist
 function removeFromPlaylist(index) {
+  if (isPlaylistLive()) {
+    socket.emit('playlist-remove', { index });
+    return;
+  }
+
   const container = document.getElementById('playlist-container');
   const item = container.children[index];
 
@@ -612,6 +892,11 @@ function movePlaylistItem(index, direction) {
   const newIndex = index + direction;
   if (newIndex < 0 || newIndex >= playlist.length) return;
 
+  if (isPlaylistLive()) {
+    socket.emit('playlist-move', { fromIndex: index, toIndex: newIndex });
+    return;
+  }
+
   [playlist[index], playlist[newIndex]] = [playlist[newIndex], playlist[index]];
 
   if (mainVideoIndex === index) {
@@ -797,6 +1082,7 @@ function updatePlaylistDisplay() {
       badge.textContent = 'Main';
       badges.appendChild(badge);
     }
+    appendTimingBadge(badges, item);
     playlistItem.appendChild(badges);
 
     const moveDiv = document.createElement('div');
@@ -817,6 +1103,13 @@ function updatePlaylistDisplay() {
     moveDiv.appendChild(downBtn);
     playlistItem.appendChild(moveDiv);
 
+    const timingBtn = document.createElement('button');
+    timingBtn.className = 'btn-move';
+    timingBtn.textContent = '⏱';
+    timingBtn.title = 'In/out points and skip segments';
+    timingBtn.onclick = (e) => { e.stopPropagation(); openItemTimingModal(index); };
+    playlistItem.appendChild(timingBtn);
+
     if (index !== mainVideoIndex) {
       const setMainBtn = document.createElement('button');
       setMainBtn.className = 'btn btn-sm btn-secondary';
@@ -881,6 +1174,12 @@ function launchPlaylist() {
   }
 
   const startTime = document.getElementById('start-time').value || 0;
+  const startAtInput = document.getElementById('launch-start-at');
+  const startAt = readScheduleInput(startAtInput);
+  if (startAtInput.value && startAt === null) {
+    showStatus('Scheduled start must be in the future', 'error');
+    return;
+  }
 
   const playlistWithTracks = playlist.map((item, index) => ({ ...item }));
 
@@ -889,8 +1188,10 @@ function launchPlaylist() {
   socket.emit('set-playlist', {
     playlist: playlistWithTracks,
     mainVideoIndex: parseInt(mainVideoIndex),
-    startTime: parseFloat(startTime)
+    startTime: parseFloat(startTime),
+    startAt
   });
+  startAtInput.value = '';
 
   // Rename button to Relaunch after first launch
   document.getElementById('launch-btn').innerHTML = '🔄 Relaunch Playlist';
@@ -986,7 +1287,7 @@ function seekTo() {
 function movePlaylistItemRemote(index, direction) {
   const newIndex = index + direction;
   if (newIndex < 0 || newIndex >= serverPlaylist.videos.length) return;
-  socket.emit('playlist-reorder', { fromIndex: index, toIndex: newIndex });
+  socket.emit('playlist-move', { fromIndex: index, toIndex: newIndex });
 }
 
 // Fetch and display video thumbnail
@@ -1057,6 +1358,7 @@ function renderRemotePlaylistSidebar() {
       socket.emit('playlist-jump', index);
       showStatus(`Jumping to video ${index + 1}...`, 'info');
     };
+    enableRemoteDrag(item, index);
 
     const number = document.createElement('span');
     number.className = 'playlist-number';
@@ -1156,6 +1458,7 @@ function renderRemotePlaylistSidebar() {
       badge.textContent = '▶ Playing';
       badges.appendChild(badge);
     }
+    appendTimingBadge(badges, video);
     item.appendChild(badges);
 
     const moveDiv = document.createElement('div');
@@ -1176,6 +1479,13 @@ function renderRemotePlaylistSidebar() {
     moveDiv.appendChild(downBtn);
     item.appendChild(moveDiv);
 
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-move';
+    removeBtn.textContent = '✕';
+    removeBtn.title = index === currentServerIndex ? 'Remove (skips to the next item)' : 'Remove';
+    removeBtn.onclick = (e) => { e.stopPropagation(); socket.emit('playlist-remove', { index }); };
+    item.appendChild(removeBtn);
+
     fragment.appendChild(item);
   });
 
@@ -1321,8 +1631,9 @@ document.addEventListener('DOMContentLoaded', () => {
     showStatus('Skipping to next media...', 'info');
   });
   document.getElementById('skip-intro-btn').addEventListener('click', () => {
-    socket.emit('control', { action: 'skip', direction: 'forward', seconds: skipIntroSeconds });
-    showStatus(`Skipping intro (${skipIntroSeconds}s)...`, 'info');
+    // The server uses the detected intro of the current file when there is one
+    socket.emit('control', { action: 'skipIntro' });
+    showStatus('Skipping intro...', 'info');
   });
   document.getElementById('seek-btn').addEventListener('click', seekTo);
 
@@ -1400,6 +1711,28 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('bsl-check-btn').addEventListener('click', triggerBslCheck);
   document.getElementById('dashboard-bsl-btn').addEventListener('click', triggerBslCheck);
   document.getElementById('remote-bsl-btn').addEventListener('click', viewBslStatus);
+
+  document.getElementById('advance-mode-select').addEventListener('change', (e) => {
+    socket.emit('set-advance-mode', { mode: e.target.value });
+  });
+
+  // Wait-for-all (buffering barrier) toggle
+  document.getElementById('wait-all-btn').addEventListener('click', () => {
+    const enabled = !bufferStatus.enabled;
+    socket.emit('set-buffer-barrier', { enabled });
+    addLog(`Wait for all ${enabled ? 'enabled' : 'disabled'}`, 'info');
+  });
+  document.getElementById('schedule-start-btn').addEventListener('click', () => {
+    const startAt = readScheduleInput(document.getElementById('schedule-start-input'));
+    if (startAt === null) {
+      showStatus('Pick a start time in the future', 'error');
+      return;
+    }
+    socket.emit('schedule-start', { startAt });
+  });
+  document.getElementById('cancel-schedule-btn').addEventListener('click', () => {
+    socket.emit('cancel-scheduled-start');
+  });
   document.getElementById('bsl-modal-close').addEventListener('click', () => {
     const modal = document.getElementById('bsl-modal');
     modal.classList.remove('animate');
@@ -1552,8 +1885,11 @@ socket.on('config', (config) => {
   document.getElementById('skip-forward-text').textContent = `${skipSeconds}s`;
 });
 
-socket.on('playlist-update', (playlistObj) => {
+socket.on('playlist-update', (playlistObj) => applyServerPlaylist(playlistObj));
+
+function applyServerPlaylist(playlistObj) {
   serverPlaylist = playlistObj;
+  if (playlistObj.advanceMode) renderAdvanceMode(playlistObj.advanceMode);
   currentServerIndex = playlistObj.currentIndex;
   renderRemotePlaylistSidebar();
   renderRemoteTrackControls();
@@ -1569,8 +1905,266 @@ socket.on('playlist-update', (playlistObj) => {
     // Change Launch button to Relaunch since playlist is already active
     document.getElementById('launch-btn').innerHTML = '🔄 Relaunch Playlist';
   }
+}
+
+// ==================== Live Playlist Editing ====================
+// Once a playlist is launched, adding, removing and moving items edits the live
+// playlist on the server. The current item keeps playing; the server answers with
+// a 'playlist-edit' diff that updates both the remote sidebar and the editor.
+
+function isPlaylistLive() {
+  return !!(serverPlaylist && serverPlaylist.videos && serverPlaylist.videos.length > 0);
+}
+
+function addLiveItems(items) {
+  socket.emit('playlist-add', { items });
+  showStatus(items.length === 1 ? `Adding ${items[0].filename}...` : `Adding ${items.length} items...`, 'info');
+}
+
+// Same diff format the viewer client applies (see applyPlaylistEdit in client.js)
+function applyPlaylistEdit(target, edit) {
+  switch (edit.op) {
+    case 'insert':
+      target.videos.splice(edit.index, 0, ...edit.items);
+      break;
+    case 'remove':
+      target.videos.splice(edit.index, 1);
+      break;
+    case 'move': {
+      const [item] = target.videos.splice(edit.from, 1);
+      target.videos.splice(edit.to, 0, item);
+      break;
+    }
+    case 'update':
+      target.videos[edit.index] = edit.item;
+      break;
+  }
+  target.currentIndex = edit.currentIndex;
+  target.mainVideoIndex = edit.mainVideoIndex;
+  target.revision = edit.revision;
+}
+
+function describePlaylistEdit(edit) {
+  switch (edit.op) {
+    case 'insert':
+      return edit.items.length === 1
+        ? `Added ${escapeHTML(edit.items[0].filename)} at position ${edit.index + 1}`
+        : `Added ${edit.items.length} items at position ${edit.index + 1}`;
+    case 'remove':
+      return `Removed playlist item ${edit.index + 1}`;
+    case 'move':
+      return `Moved playlist item ${edit.from + 1} to position ${edit.to + 1}`;
+    case 'update':
+      return `Updated in/out points of playlist item ${edit.index + 1}`;
+  }
+  return 'Playlist edited';
+}
+
+socket.on('playlist-edit', (edit) => {
+  const revision = serverPlaylist?.revision || 0;
+  if (!serverPlaylist || edit.revision !== revision + 1) {
+    if (edit.revision > revision) socket.emit('get-playlist');
+    return;
+  }
+
+  applyPlaylistEdit(serverPlaylist, edit);
+  addLog(describePlaylistEdit(edit), 'info');
+  // applyServerPlaylist only mirrors non-empty playlists into the editor
+  if (serverPlaylist.videos.length === 0) {
+    playlist = [];
+    mainVideoIndex = -1;
+    updatePlaylistDisplay();
+    updateHevcWarning();
+    updateDashboardStats();
+  }
+  applyServerPlaylist(serverPlaylist);
+});
+
+socket.on('playlist-snapshot', (playlistObj) => applyServerPlaylist(playlistObj));
+
+// ==================== Item In/Out Points ====================
+// Per item start/end points and skip segments. The server enforces them on the shared
+// timeline; here they are only edited (on the editor item, or live via
+// 'playlist-item-timing' once the playlist is launched). Images get a transition instead
+// of skip segments, and the end point doubles as their display time.
+let timingItemIndex = -1;
+
+// Seconds, m:ss or h:mm:ss. Returns null for empty input and NaN when invalid
+function parseClock(text) {
+  const value = text.trim();
+  if (!value) return null;
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN;
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function formatTimingValue(seconds) {
+  if (seconds === undefined || seconds === null) return '';
+  return Number.isInteger(seconds) ? formatClock(seconds) : String(seconds);
+}
+
+function appendTimingBadge(badges, item) {
+  const parts = [];
+  if (item.startTime > 0 || item.endTime !== undefined) {
+    parts.push(`${formatClock(item.startTime || 0)}–${item.endTime !== undefined ? formatClock(item.endTime) : 'end'}`);
+  }
+  if (item.skipSegments && item.skipSegments.length > 0) {
+    parts.push(`${item.skipSegments.length} skip${item.skipSegments.length === 1 ? '' : 's'}`);
+  }
+  if (item.transition) parts.push(item.transition);
+  if (parts.length === 0) return;
+
+  const badge = document.createElement('span');
+  badge.className = 'badge badge-timing';
+  badge.textContent = `✂ ${parts.join(' · ')}`;
+  badges.appendChild(badge);
+}
+
+function addTimingSegmentRow(segment = {}) {
+  const row = document.createElement('div');
+  row.className = 'timing-segment';
+  row.style.cssText = 'display: flex; gap: 6px;';
+  row.innerHTML = `
+    <input type="text" class="segment-start" placeholder="From" style="width: 80px; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.1); border-radius: 6px; background: rgba(255,255,255,0.05); color: #e0e0e0;">
+    <input type="text" class="segment-end" placeholder="To" style="width: 80px; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.1); border-radius: 6px; background: rgba(255,255,255,0.05); color: #e0e0e0;">
+    <input type="text" class="segment-label" placeholder="Label (e.g. Recap)" maxlength="40" style="flex: 1; min-width: 0; padding: 6px 8px; border: 1px solid rgba(255,255,255,0.1); border-radius: 6px; background: rgba(255,255,255,0.05); color: #e0e0e0;">
+    <button class="btn btn-sm btn-danger">✕</button>
+  `;
+  row.querySelector('.segment-start').value = formatTimingValue(segment.start);
+  row.querySelector('.segment-end').value = formatTimingValue(segment.end);
+  row.querySelector('.segment-label').value = segment.label || '';
+  row.querySelector('button').onclick = () => row.remove();
+  document.getElementById('item-timing-segments').appendChild(row);
+}
+
+function openItemTimingModal(index) {
+  const item = playlist[index];
+  if (!item) return;
+  timingItemIndex = index;
+
+  document.getElementById('item-timing-name').textContent = item.title || item.filename;
+  document.getElementById('item-timing-start').value = formatTimingValue(item.startTime);
+  document.getElementById('item-timing-end').value = formatTimingValue(item.endTime);
+  document.getElementById('item-timing-segments').innerHTML = '';
+  (item.skipSegments || []).forEach(segment => addTimingSegmentRow(segment));
+
+  const isImage = getPlatformKey(item) === 'image';
+  document.getElementById('item-timing-image').style.display = isImage ? 'block' : 'none';
+  document.getElementById('item-timing-segments-section').style.display = isImage ? 'none' : 'block';
+  document.getElementById('item-timing-image-hint').textContent = imageDuration > 0
+    ? `Without an end, the image stays up for ${imageDuration}s. Default transition: ${imageTransition}.`
+    : `Without an end, the image stays up until skipped. Default transition: ${imageTransition}.`;
+  document.getElementById('item-timing-transition').value = item.transition || '';
+  document.getElementById('item-timing-error').classList.remove('visible');
+
+  const modal = document.getElementById('item-timing-modal');
+  modal.classList.add('visible');
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      modal.classList.add('animate');
+    });
+  });
+}
+
+function closeItemTimingModal() {
+  const modal = document.getElementById('item-timing-modal');
+  modal.classList.remove('animate');
+  setTimeout(() => modal.classList.remove('visible'), 300);
+}
+
+// Read the modal into { startTime, endTime, skipSegments, transition }, throws on invalid input
+function readItemTiming() {
+  const startTime = parseClock(document.getElementById('item-timing-start').value);
+  const endTime = parseClock(document.getElementById('item-timing-end').value);
+  if (Number.isNaN(startTime) || Number.isNaN(endTime)) throw new Error('Invalid start or end time');
+  if (endTime !== null && endTime <= (startTime || 0)) throw new Error('End must be after start');
+
+  const skipSegments = [...document.querySelectorAll('#item-timing-segments .timing-segment')].map(row => {
+    const start = parseClock(row.querySelector('.segment-start').value);
+    const end = parseClock(row.querySelector('.segment-end').value);
+    if (start === null || end === null || Number.isNaN(start) || Number.isNaN(end)) {
+      throw new Error('Every segment needs a valid from and to time');
+    }
+    if (end <= start) throw new Error('Segments must end after they start');
+    return { start, end, label: row.querySelector('.segment-label').value.trim() };
+  }).sort((a, b) => a.start - b.start);
+
+  const transition = document.getElementById('item-timing-transition').value;
+  return {
+    startTime: startTime || undefined,
+    endTime: endTime ?? undefined,
+    skipSegments: skipSegments.length > 0 ? skipSegments : undefined,
+    transition: transition || undefined
+  };
+}
+
+function saveItemTiming() {
+  const item = playlist[timingItemIndex];
+  if (!item) return;
+
+  let timing;
+  try {
+    timing = readItemTiming();
+  } catch (error) {
+    const errorDiv = document.getElementById('item-timing-error');
+    errorDiv.textContent = error.message;
+    errorDiv.classList.add('visible');
+    return;
+  }
+
+  if (isPlaylistLive()) {
+    socket.emit('playlist-item-timing', { index: timingItemIndex, ...timing });
+  } else {
+    delete item.startTime;
+    delete item.endTime;
+    delete item.skipSegments;
+    delete item.transition;
+    Object.entries(timing).forEach(([key, value]) => {
+      if (value !== undefined) item[key] = value;
+    });
+    updatePlaylistDisplay();
+  }
+  closeItemTimingModal();
+}
+
+socket.on('segment-skipped', (segment) => {
+  addLog(`Skipped ${segment.label ? escapeHTML(segment.label) : 'segment'} (${formatClock(segment.start)}–${formatClock(segment.end)})`, 'info');
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('item-timing-modal-close').addEventListener('click', closeItemTimingModal);
+  document.getElementById('item-timing-add-segment').addEventListener('click', () => addTimingSegmentRow());
+  document.getElementById('item-timing-save').addEventListener('click', saveItemTiming);
 });
 
+// Drag an item in the remote sidebar onto another to move it there
+let remoteDragIndex = null;
+
+function enableRemoteDrag(item, index) {
+  item.draggable = true;
+  item.addEventListener('dragstart', (e) => {
+    remoteDragIndex = index;
+    e.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+  item.addEventListener('dragend', () => {
+    remoteDragIndex = null;
+    item.classList.remove('dragging');
+  });
+  item.addEventListener('dragover', (e) => {
+    if (remoteDragIndex === null || remoteDragIndex === index) return;
+    e.preventDefault();
+    item.classList.add('drag-over');
+  });
+  item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+  item.addEventListener('drop', (e) => {
+    e.preventDefault();
+    item.classList.remove('drag-over');
+    if (remoteDragIndex === null || remoteDragIndex === index) return;
+    socket.emit('playlist-move', { fromIndex: remoteDragIndex, toIndex: index });
+    remoteDragIndex = null;
+  });
+}
+
 socket.on('playlist-position', (index) => {
   addLog(`Jumped to video ${index + 1}`, 'info');
   currentServerIndex = index;
@@ -1663,6 +2257,11 @@ socket.on('connect', () => {
     fingerprint: adminFingerprint,
     roomCode: roomCode
   });
+  socket.emit('get-buffer-status');
+  socket.emit('get-scheduled-start');
+  socket.emit('get-channel-status');
+  socket.emit('get-remote-status');
+  socket.emit('get-media-requests');
 
   // Check for VPN/proxy software
   fetch('/api/vpn-check')
@@ -1791,71 +2390,882 @@ if (killBtn) {
   });
 }
 
-// Handle sync event to update speed
-socket.on('sync', (state) => {
-  if (state.playbackRate !== undefined && state.playbackRate !== currentSpeed) {
-    currentSpeed = state.playbackRate;
-    updateSpeedDisplay();
-  }
+// ==================== Playlist Advance ====================
+const ADVANCE_MODE_LABELS = {
+  'repeat-all': 'Repeat all',
+  'repeat-one': 'Repeat one',
+  'stop': 'Stop at end',
+  'shuffle': 'Shuffle'
+};
 
-  // Existing sync logic for time update
-  if (state.currentTime !== undefined) {
-    // Clamp to 0 to prevent negative values from rewind
-    const totalSecs = Math.max(0, Math.floor(state.currentTime));
-    const hours = Math.floor(totalSecs / 3600);
-    const mins = Math.floor((totalSecs % 3600) / 60);
-    const secs = totalSecs % 60;
-    const timeStr = hours > 0
-      ? `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
-      : `${mins}:${secs.toString().padStart(2, '0')}`;
-    const displayEl = document.getElementById('current-time-display');
-    if (displayEl) displayEl.textContent = `Current: ${timeStr} (${totalSecs}s)`;
-  }
+function renderAdvanceMode(mode) {
+  const select = document.getElementById('advance-mode-select');
+  if (select) select.value = mode;
+}
+
+socket.on('advance-mode', (data) => {
+  if (serverPlaylist) serverPlaylist.advanceMode = data.mode;
+  renderAdvanceMode(data.mode);
+  addLog(`Playlist mode: ${ADVANCE_MODE_LABELS[data.mode] || data.mode}`, 'info');
 });
 
-// Handle admin auth result
-socket.on('admin-auth-result', (result) => {
-  const authScreen = document.getElementById('auth-screen');
-  const authContent = document.getElementById('auth-content');
-  const adminUI = document.getElementById('admin-ui');
+socket.on('playlist-ended', () => {
+  addLog('Reached the end of the playlist', 'info');
+  showStatus('Playlist finished', 'info');
+});
 
-  if (result.success) {
-    // Hide auth screen and show admin UI
-    authScreen.classList.add('hidden');
-    adminUI.classList.add('authenticated');
-    // Initialize nav indicator now that UI is visible
-    initNavIndicator();
+// ==================== Buffering Barrier ====================
+let bufferStatus = { enabled: false, waiting: false, ready: 0, total: 0, needed: 0, holdingUp: [] };
+
+function renderBufferStatus() {
+  const btn = document.getElementById('wait-all-btn');
+  if (btn) {
+    btn.textContent = `⏳ Wait for All: ${bufferStatus.enabled ? 'On' : 'Off'}`;
+    btn.classList.toggle('btn-primary', bufferStatus.enabled);
+    btn.classList.toggle('btn-secondary', !bufferStatus.enabled);
+  }
+
+  const display = document.getElementById('buffer-status-display');
+  if (!display) return;
+
+  if (bufferStatus.waiting) {
+    const names = bufferStatus.holdingUp.map(c => c.name).join(', ');
+    display.textContent = `Waiting ${bufferStatus.ready}/${bufferStatus.needed} ready${names ? ` - loading: ${names}` : ''}`;
   } else {
-    // Show access denied message in auth screen (escape the reason to prevent XSS)
-    const safeReason = escapeHTML(result.reason || 'Access denied');
-    authContent.innerHTML = `
-          <div class="auth-denied">
-            <div style="font-size: 48px; margin-bottom: 20px;">🔒</div>
-            <h1 style="color: #f44336; margin-bottom: 15px;">Access Denied</h1>
-            <p style="color: #ccc; margin-bottom: 20px;">${safeReason}</p>
-            <p style="color: #888; font-size: 14px;">
-              If you need to reset admin access, delete the file:<br>
-              <code style="background: rgba(255,255,255,0.1); padding: 5px 10px; border-radius: 4px;">memory.json</code>
-            </p>
-          </div>
-        `;
+    display.textContent = '';
   }
-});
+}
 
-let bslStatus = null;
+socket.on('buffer-status', (status) => {
+  const wasWaiting = bufferStatus.waiting;
+  bufferStatus = status;
+  renderBufferStatus();
 
-socket.on('bsl-check-started', (data) => {
-  addLog(`BSL-S² check started (${data.clientCount} clients)`, 'info');
-  if (data.clientCount === 0) {
-    document.getElementById('bsl-modal-body').innerHTML =
-      '<div class="empty-message">No clients connected yet.</div>';
+  if (status.waiting && !wasWaiting) {
+    addLog(`Holding playback until clients are ready (${status.ready}/${status.needed})`, 'info');
+  } else if (!status.waiting && wasWaiting) {
+    addLog('All clients ready, starting playback', 'success');
   }
 });
 
-socket.on('bsl-status-update', (data) => {
-  bslStatus = data;
-  renderBslModal(data);
-  // Log BSL status summary
+// ==================== Scheduled Start ====================
+let scheduledStartAt = null;
+let scheduleDisplayTimer = null;
+
+// datetime-local value as ms since epoch, or null if empty or not in the future
+function readScheduleInput(input) {
+  if (!input || !input.value) return null;
+  const startAt = new Date(input.value).getTime();
+  return isNaN(startAt) || startAt <= Date.now() ? null : startAt;
+}
+
+function renderScheduledStart() {
+  const display = document.getElementById('schedule-display');
+  if (!display) return;
+
+  const remaining = scheduledStartAt === null ? 0 : scheduledStartAt - Date.now();
+  if (remaining <= 0) {
+    display.textContent = '';
+    clearInterval(scheduleDisplayTimer);
+    scheduleDisplayTimer = null;
+    return;
+  }
+
+  const at = new Date(scheduledStartAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  display.textContent = `⏰ Starts at ${at} (in ${formatClock(remaining / 1000)})`;
+}
+
+socket.on('scheduled-start', (data) => {
+  if (data.error) {
+    showStatus(data.error, 'error');
+    return;
+  }
+
+  const previous = scheduledStartAt;
+  scheduledStartAt = typeof data.startAt === 'number' ? data.startAt : null;
+
+  clearInterval(scheduleDisplayTimer);
+  scheduleDisplayTimer = scheduledStartAt === null ? null : setInterval(renderScheduledStart, 1000);
+  renderScheduledStart();
+
+  if (scheduledStartAt !== null && scheduledStartAt !== previous) {
+    addLog(`Start scheduled for ${new Date(scheduledStartAt).toLocaleString()}`, 'info');
+  } else if (scheduledStartAt === null && previous !== null) {
+    addLog(previous <= Date.now() + 1000 ? 'Scheduled start reached' : 'Scheduled start cancelled', 'info');
+  }
+});
+
+// ==================== Remote Token ====================
+let remoteStatus = { enabled: false, holder: null, requests: [] };
+
+function renderRemoteStatus() {
+  const panel = document.getElementById('remote-token-panel');
+  if (!panel) return;
+
+  panel.style.display = remoteStatus.enabled ? 'block' : 'none';
+  if (!remoteStatus.enabled) return;
+
+  document.getElementById('remote-token-holder').innerHTML = remoteStatus.holder
+    ? `🎮 <span style="color: #2196F3;">${escapeHTML(remoteStatus.holder.name)}</span> has the remote
+      <button class="btn btn-sm btn-secondary" onclick="revokeRemote()">Take back</button>`
+    : '🎮 You have the remote';
+
+  document.getElementById('remote-token-requests').innerHTML = remoteStatus.requests.map(request => `
+    <div>${escapeHTML(request.name)} wants the remote
+      <button class="btn btn-sm btn-primary" data-socket-id="${escapeHTML(request.socketId)}"
+        onclick="grantRemoteTo(this)">Give</button>
+    </div>
+  `).join('');
+}
+
+function grantRemoteTo(btn) {
+  const socketId = btn.dataset.socketId;
+  if (!socketId) return;
+  socket.emit('grant-remote', { socketId });
+}
+
+function revokeRemote() {
+  socket.emit('revoke-remote');
+}
+
+socket.on('remote-status', (status) => {
+  const previousHolder = remoteStatus.holder ? remoteStatus.holder.socketId : null;
+  const knownRequests = new Set(remoteStatus.requests.map(r => r.socketId));
+  remoteStatus = status;
+  renderRemoteStatus();
+
+  status.requests
+    .filter(r => !knownRequests.has(r.socketId))
+    .forEach(r => addLog(`${r.name} requested the remote`, 'info'));
+
+  const holder = status.holder ? status.holder.socketId : null;
+  if (holder !== previousHolder) {
+    addLog(status.holder ? `${status.holder.name} has the remote` : 'Remote returned to admin', 'info');
+  }
+});
+
+// ==================== Media Requests ====================
+// Viewers' requests wait here. Approving builds the playlist item (links go through
+// the same platform detection as the External modal) and the server inserts it into
+// the live playlist, right after the current item or at the end.
+let mediaRequestStatus = { enabled: false, queue: [] };
+
+function renderMediaRequests() {
+  const panel = document.getElementById('media-request-panel');
+  if (!panel) return;
+
+  panel.style.display = mediaRequestStatus.enabled ? 'block' : 'none';
+  if (!mediaRequestStatus.enabled) return;
+
+  const { queue } = mediaRequestStatus;
+  document.getElementById('media-request-count').textContent = queue.length > 0 ? `(${queue.length})` : '';
+  document.getElementById('media-request-list').innerHTML = queue.length === 0
+    ? '<div class="empty-message">No pending requests</div>'
+    : queue.map(request => `
+      <div style="display: flex; align-items: center; gap: 5px;">
+        <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"
+          title="${escapeHTML(request.title)}">${request.type === 'url' ? '🔗' : '🎬'} ${escapeHTML(request.title)}
+          <span style="color: #888;">· ${escapeHTML(request.requestedBy)}</span></span>
+        <button class="btn btn-sm btn-primary" data-id="${request.id}" data-position="next"
+          onclick="approveMediaRequest(this)" title="Play after the current item">▶ Next</button>
+        <button class="btn btn-sm btn-secondary" data-id="${request.id}" data-position="end"
+          onclick="approveMediaRequest(this)" title="Add to the end of the playlist">＋ End</button>
+        <button class="btn btn-sm btn-danger" data-id="${request.id}"
+          onclick="rejectMediaRequest(this)" title="Decline">✕</button>
+      </div>
+    `).join('');
+}
+
+async function approveMediaRequest(btn) {
+  const id = parseInt(btn.dataset.id, 10);
+  const request = mediaRequestStatus.queue.find(r => r.id === id);
+  if (!request) return;
+
+  let item;
+  if (request.type === 'url') {
+    btn.disabled = true;
+    item = await resolveExternalUrl(request.url);
+    btn.disabled = false;
+    if (!item) {
+      showStatus('Unsupported link, decline the request instead', 'error');
+      return;
+    }
+  } else {
+    item = { filename: request.filename };
+  }
+
+  socket.emit('media-request-approve', { id, item, position: btn.dataset.position });
+}
+
+function rejectMediaRequest(btn) {
+  socket.emit('media-request-reject', { id: parseInt(btn.dataset.id, 10) });
+}
+
+socket.on('media-requests', (status) => {
+  const known = new Set(mediaRequestStatus.queue.map(r => r.id));
+  mediaRequestStatus = status;
+  renderMediaRequests();
+
+  status.queue
+    .filter(r => !known.has(r.id))
+    .forEach(r => addLog(`${escapeHTML(r.requestedBy)} requested ${escapeHTML(r.title)}`, 'client'));
+});
+
+// ==================== Saved Playlists ====================
+let libraryEntries = [];
+
+// Room-scoped in server mode, see /api/rooms/:roomCode/playlists
+function libraryUrl(subPath = '') {
+  const base = currentRoomCode ? `/api/rooms/${currentRoomCode}/playlists` : '/api/playlists';
+  return base + subPath;
+}
+
+async function libraryRequest(subPath, options = {}) {
+  return adminApiRequest(libraryUrl(subPath), options);
+}
+
+// Admin-only JSON endpoints (library, history), throws with the server's error message
+async function adminApiRequest(url, options = {}) {
+  const response = await authenticatedFetch(url, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Admin-Fingerprint': adminFingerprint,
+      ...options.headers
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+async function loadLibrary() {
+  try {
+    libraryEntries = await libraryRequest('');
+    renderLibrary();
+  } catch (error) {
+    console.error('Failed to load saved playlists:', error);
+  }
+}
+
+function renderLibrary() {
+  const container = document.getElementById('library-list');
+  if (!container) return;
+
+  if (libraryEntries.length === 0) {
+    container.innerHTML = '<div class="empty-message">No saved playlists yet</div>';
+    return;
+  }
+
+  container.innerHTML = libraryEntries.map(entry => `
+    <div class="file-item" style="display: flex; align-items: center; gap: 10px;">
+      <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+        ${escapeHTML(entry.name)} <span style="color: #888; font-size: 12px;">(${entry.itemCount} items)</span>
+      </span>
+      <button class="btn btn-sm btn-secondary" data-id="${escapeHTML(entry.id)}" onclick="loadLibraryEntry(this)" title="Load into playlist">📂</button>
+      <button class="btn btn-sm btn-primary" data-id="${escapeHTML(entry.id)}" onclick="loadLibraryEntry(this, true)" title="Load and launch">🚀</button>
+      <button class="btn btn-sm btn-secondary" data-id="${escapeHTML(entry.id)}" onclick="renameLibraryEntry(this)" title="Rename">✏️</button>
+      <button class="btn btn-sm btn-secondary" data-id="${escapeHTML(entry.id)}" onclick="duplicateLibraryEntry(this)" title="Duplicate">📄</button>
+      <button class="btn btn-sm btn-danger" data-id="${escapeHTML(entry.id)}" onclick="deleteLibraryEntry(this)" title="Delete">🗑️</button>
+    </div>
+  `).join('');
+}
+
+async function saveCurrentToLibrary() {
+  if (playlist.length === 0) {
+    showStatus('Playlist is empty!', 'error');
+    return;
+  }
+
+  const name = prompt('Save playlist as:');
+  if (!name || !name.trim()) return;
+
+  const body = JSON.stringify({
+    name,
+    items: playlist,
+    mainVideoIndex: mainVideoIndex >= 0 ? mainVideoIndex : 0,
+    startTime: parseFloat(document.getElementById('start-time').value) || 0
+  });
+
+  try {
+    const existing = libraryEntries.find(e => e.name.toLowerCase() === name.trim().toLowerCase());
+    if (existing) {
+      if (!confirm(`Overwrite saved playlist "${existing.name}"?`)) return;
+      await libraryRequest(`/${existing.id}`, { method: 'PUT', body });
+    } else {
+      await libraryRequest('', { method: 'POST', body });
+    }
+    addLog(`Saved playlist "${name.trim()}" (${playlist.length} items)`, 'success');
+    showStatus('Playlist saved', 'success');
+    loadLibrary();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+async function loadLibraryEntry(btn, launch = false) {
+  try {
+    const entry = await libraryRequest(`/${btn.dataset.id}`);
+    playlist = entry.items.map(item => ({ ...item }));
+    mainVideoIndex = entry.mainVideoIndex;
+    document.getElementById('start-time').value = entry.startTime || 0;
+    updatePlaylistDisplay();
+    updateHevcWarning();
+    updateDashboardStats();
+    addLog(`Loaded saved playlist "${entry.name}"`, 'info');
+
+    if (launch) {
+      launchPlaylist();
+    } else {
+      showStatus(`Loaded "${entry.name}", launch to play it`, 'info');
+    }
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+async function renameLibraryEntry(btn) {
+  const entry = libraryEntries.find(e => e.id === btn.dataset.id);
+  if (!entry) return;
+
+  const name = prompt('Rename playlist:', entry.name);
+  if (!name || !name.trim() || name.trim() === entry.name) return;
+
+  try {
+    await libraryRequest(`/${entry.id}`, { method: 'PATCH', body: JSON.stringify({ name }) });
+    loadLibrary();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+async function duplicateLibraryEntry(btn) {
+  try {
+    const copy = await libraryRequest(`/${btn.dataset.id}/duplicate`, { method: 'POST', body: '{}' });
+    addLog(`Duplicated playlist as "${copy.name}"`, 'info');
+    loadLibrary();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+async function deleteLibraryEntry(btn) {
+  const entry = libraryEntries.find(e => e.id === btn.dataset.id);
+  if (!entry || !confirm(`Delete saved playlist "${entry.name}"?`)) return;
+
+  try {
+    await libraryRequest(`/${entry.id}`, { method: 'DELETE' });
+    addLog(`Deleted saved playlist "${entry.name}"`, 'info');
+    loadLibrary();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('library-save-btn').addEventListener('click', saveCurrentToLibrary);
+  loadLibrary();
+});
+
+// ==================== Channel ====================
+// Loop the launched playlist, or run a daily schedule of saved playlists, on the wall clock.
+// The server keeps it on air with the admin panel closed
+function formatGuideTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// "HH:MM Saved playlist name" per line into [{ start, playlist }], throws on a bad line
+function parseChannelSchedule(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const match = line.match(/^(\d{1,2}:\d{2})\s+(.+)$/);
+    if (!match) throw new Error(`Not "HH:MM playlist": ${line}`);
+    return { start: match[1], playlist: match[2] };
+  });
+}
+
+function renderChannelStatus(status) {
+  const guide = document.getElementById('channel-guide');
+  if (!guide) return;
+
+  if (!status.onAir) {
+    guide.textContent = 'Off air';
+    return;
+  }
+
+  const rows = [`<strong style="color: #4CAF50;">📺 On air</strong> (${status.mode === 'loop' ? 'looping playlist' : 'daily schedule'})`];
+  if (status.block) {
+    rows.push(`Block: ${escapeHTML(status.block.start)} ${escapeHTML(status.block.playlist)} · next ${escapeHTML(status.nextBlock.start)} ${escapeHTML(status.nextBlock.playlist)}`);
+  }
+  if (status.now) {
+    rows.push(`Now: ${escapeHTML(status.now.title)} <span style="color: #666;">until ${formatGuideTime(status.now.endsAt)}</span>`);
+    status.next.forEach(entry => {
+      rows.push(`<span style="color: #666;">${formatGuideTime(entry.startsAt)}</span> ${escapeHTML(entry.title)}`);
+    });
+  } else {
+    rows.push('Probing durations...');
+  }
+  guide.innerHTML = rows.join('<br>');
+
+  const scheduleInput = document.getElementById('channel-schedule');
+  if (status.mode === 'schedule' && document.activeElement !== scheduleInput) {
+    scheduleInput.value = status.blocks.map(block => `${block.start} ${block.playlist}`).join('\n');
+  }
+}
+
+function startChannelSchedule() {
+  let blocks;
+  try {
+    blocks = parseChannelSchedule(document.getElementById('channel-schedule').value);
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  if (blocks.length === 0) {
+    showStatus('Add at least one block, e.g. "20:00 Movie night"', 'error');
+    return;
+  }
+  socket.emit('channel-start', { mode: 'schedule', blocks });
+}
+
+socket.on('channel-status', (status) => {
+  if (status.error) {
+    showStatus(status.error, 'error');
+    return;
+  }
+  renderChannelStatus(status);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('channel-loop-btn').addEventListener('click', () => socket.emit('channel-start', { mode: 'loop' }));
+  document.getElementById('channel-schedule-btn').addEventListener('click', startChannelSchedule);
+  document.getElementById('channel-stop-btn').addEventListener('click', () => socket.emit('channel-stop'));
+});
+
+// ==================== Watch History ====================
+// The server records where every file was left and what played (see /api/history).
+// Files with a resume position get a "↻ 1:12:30" button in the file browser
+let resumePositions = {};
+let watchHistory = [];
+
+function historyUrl(query = '') {
+  const base = currentRoomCode ? `/api/rooms/${currentRoomCode}/history` : '/api/history';
+  return base + query;
+}
+
+// h:mm:ss past an hour, like the current time display
+function formatTimestamp(seconds) {
+  const totalSecs = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(totalSecs / 3600);
+  const mins = Math.floor((totalSecs % 3600) / 60);
+  const secs = totalSecs % 60;
+  return hours > 0
+    ? `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+    : `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+async function loadWatchHistory() {
+  try {
+    const data = await adminApiRequest(historyUrl());
+    resumePositions = data.resume || {};
+    watchHistory = data.history || [];
+    renderWatchHistory();
+    if (fileBrowserState.files.length > 0) displayFiles(fileBrowserState.files);
+  } catch (error) {
+    console.error('Failed to load watch history:', error);
+  }
+}
+
+function renderWatchHistory() {
+  const container = document.getElementById('history-list');
+  if (!container) return;
+
+  if (watchHistory.length === 0) {
+    container.innerHTML = '<div class="empty-message">Nothing watched yet</div>';
+    return;
+  }
+
+  container.innerHTML = watchHistory.slice(0, 20).map(entry => {
+    const progress = entry.completed
+      ? '✓ finished'
+      : `${formatTimestamp(entry.position)}${entry.duration ? ` / ${formatTimestamp(entry.duration)}` : ''}`;
+    return `
+    <div class="file-item" style="display: flex; align-items: center; gap: 10px;">
+      <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHTML(entry.filename)}">
+        ${escapeHTML(entry.title)} <span style="color: #888; font-size: 12px;">(${progress})</span>
+      </span>
+      <span style="color: #666; font-size: 12px;">${new Date(entry.startedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+    </div>`;
+  }).join('');
+}
+
+// Queue the file first and start it where it was left. Launching always starts at the
+// first item with the main video start time, so that's where the position goes
+async function resumeFile(file, position) {
+  if (isPlaylistLive()) {
+    await addToPlaylist(file);
+    showStatus(`Kill the live playlist to resume from ${formatTimestamp(position)}, or seek there once it plays`, 'info');
+    return;
+  }
+
+  const index = playlist.findIndex(item => item.filename === file.filename);
+  const item = index === -1 ? await createPlaylistItem(file) : playlist.splice(index, 1)[0];
+  playlist.unshift(item);
+  mainVideoIndex = 0;
+  document.getElementById('start-time').value = Math.floor(position);
+
+  updatePlaylistDisplay();
+  updateHevcWarning();
+  updateDashboardStats();
+  showStatus(`Launch to resume ${file.filename} from ${formatTimestamp(position)}`, 'success');
+}
+
+async function clearWatchHistory() {
+  if (!confirm('Clear the watch history and all resume positions?')) return;
+  try {
+    await adminApiRequest(historyUrl(), { method: 'DELETE' });
+    showStatus('Watch history cleared', 'success');
+    loadWatchHistory();
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('history-clear-btn').addEventListener('click', clearWatchHistory);
+  loadWatchHistory();
+});
+
+// ==================== Media Upload ====================
+// Files go up in chunks at the offset the server reports (see /api/uploads), so a failed
+// chunk is simply sent again, and picking the same file after a reload continues it
+const UPLOAD_RETRIES = 5;
+
+function uploadsUrl(subPath = '') {
+  const base = currentRoomCode ? `/api/rooms/${currentRoomCode}/uploads` : '/api/uploads';
+  return base + subPath;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function createUploadRow(file, onCancel) {
+  const row = document.createElement('div');
+  row.className = 'file-item';
+  row.style.cssText = 'flex-direction: column; align-items: stretch; gap: 6px;';
+  row.innerHTML = `
+    <div style="display: flex; align-items: center; gap: 10px; font-size: 13px;">
+      <span class="upload-name" style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+      <span class="upload-progress" style="color: #888; white-space: nowrap;">Starting...</span>
+      <button class="btn btn-sm btn-danger" title="Cancel upload">✕</button>
+    </div>
+    <div style="height: 4px; background: rgba(255,255,255,0.1); border-radius: 2px; overflow: hidden;">
+      <div class="upload-bar" style="height: 100%; width: 0; background: #2196F3; transition: width 0.2s;"></div>
+    </div>`;
+  row.querySelector('.upload-name').textContent = `⬆️ ${file.name}`;
+  row.querySelector('button').onclick = onCancel;
+
+  const list = document.getElementById('upload-list');
+  list.appendChild(row);
+  list.style.display = '';
+  return row;
+}
+
+function removeUploadRow(row) {
+  const list = document.getElementById('upload-list');
+  row.remove();
+  if (list.children.length === 0) list.style.display = 'none';
+}
+
+async function sendUploadChunk(sessionId, offset, chunk) {
+  try {
+    const response = await authenticatedFetch(uploadsUrl(`/${sessionId}?offset=${offset}`), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Admin-Fingerprint': adminFingerprint
+      },
+      body: chunk
+    });
+    return { response, data: await response.json().catch(() => ({})) };
+  } catch (error) {
+    return { response: null, data: {} }; // Connection dropped, retried
+  }
+}
+
+async function uploadFile(file) {
+  const upload = { id: null, cancelled: false };
+  const row = createUploadRow(file, () => {
+    upload.cancelled = true;
+    if (upload.id) adminApiRequest(uploadsUrl(`/${upload.id}`), { method: 'DELETE' }).catch(() => {});
+    removeUploadRow(row);
+  });
+  const progress = row.querySelector('.upload-progress');
+  const bar = row.querySelector('.upload-bar');
+  const showProgress = (received) => {
+    const percent = Math.floor(received / file.size * 100);
+    progress.textContent = `${percent}% · ${formatBytes(received)} / ${formatBytes(file.size)}`;
+    bar.style.width = `${percent}%`;
+  };
+
+  try {
+    const session = await adminApiRequest(uploadsUrl(), {
+      method: 'POST',
+      body: JSON.stringify({ filename: file.name, size: file.size, type: file.type })
+    });
+    upload.id = session.id;
+    if (session.received > 0) addLog(`Resuming upload of ${escapeHTML(file.name)} at ${formatBytes(session.received)}`, 'info');
+
+    let offset = session.received;
+    let failures = 0;
+    let complete = false;
+    while (offset < file.size) {
+      if (upload.cancelled) return;
+      showProgress(offset);
+
+      const { response, data } = await sendUploadChunk(session.id, offset, file.slice(offset, offset + session.chunkSize));
+      if (upload.cancelled) return;
+      if (response && response.ok) {
+        offset = data.received;
+        complete = data.complete === true;
+        failures = 0;
+        continue;
+      }
+      if (data.conflict) break;
+
+      // Only dropped connections, server hiccups and offset mismatches are worth retrying
+      const retryable = !response || response.status >= 500 || response.status === 429 || typeof data.received === 'number';
+      if (!retryable || ++failures > UPLOAD_RETRIES) {
+        throw new Error(data.error || 'Connection lost, pick the file again to resume');
+      }
+      if (typeof data.received === 'number') offset = data.received;
+      progress.textContent = `Retrying (${failures}/${UPLOAD_RETRIES})...`;
+      await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+    }
+
+    // All bytes are on the server but the name was taken meanwhile: the upload is kept
+    // until it gets a free name
+    let filename = session.filename;
+    let question = `"${filename}" already exists in the media folder. Save the upload as:`;
+    while (!complete) {
+      showProgress(file.size);
+      const name = prompt(question, filename);
+      if (upload.cancelled) return;
+      if (name === null) throw new Error('Name taken, pick the file again to choose another name');
+      try {
+        const data = await adminApiRequest(uploadsUrl(`/${session.id}`), {
+          method: 'PATCH',
+          body: JSON.stringify({ filename: name.trim() })
+        });
+        filename = data.filename;
+        complete = data.complete === true;
+      } catch (error) {
+        question = `${error.message}. Save the upload as:`;
+      }
+    }
+  } catch (error) {
+    if (upload.cancelled) return;
+    progress.textContent = error.message;
+    bar.style.background = '#f44336';
+    showStatus(`Upload of ${file.name} failed: ${error.message}`, 'error');
+    return;
+  }
+
+  showProgress(file.size);
+  bar.style.background = '#4CAF50';
+  addLog(`Uploaded ${escapeHTML(file.name)}`, 'success');
+  setTimeout(() => removeUploadRow(row), 3000);
+  reloadFileBrowser();
+  refreshFileTools();
+}
+
+// One after another, so a big batch doesn't split the bandwidth into slow trickles
+async function uploadFiles(files) {
+  for (const file of files) {
+    await uploadFile(file);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('upload-input');
+  document.getElementById('upload-btn').addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    const files = [...input.files];
+    input.value = '';
+    if (files.length > 0) uploadFiles(files);
+  });
+});
+
+// ==================== Viewer Votes ====================
+let activeVoteType = null;
+
+socket.on('vote-status', (status) => {
+  if (status.ended) {
+    addLog(`Viewer vote to ${status.ended.label} ${status.ended.outcome}`, status.ended.outcome === 'passed' ? 'success' : 'info');
+  }
+  if (status.active && status.type !== activeVoteType) {
+    addLog(`${status.startedBy} started a vote to ${status.label} (${status.votes}/${status.needed})`, 'info');
+  }
+  activeVoteType = status.active ? status.type : null;
+});
+
+// ==================== Sync Health ====================
+const SOURCE_LABELS = {
+  server: 'Server',
+  bsl: 'BSL-S²',
+  youtube: 'YouTube',
+  image: 'Image',
+  external: 'Embed'
+};
+
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const mins = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+function renderSyncHealth(health) {
+  const body = document.getElementById('health-table-body');
+  const summary = document.getElementById('health-summary');
+  if (!body) return;
+
+  if (!health.clients || health.clients.length === 0) {
+    body.innerHTML = '<tr><td colspan="9" class="empty-message">No client reports yet</td></tr>';
+    if (summary) summary.textContent = '';
+    return;
+  }
+
+  let worstDrift = 0;
+  let html = '';
+  health.clients.forEach(client => {
+    let driftText = '-';
+    let driftClass = '';
+    if (!client.onCurrentItem) {
+      driftText = 'Other item';
+      driftClass = 'drift-bad';
+    } else if (client.drift !== null) {
+      const absDrift = Math.abs(client.drift);
+      worstDrift = Math.max(worstDrift, absDrift);
+      driftText = `${client.drift >= 0 ? '+' : ''}${Math.round(client.drift * 1000)}ms`;
+      driftClass = absDrift < 0.25 ? 'drift-ok' : absDrift < 1 ? 'drift-warn' : 'drift-bad';
+    }
+
+    const position = client.currentTime !== null
+      ? `${client.isPlaying ? '▶' : '⏸'} ${formatClock(client.currentTime)}`
+      : '-';
+    const dropped = client.totalFrames
+      ? `${client.droppedFrames}/${client.totalFrames}`
+      : '-';
+    const speed = client.playbackRate ? `${client.playbackRate.toFixed(2)}x` : '-';
+    const waiting = client.ready === false ? ' ⏳' : '';
+    const hasRemote = remoteStatus.holder && remoteStatus.holder.socketId === client.socketId;
+    const remoteButton = remoteStatus.enabled && !hasRemote
+      ? ` <button class="btn btn-sm btn-secondary" data-socket-id="${escapeHTML(client.socketId)}"
+          onclick="grantRemoteTo(this)" title="Give this viewer the remote">🎮</button>`
+      : '';
+
+    html += `
+      <tr class="${client.stale ? 'stale' : ''}">
+        <td style="color: #2196F3;">${escapeHTML(client.name)}${waiting}${hasRemote ? ' 🎮' : ''}</td>
+        <td>${position}</td>
+        <td class="${driftClass}">${driftText}</td>
+        <td>${client.bufferedAhead.toFixed(1)}s</td>
+        <td>${speed}</td>
+        <td>${dropped}</td>
+        <td>${SOURCE_LABELS[client.source] || '-'}</td>
+        <td style="color: #f44336; max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"
+          title="${escapeHTML(client.lastError || '')}">${escapeHTML(client.lastError || '')}</td>
+        <td><button class="btn btn-sm btn-secondary" data-socket-id="${escapeHTML(client.socketId)}"
+          onclick="forceResyncClient(this)">Resync</button>${remoteButton}</td>
+      </tr>
+    `;
+  });
+
+  body.innerHTML = html;
+  if (summary) {
+    summary.textContent = `${health.clients.length} reporting · worst drift ${Math.round(worstDrift * 1000)}ms`;
+  }
+}
+
+function forceResyncClient(btn) {
+  const socketId = btn.dataset.socketId;
+  if (!socketId) return;
+  socket.emit('force-resync', { socketId });
+  addLog(`Forced resync of client ${socketId.slice(-4)}`, 'info');
+}
+
+socket.on('sync-health', renderSyncHealth);
+
+// Handle sync event to update speed
+socket.on('sync', (state) => {
+  if (state.playbackRate !== undefined && state.playbackRate !== currentSpeed) {
+    currentSpeed = state.playbackRate;
+    updateSpeedDisplay();
+  }
+
+  // Existing sync logic for time update
+  if (state.currentTime !== undefined) {
+    // Clamp to 0 to prevent negative values from rewind
+    const totalSecs = Math.max(0, Math.floor(state.currentTime));
+    const hours = Math.floor(totalSecs / 3600);
+    const mins = Math.floor((totalSecs % 3600) / 60);
+    const secs = totalSecs % 60;
+    const timeStr = hours > 0
+      ? `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+      : `${mins}:${secs.toString().padStart(2, '0')}`;
+    const displayEl = document.getElementById('current-time-display');
+    if (displayEl) displayEl.textContent = `Current: ${timeStr} (${totalSecs}s)`;
+  }
+});
+
+// Handle admin auth result
+socket.on('admin-auth-result', (result) => {
+  const authScreen = document.getElementById('auth-screen');
+  const authContent = document.getElementById('auth-content');
+  const adminUI = document.getElementById('admin-ui');
+
+  if (result.success) {
+    // Hide auth screen and show admin UI
+    authScreen.classList.add('hidden');
+    adminUI.classList.add('authenticated');
+    // Initialize nav indicator now that UI is visible
+    initNavIndicator();
+  } else {
+    // Show access denied message in auth screen (escape the reason to prevent XSS)
+    const safeReason = escapeHTML(result.reason || 'Access denied');
+    authContent.innerHTML = `
+          <div class="auth-denied">
+            <div style="font-size: 48px; margin-bottom: 20px;">🔒</div>
+            <h1 style="color: #f44336; margin-bottom: 15px;">Access Denied</h1>
+            <p style="color: #ccc; margin-bottom: 20px;">${safeReason}</p>
+            <p style="color: #888; font-size: 14px;">
+              If you need to reset admin access, delete the file:<br>
+              <code style="background: rgba(255,255,255,0.1); padding: 5px 10px; border-radius: 4px;">memory.json</code>
+            </p>
+          </div>
+        `;
+  }
+});
+
+let bslStatus = null;
+
+socket.on('bsl-check-started', (data) => {
+  addLog(`BSL-S² check started (${data.clientCount} clients)`, 'info');
+  if (data.clientCount === 0) {
+    document.getElementById('bsl-modal-body').innerHTML =
+      '<div class="empty-message">No clients connected yet.</div>';
+  }
+});
+
+socket.on('bsl-status-update', (data) => {
+  bslStatus = data;
+  renderBslModal(data);
+  // Log BSL status summary
   if (data.clients && data.clients.length > 0) {
     const totalMatches = data.clients.reduce((sum, c) => sum + Object.keys(c.matchedVideos).length, 0);
     addLog(`BSL-S² update: ${data.clients.length} clients, ${totalMatches} total matches`, 'success');
@@ -2234,35 +3644,43 @@ async function handleExternalUrlInput(url) {
   }
 }
 
+// Build a playlist item for detected external content
+function createExternalItem(data) {
+  return {
+    filename: data.title,
+    isExternal: true,
+    platform: data.platform,
+    platformName: data.platformName,
+    externalId: data.id,
+    externalUrl: data.url,
+    syncLevel: data.syncLevel,
+    badge: data.badge,
+    title: data.title,
+    thumbnail: data.thumbnail,
+    author: data.author,
+    // Keep backward compatibility with YouTube
+    isYouTube: data.platform === 'youtube',
+    youtubeId: data.platform === 'youtube' ? data.id : null,
+    tracks: { audio: [], subtitles: [] }
+  };
+}
+
 // Add external content to playlist
 function addExternalToPlaylist() {
   if (!currentExternalData) return;
 
-  const entry = {
-    filename: currentExternalData.title,
-    isExternal: true,
-    platform: currentExternalData.platform,
-    platformName: currentExternalData.platformName,
-    externalId: currentExternalData.id,
-    externalUrl: currentExternalData.url,
-    syncLevel: currentExternalData.syncLevel,
-    badge: currentExternalData.badge,
-    title: currentExternalData.title,
-    thumbnail: currentExternalData.thumbnail,
-    author: currentExternalData.author,
-    // Keep backward compatibility with YouTube
-    isYouTube: currentExternalData.platform === 'youtube',
-    youtubeId: currentExternalData.platform === 'youtube' ? currentExternalData.id : null,
-    tracks: { audio: [], subtitles: [] },
-    isNew: true
-  };
+  const entry = { ...createExternalItem(currentExternalData), isNew: true };
 
   // Check if already in playlist
   const isDuplicate = playlist.some(item =>
     item.isExternal && item.platform === entry.platform && item.externalId === entry.externalId
   );
 
-  if (!isDuplicate) {
+  if (!isDuplicate && isPlaylistLive()) {
+    delete entry.isNew;
+    addLiveItems([entry]);
+    closeExternalModal();
+  } else if (!isDuplicate) {
     playlist.push(entry);
     updatePlaylistDisplay();
     updateDashboardStats();
@@ -2292,6 +3710,304 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('external-add-btn').addEventListener('click', addExternalToPlaylist);
 });
 
+// ==================== Playlist Import / Export ====================
+// M3U, extended M3U and XSPF. Entries resolve against /media (case-insensitive,
+// trying shorter relative paths) and against URLs recognised by detectPlatform
+
+function openPlaylistIoModal() {
+  const source = document.getElementById('playlist-export-source');
+  source.innerHTML = '<option value="">Current playlist</option>' + libraryEntries
+    .map(entry => `<option value="${escapeHTML(entry.id)}">${escapeHTML(entry.name)}</option>`)
+    .join('');
+
+  const modal = document.getElementById('playlist-io-modal');
+  modal.classList.add('visible');
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      modal.classList.add('animate');
+    });
+  });
+}
+
+function closePlaylistIoModal() {
+  const modal = document.getElementById('playlist-io-modal');
+  modal.classList.remove('animate');
+  setTimeout(() => modal.classList.remove('visible'), 300);
+}
+
+// Playlist files from other players are often not UTF-8
+function decodePlaylistText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+// Returns [{ location, title, duration }], duration in seconds (-1 if unknown)
+function parseM3u(text) {
+  const entries = [];
+  let pending = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (extinf) {
+        pending = { duration: parseFloat(extinf[1]), title: extinf[2].trim() };
+      }
+      return;
+    }
+
+    entries.push({
+      location: line,
+      title: pending?.title || '',
+      duration: pending && pending.duration > 0 ? pending.duration : -1
+    });
+    pending = null;
+  });
+  return entries;
+}
+
+function parseXspf(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid XSPF file');
+  }
+
+  const childText = (track, tag) => track.getElementsByTagName(tag)[0]?.textContent.trim() || '';
+  return Array.from(doc.getElementsByTagName('track'))
+    .map(track => {
+      const durationMs = parseInt(childText(track, 'duration'), 10);
+      return {
+        location: childText(track, 'location'),
+        title: childText(track, 'title'),
+        duration: durationMs > 0 ? durationMs / 1000 : -1
+      };
+    })
+    .filter(entry => entry.location);
+}
+
+// Candidate media paths for a location, longest first: "C:\Videos\Show\Ep1.mkv"
+// tries "c:/videos/show/ep1.mkv", "videos/show/ep1.mkv", "show/ep1.mkv", "ep1.mkv"
+function mediaPathCandidates(location) {
+  let localPath = location;
+  if (/^file:/i.test(localPath)) {
+    localPath = localPath.replace(/^file:\/*/i, '');
+    try {
+      localPath = decodeURIComponent(localPath);
+    } catch { /* keep as-is */ }
+  }
+
+  const segments = localPath.replace(/\\/g, '/').split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.map((_, i) => segments.slice(i).join('/').toLowerCase());
+}
+
+// Playlist item for a link, null when no supported platform matches
+async function resolveExternalUrl(url) {
+  const detected = detectPlatform(url);
+  if (!detected) return null;
+
+  const info = await fetchExternalInfo(detected.platform, detected.id, url);
+  return createExternalItem({
+    platform: detected.platform,
+    platformName: detected.config.name,
+    id: info.id || detected.id,
+    url,
+    syncLevel: detected.config.syncLevel,
+    badge: detected.config.badge,
+    ...info
+  });
+}
+
+async function resolveImportEntry(entry, mediaByPath) {
+  if (/^https?:\/\//i.test(entry.location)) {
+    const item = await resolveExternalUrl(entry.location);
+    if (!item) return null;
+
+    if (entry.title) item.filename = item.title = entry.title;
+    if (entry.duration > 0) item.duration = entry.duration;
+    return item;
+  }
+
+  const match = mediaPathCandidates(entry.location)
+    .map(candidate => mediaByPath.get(candidate))
+    .find(Boolean);
+  if (!match) return null;
+
+  const item = await createPlaylistItem(match);
+  if (entry.title) item.title = entry.title;
+  if (entry.duration > 0) item.duration = entry.duration;
+  return item;
+}
+
+function renderImportReport(fileName, added, skipped, unresolved) {
+  const report = document.getElementById('playlist-import-report');
+  report.innerHTML = `
+    <p style="margin: 10px 0 5px;">${escapeHTML(fileName)}: added ${added}${skipped ? `, ${skipped} already in playlist` : ''}${unresolved.length ? `, ${unresolved.length} unresolved` : ''}</p>
+    ${unresolved.length ? `
+      <div style="max-height: 150px; overflow-y: auto; font-size: 12px; color: #ef9a9a;">
+        ${unresolved.map(entry => `<div>✖ ${escapeHTML(entry.title ? `${entry.title} (${entry.location})` : entry.location)}</div>`).join('')}
+      </div>` : ''}
+  `;
+}
+
+async function importPlaylistFile(file) {
+  const report = document.getElementById('playlist-import-report');
+  report.innerHTML = '<p style="margin: 10px 0 5px;">Importing...</p>';
+
+  try {
+    const text = decodePlaylistText(await file.arrayBuffer());
+    const entries = /\.xspf$/i.test(file.name) ? parseXspf(text) : parseM3u(text);
+    if (entries.length === 0) {
+      report.innerHTML = '<p style="margin: 10px 0 5px;">No entries found in this file</p>';
+      return;
+    }
+
+    const files = await (await fetch('/api/files')).json();
+    const mediaByPath = new Map(files.map(f => [f.filename.replace(/\\/g, '/').toLowerCase(), f]));
+
+    const resolved = await Promise.all(entries.map(entry => resolveImportEntry(entry, mediaByPath).catch(() => null)));
+    const unresolved = entries.filter((_, i) => !resolved[i]);
+
+    let added = 0;
+    let skipped = 0;
+    resolved.filter(Boolean).forEach(item => {
+      const isDuplicate = playlist.some(existing => item.isExternal
+        ? existing.isExternal && existing.platform === item.platform && existing.externalId === item.externalId
+        : existing.filename === item.filename);
+      if (isDuplicate) {
+        skipped++;
+        return;
+      }
+      playlist.push(item);
+      added++;
+    });
+
+    updatePlaylistDisplay();
+    updateHevcWarning();
+    updateDashboardStats();
+    renderImportReport(file.name, added, skipped, unresolved);
+    addLog(`Imported ${added} items from ${file.name}${unresolved.length ? ` (${unresolved.length} unresolved)` : ''}`, unresolved.length ? 'warning' : 'success');
+  } catch (error) {
+    report.innerHTML = `<p style="margin: 10px 0 5px; color: #ef9a9a;">${escapeHTML(error.message)}</p>`;
+  }
+}
+
+function getItemLocation(item) {
+  if (!item.isExternal) return item.filename;
+  if (item.externalUrl) return item.externalUrl;
+  return item.youtubeId ? `https://www.youtube.com/watch?v=${item.youtubeId}` : null;
+}
+
+function getItemTitle(item) {
+  return item.title || item.filename.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+// Seconds, -1 if unknown. Local media without a stored duration is probed by the server
+async function getItemDuration(item) {
+  if (item.duration > 0) return item.duration;
+  if (item.isExternal) return -1;
+
+  try {
+    const response = await fetch(`/api/duration/${encodeURIComponent(item.filename)}`);
+    const data = await response.json();
+    return data.duration > 0 ? data.duration : -1;
+  } catch {
+    return -1;
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function buildM3u(name, tracks) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  tracks.forEach(track => {
+    lines.push(`#EXTINF:${track.duration > 0 ? Math.round(track.duration) : -1},${track.title}`);
+    lines.push(track.location);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function buildXspf(name, tracks) {
+  const trackXml = tracks.map(track => [
+    '    <track>',
+    `      <location>${escapeXml(/^https?:/i.test(track.location) ? track.location : encodeURI(track.location))}</location>`,
+    `      <title>${escapeXml(track.title)}</title>`,
+    track.duration > 0 ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+    '    </track>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${escapeXml(name)}</title>
+  <trackList>
+${trackXml}
+  </trackList>
+</playlist>
+`;
+}
+
+async function exportPlaylist() {
+  const sourceId = document.getElementById('playlist-export-source').value;
+  const format = document.getElementById('playlist-export-format').value;
+
+  try {
+    let name = currentRoomName || 'Sync-Player Playlist';
+    let items = playlist;
+    if (sourceId) {
+      const entry = await libraryRequest(`/${sourceId}`);
+      name = entry.name;
+      items = entry.items;
+    }
+    if (items.length === 0) {
+      showStatus('Playlist is empty!', 'error');
+      return;
+    }
+
+    const tracks = await Promise.all(items
+      .filter(item => getItemLocation(item))
+      .map(async item => ({
+        location: getItemLocation(item),
+        title: getItemTitle(item),
+        duration: await getItemDuration(item)
+      })));
+
+    const content = format === 'xspf' ? buildXspf(name, tracks) : buildM3u(name, tracks);
+    const blob = new Blob([content], { type: format === 'xspf' ? 'application/xspf+xml' : 'audio/x-mpegurl' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    addLog(`Exported "${name}" as ${format.toUpperCase()} (${tracks.length} items)`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const importInput = document.getElementById('playlist-import-input');
+  document.getElementById('playlist-io-btn').addEventListener('click', openPlaylistIoModal);
+  document.getElementById('playlist-io-modal-close').addEventListener('click', closePlaylistIoModal);
+  document.getElementById('playlist-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) importPlaylistFile(importInput.files[0]);
+    importInput.value = '';
+  });
+  document.getElementById('playlist-export-btn').addEventListener('click', exportPlaylist);
+});
+
 // ==========================================
 // FFmpeg Tools Logic
 // ==========================================
@@ -2371,6 +4087,32 @@ async function scanEncoders() {
   }
 }
 
+// Episode checkboxes for intro/credits detection, keeping what was ticked
+function populateDetectFileList(files) {
+  const list = document.getElementById('detect-file-list');
+  if (!list) return;
+
+  const checked = new Set([...list.querySelectorAll('input:checked')].map(input => input.value));
+  const videos = files.filter(file => /\.(mkv|mp4|avi|mov)$/i.test(file.filename));
+  list.innerHTML = '';
+
+  if (videos.length === 0) {
+    list.innerHTML = '<div style="color: #888; font-size: 12px;">No media files found</div>';
+    return;
+  }
+
+  videos.forEach(file => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = file.filename;
+    input.checked = checked.has(file.filename);
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(file.filename));
+    list.appendChild(label);
+  });
+}
+
 // Refresh file lists for dropdowns
 function refreshFfmpegFileList() {
   const inputs = ['remux-file-input', 'reencode-file-input', 'extract-file-input'];
@@ -2422,6 +4164,7 @@ async function refreshFfmpegJobs() {
                      ${job.filename} <span style="opacity:0.5">(${job.preset || ''})</span>
                   </div>
                   ${job.error ? `<div style="color:#ff1744; font-size:11px;">Error: ${job.error}</div>` : ''}
+                  ${job.result ? `<div style="color:#00e676; font-size:11px;">${escapeHTML(job.result)}</div>` : ''}
                   ${job.status === 'running' ? `
                     <div style="background:rgba(255,255,255,0.1); height:4px; border-radius:2px; margin-top:5px; overflow:hidden;">
                        <div style="background:#2979ff; width:${job.progress}%; height:100%;"></div>
@@ -2456,6 +4199,14 @@ async function runFfmpegPreset(type) {
     filename = document.getElementById('extract-file-input').value;
     preset = document.getElementById('extract-format').value;
     options.trackType = document.getElementById('extract-type').value;
+  } else if (type === 'detect-intro') {
+    options.filenames = [...document.querySelectorAll('#detect-file-list input:checked')].map(input => input.value);
+    if (options.filenames.length < 2) {
+      showStatus('Select at least two episodes', 'error');
+      return;
+    }
+    filename = options.filenames[0];
+    preset = `${options.filenames.length} files`;
   }
 
   if (!filename) {
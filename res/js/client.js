@@ -1,6 +1,7 @@
 const video = document.getElementById('video');
 const preloadVideo = document.getElementById('preload-video');
 const imageDisplay = document.getElementById('image-display');
+const imageDisplayPrev = document.getElementById('image-display-prev');
 const waitingMessage = document.getElementById('waiting-message');
 const statusEl = document.getElementById('status');
 const currentTrackInfoEl = document.getElementById('current-track-info');
@@ -50,6 +51,7 @@ function hideAllPlayers() {
   youtubeContainer.classList.remove('visible');
   video.style.opacity = '0.001';
   imageDisplay.style.display = 'none';
+  stopImageTransition();
   if (mediaPlaceholder) mediaPlaceholder.style.display = 'none';
 
   // Disable subtitles
@@ -71,12 +73,16 @@ function hideAllPlayers() {
 }
 
 // Generic handler for external video ending
+// Report that the current item ended, the server picks what plays next (repeat, shuffle,
+// stop). The version lets it ignore the same report from other clients
+function requestNextItem() {
+  if (currentPlaylist.videos.length === 0) return;
+  socket.emit('playlist-next', { index: currentPlaylist.currentIndex, version: serverStateVersion });
+}
+
 function handleVideoEnded() {
   console.log('External video ended');
-  if (currentPlaylist.videos.length > 0) {
-    const nextIndex = (currentPlaylist.currentIndex + 1) % currentPlaylist.videos.length;
-    socket.emit('playlist-next', nextIndex);
-  }
+  requestNextItem();
 }
 
 // Load external content (Vimeo, Twitch, etc.)
@@ -96,6 +102,8 @@ function loadExternalContent(platform, id, url) {
   }
 
   currentMediaIsYouTube = false;
+  mediaLoading = false; // These embeds don't report buffering, treat as ready
+  reportBufferState();
 
   try {
     switch (platform) {
@@ -198,7 +206,14 @@ function loadExternalContent(platform, id, url) {
 let currentMediaIsYouTube = false;
 let ytApiLoaded = false;
 
-const socket = io();
+// Reconnection uses socket.io's exponential backoff with jitter. The auth
+// payload tells the server a reconnecting client is resuming rather than joining.
+const socket = io({
+  reconnectionDelay: 1000,
+  reconnectionDelayMax: 30000,
+  randomizationFactor: 0.5,
+  auth: (cb) => cb(hasConnectedBefore ? { resume: true, version: serverStateVersion } : {})
+});
 
 // Debug Configuration
 const DEBUG_MODE = false;
@@ -214,7 +229,6 @@ let currentPlaylist = {
 let currentVideoInfo = null;
 let mainVideoStartTime = 0;
 let currentServerRate = 1.0;
-let speedReloadTimeout = null;
 let videoLoadAttempts = 0;
 const maxVideoLoadAttempts = 3;
 let lastAppliedAudioTrack = null;
@@ -228,6 +242,10 @@ let volumeStep = 0.05;
 let clientControlsDisabled = false; // When true, client controls are view-only
 let chatEnabled = true; // When false, chat widget is hidden
 let maxVolume = 100; // Maximum volume cap (100-1000%)
+let driftSeekThreshold = 1.5; // Drift (seconds) beyond which we hard-seek instead of nudging speed
+let voteEnabled = false; // Viewers can vote to skip/pause/rewind
+let imageDuration = 10; // Seconds an image stays up when the item has no out point (0 = until skipped)
+let imageTransition = 'none'; // Default image transition: none, crossfade or kenburns
 
 // Web Audio API for volume amplification above 100%
 let audioContext = null;
@@ -278,6 +296,9 @@ function getVolume() {
 
 let lastUpdate = Date.now();
 let hasInitialSync = false; // Prevent new clients from broadcasting until synced
+let serverStateVersion = null; // Version of the last server state we received
+let hasConnectedBefore = false; // Set after the first connect, marks later connects as resumes
+let isResuming = false; // Reconnected, waiting for the first playlist to reconcile against
 
 function showTemporaryMessage(message, duration = 2000) {
   statusEl.textContent = message;
@@ -295,18 +316,25 @@ function showTrackInfo(message, duration = 3000) {
 
 // Send control event to server - ONLY if we have received initial sync
 function sendControlEvent() {
-  if (clientControlsDisabled) return;
+  if (clientControlsDisabled || !hasRemote()) return;
+  // The hidden video element says nothing about an image item
+  if (currentMediaIsImage) return;
 
-  if (!hasInitialSync) {
+  if (!hasInitialSync || serverStateVersion === null) {
     console.log('Skipping control event - waiting for initial sync');
     return;
   }
+
+  // Our own play/pause/seeked events fired while applying a sync - not a user action
+  if (isEchoOfServerState()) return;
+
   socket.emit('control', {
     isPlaying: !video.paused,
     currentTime: video.currentTime,
     duration: video.duration,
     volume: video.volume,
     currentVideoIndex: currentPlaylist.currentIndex,
+    baseVersion: serverStateVersion
   });
 }
 
@@ -335,9 +363,95 @@ function getClientFingerprint() {
 
 const clientFingerprint = getClientFingerprint();
 
+// ==================== Clock Sync ====================
+// NTP-style estimation of the offset between our clock and the server's clock,
+// so sync payloads can be projected to "right now" instead of applied as-is
+const CLOCK_SYNC_SAMPLES = 5;         // Pings per round, best (lowest RTT) sample wins
+const CLOCK_SYNC_SAMPLE_GAP = 150;    // ms between pings in a round
+const CLOCK_SYNC_INTERVAL = 30000;    // ms between rounds
+let clockOffset = 0;                  // serverClock - clientClock in ms
+let clockRtt = 0;                     // Round trip time of the best sample in ms
+let hasClockSync = false;
+let clockSyncTimer = null;
+
+function sendClockPing() {
+  return new Promise((resolve) => {
+    const t0 = Date.now();
+    socket.timeout(2000).emit('time-sync', t0, (err, response) => {
+      if (err || !response) return resolve(null);
+      const t3 = Date.now();
+      const { serverReceivedAt: t1, serverSentAt: t2 } = response;
+      resolve({
+        offset: ((t1 - t0) + (t2 - t3)) / 2,
+        rtt: (t3 - t0) - (t2 - t1)
+      });
+    });
+  });
+}
+
+async function runClockSync() {
+  let best = null;
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+    if (!socket.connected) return;
+    const sample = await sendClockPing();
+    if (sample && (!best || sample.rtt < best.rtt)) best = sample;
+    await new Promise(resolve => setTimeout(resolve, CLOCK_SYNC_SAMPLE_GAP));
+  }
+  if (!best) return;
+
+  clockOffset = best.offset;
+  clockRtt = best.rtt;
+  hasClockSync = true;
+  debugLog(`[Clock] offset=${Math.round(clockOffset)}ms rtt=${Math.round(clockRtt)}ms`);
+}
+
+function startClockSync() {
+  if (clockSyncTimer) clearInterval(clockSyncTimer);
+  runClockSync();
+  clockSyncTimer = setInterval(runClockSync, CLOCK_SYNC_INTERVAL);
+}
+
+function stopClockSync() {
+  if (clockSyncTimer) clearInterval(clockSyncTimer);
+  clockSyncTimer = null;
+}
+
+// Current time on the server clock
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+// Milliseconds until a server timestamp, falling back to the payload's send stamp
+function msUntilServerTime(serverTimestamp, state) {
+  if (hasClockSync) return serverTimestamp - serverNow();
+  if (typeof state.serverTime === 'number') return serverTimestamp - state.serverTime;
+  return 0;
+}
+
+// Project a sync payload to where playback should be right now.
+// state.lastUpdate is the server time the state was valid at; without a clock
+// estimate yet, fall back to the server's send stamp plus half an RTT
+function projectServerTime(state) {
+  if (!state.isPlaying || typeof state.lastUpdate !== 'number') return state.currentTime;
+
+  let elapsedMs;
+  if (hasClockSync) {
+    elapsedMs = serverNow() - state.lastUpdate;
+  } else if (typeof state.serverTime === 'number') {
+    elapsedMs = state.serverTime - state.lastUpdate;
+  } else {
+    return state.currentTime;
+  }
+
+  return state.currentTime + Math.max(0, elapsedMs) / 1000 * (state.playbackRate || 1.0);
+}
+
 socket.on('connect', () => {
-  console.log('Connected to server');
-  showTemporaryMessage('Connected', 1000);
+  isResuming = hasConnectedBefore;
+  hasConnectedBefore = true;
+  console.log(isResuming ? 'Reconnected to server, resuming' : 'Connected to server');
+  showTemporaryMessage(isResuming ? 'Reconnected' : 'Connected', 1000);
+  startClockSync();
 
   // Check if we're in a room (server mode URL: /watch/:roomCode)
   const pathMatch = window.location.pathname.match(/^\/watch\/([A-Z0-9]{6})$/i);
@@ -361,18 +475,51 @@ socket.on('connect', () => {
       }
     });
   } else {
-    // Legacy mode - direct connection
-    socket.emit('request-initial-state');
+    // Legacy mode - direct connection. The server pushes the playlist and sync
+    // on every connect, so a resuming client doesn't need the full initial state.
+    if (!isResuming) socket.emit('request-initial-state');
     socket.emit('client-register', { fingerprint: clientFingerprint });
   }
 });
 
-socket.on('disconnect', () => {
-  console.log('Disconnected from server');
-  showTemporaryMessage('Disconnected', 0);
+socket.on('disconnect', (reason) => {
+  console.log('Disconnected from server:', reason);
+  // Playback keeps running locally from the last known timeline until we reconnect
+  showTemporaryMessage('Connection lost - reconnecting...', 0);
   hasInitialSync = false; // Reset on disconnect
+  stopClockSync();
+  lastReportedReady = null; // New socket id on reconnect, report again
+
+  // socket.io doesn't retry after a server-side disconnect, so retry manually
+  if (reason === 'io server disconnect') {
+    setTimeout(() => socket.connect(), 1000 + Math.random() * 2000);
+  }
+});
+
+socket.io.on('reconnect_attempt', (attempt) => {
+  showTemporaryMessage(`Reconnecting... (attempt ${attempt})`, 0);
 });
 
+// Whether a playlist from the server is still on the item we have loaded
+function isSameCurrentItem(playlist) {
+  const incoming = playlist.videos?.[playlist.currentIndex];
+  return !!incoming && !!currentVideoInfo && incoming.filename === currentVideoInfo.filename;
+}
+
+// A resuming client keeps its loaded media when the server is still on the same
+// item, the following sync then reconciles the position through drift correction
+function resumeCurrentItem(playlist) {
+  if (!isResuming) return false;
+  isResuming = false;
+  if (!isSameCurrentItem(playlist)) return false;
+
+  currentPlaylist = playlist;
+  currentVideoInfo = playlist.videos[playlist.currentIndex];
+  hasInitialSync = true;
+  console.log('Resumed current item without reloading:', currentVideoInfo.filename);
+  return true;
+}
+
 // Handle room deleted event (server mode)
 socket.on('room-deleted', () => {
   showTemporaryMessage('Room was closed by admin', 3000);
@@ -391,6 +538,10 @@ socket.on('config', (config) => {
   clientControlsDisabled = config.clientControlsDisabled || false;
   chatEnabled = config.chatEnabled !== false; // Default to true
   maxVolume = config.maxVolume || 100; // Default to 100%
+  driftSeekThreshold = config.driftSeekThreshold || 1.5;
+  voteEnabled = config.voteEnabled === true;
+  if (typeof config.imageDuration === 'number') imageDuration = config.imageDuration;
+  if (config.imageTransition) imageTransition = config.imageTransition;
 
   // Subtitle renderer mode from config
   if (config.subtitleRenderer && ['wsr', 'jassub'].includes(config.subtitleRenderer)) {
@@ -414,7 +565,7 @@ socket.on('config', (config) => {
 
   console.log(`Config received: skipSeconds=${skipSeconds}, volumeStep=${volumeStep}, clientControlsDisabled=${clientControlsDisabled}, chatEnabled=${chatEnabled}, maxVolume=${maxVolume}, subtitleRenderer=${subtitleRendererMode}`);
   if (clientControlsDisabled) {
-    showTemporaryMessage('View-only mode (controls disabled)', 3000);
+    showTemporaryMessage(voteEnabled ? 'View-only mode (tap to vote)' : 'View-only mode (controls disabled)', 3000);
   }
 });
 
@@ -442,7 +593,11 @@ function escapeHtml(text) {
 socket.on('initial-state', (state) => {
   debugLog('Received initial state:', state);
   currentPlaylist = state.playlist;
+  setEndScreen(currentPlaylist.ended === true);
   mainVideoStartTime = state.mainVideoStartTime || 0;
+  if (state.videoState && typeof state.videoState.version === 'number') {
+    serverStateVersion = state.videoState.version;
+  }
 
   if (currentPlaylist.videos.length > 0) {
     const videoToPreload = (currentPlaylist.mainVideoIndex >= 0 && currentPlaylist.videos.length > currentPlaylist.mainVideoIndex)
@@ -466,6 +621,7 @@ socket.on('initial-state', (state) => {
 
 socket.on('playlist-position', (index) => {
   currentPlaylist.currentIndex = index;
+  setEndScreen(false);
   if (currentPlaylist.videos.length > 0 && index >= 0) {
     waitingMessage.style.display = 'none';
     video.style.opacity = '1';
@@ -480,6 +636,12 @@ socket.on('playlist-position', (index) => {
 
 socket.on('playlist-update', (playlist) => {
   debugLog('Received playlist update:', playlist);
+  setEndScreen(playlist.ended === true);
+  if (resumeCurrentItem(playlist)) return;
+  showPlaylist(playlist);
+});
+
+function showPlaylist(playlist) {
   currentPlaylist = playlist;
 
   const vCount = currentPlaylist.videos ? currentPlaylist.videos.length : 0;
@@ -495,6 +657,66 @@ socket.on('playlist-update', (playlist) => {
     waitingMessage.style.display = 'block';
     currentPlatform = 'local';
   }
+}
+
+// ==================== Live Playlist Edits ====================
+// The admin can add, remove and move items while something plays. Edits arrive as
+// small diffs and never reload the current item; when the current item itself goes
+// away the server follows up with a sync and playlist-position as for a skip.
+function applyPlaylistEdit(playlist, edit) {
+  switch (edit.op) {
+    case 'insert':
+      playlist.videos.splice(edit.index, 0, ...edit.items);
+      break;
+    case 'remove':
+      playlist.videos.splice(edit.index, 1);
+      break;
+    case 'move': {
+      const [item] = playlist.videos.splice(edit.from, 1);
+      playlist.videos.splice(edit.to, 0, item);
+      break;
+    }
+    case 'update':
+      playlist.videos[edit.index] = edit.item;
+      break;
+  }
+  playlist.currentIndex = edit.currentIndex;
+  playlist.mainVideoIndex = edit.mainVideoIndex;
+  playlist.revision = edit.revision;
+}
+
+socket.on('playlist-edit', (edit) => {
+  const revision = currentPlaylist.revision || 0;
+  if (edit.revision <= revision) return; // Already covered by a full update
+
+  // Missed an edit in between, fetch the whole playlist instead
+  if (edit.revision !== revision + 1) {
+    socket.emit('get-playlist');
+    return;
+  }
+
+  debugLog('Applying playlist edit:', edit);
+  applyPlaylistEdit(currentPlaylist, edit);
+  // Same media, new in/out points or segments
+  if (edit.op === 'update' && edit.index === currentPlaylist.currentIndex) {
+    currentVideoInfo = edit.item;
+  }
+});
+
+// The server jumped over a skip segment of the current item, the sync follows
+socket.on('segment-skipped', (segment) => {
+  showTemporaryMessage(`⏭ Skipped ${segment.label || 'segment'}`, 2000);
+});
+
+socket.on('playlist-snapshot', (playlist) => {
+  debugLog('Received playlist snapshot:', playlist);
+  if (isSameCurrentItem(playlist)) {
+    currentPlaylist = playlist;
+    currentVideoInfo = playlist.videos[playlist.currentIndex];
+    return;
+  }
+  setEndScreen(playlist.ended === true);
+  showPlaylist(playlist);
 });
 
 socket.on('track-change', (data) => {
@@ -524,12 +746,7 @@ socket.on('track-change', (data) => {
   }
 });
 
-video.addEventListener('ended', () => {
-  if (currentPlaylist.videos.length > 0) {
-    const nextIndex = (currentPlaylist.currentIndex + 1) % currentPlaylist.videos.length;
-    socket.emit('playlist-next', nextIndex);
-  }
-});
+video.addEventListener('ended', requestNextItem);
 
 function loadCurrentVideo() {
   debugLog('loadCurrentVideo called');
@@ -625,6 +842,7 @@ function loadCurrentVideo() {
 
 function handlePlaybackError(error) {
   console.log('Playback error:', error);
+  lastPlaybackError = error?.message || String(error);
   waitingMessage.style.display = 'block';
   video.style.opacity = '0.001';
   showTemporaryMessage('Playback failed. Please check file format.', 3000);
@@ -1111,30 +1329,13 @@ socket.on('sync', (state) => {
   // Apply BSL-S² drift if set for current video
   const playlistIdx = currentPlaylist.currentIndex;
   const drift = bslDriftValues[playlistIdx] || 0;
-  const targetTime = state.currentTime + drift;  // Positive drift = client ahead, negative = client behind
+  const targetTime = projectServerTime(state) + drift;  // Positive drift = client ahead, negative = client behind
 
   if (Math.abs(video.currentTime - targetTime) > 0.5) {
     video.currentTime = Math.max(0, targetTime);  // Don't go negative
   }
 
-  const syncedRate = state.playbackRate || 1.0;
-  currentServerRate = syncedRate;
-
-  // If speed changed significantly, force a reload/re-sync as requested by user
-  if (Math.abs(video.playbackRate - syncedRate) > 0.01) {
-    console.log(`[Sync] Speed changed to ${syncedRate}x. Scheduling reload...`);
-    showTemporaryMessage(`Speed: ${syncedRate}x`);
-
-    // Clear existing timeout to debounce rapid changes
-    if (speedReloadTimeout) clearTimeout(speedReloadTimeout);
-
-    // Wait 800ms before reloading to allow for multiple clicks
-    speedReloadTimeout = setTimeout(() => {
-      console.log('[Debounce] Executing reload for speed change...');
-      video.playbackRate = syncedRate;
-      loadCurrentVideo();
-    }, 800);
-  }
+  applyPlaybackRate(state.playbackRate || 1.0);
 
   if (state.audioTrack !== undefined && state.audioTrack !== currentAudioTrack) {
     currentAudioTrack = state.audioTrack;
@@ -1159,6 +1360,665 @@ socket.on('sync', (state) => {
   }
 });
 
+// ==================== Drift Correction ====================
+// Small drift is closed by nudging playbackRate instead of seeking, since every
+// seek is a visible stutter (especially on WebDisplays screens). Only drift
+// beyond driftSeekThreshold falls back to a hard seek.
+const DRIFT_DEADBAND = 0.04;     // Seconds of drift considered in sync
+const DRIFT_NUDGE_GAIN = 0.25;   // Rate deviation per second of drift
+const DRIFT_MAX_NUDGE = 0.05;    // Cap on rate deviation (±5%)
+let driftTarget = null;          // Last projected server position: { time, at, rate, isPlaying }
+
+function setDriftTarget(time, isPlaying, rate) {
+  driftTarget = { time, at: performance.now(), rate: isPlaying ? rate : 0, isPlaying };
+}
+
+function clearDriftTarget() {
+  driftTarget = null;
+}
+
+// Where the server timeline says the video should be right now
+function expectedVideoTime() {
+  if (!driftTarget) return null;
+  return driftTarget.time + (performance.now() - driftTarget.at) / 1000 * driftTarget.rate;
+}
+
+function correctDrift() {
+  const target = expectedVideoTime();
+  if (target === null || video.seeking || video.readyState < 2) return;
+
+  const drift = video.currentTime - target; // Positive = we're ahead
+  const absDrift = Math.abs(drift);
+
+  // Paused: nothing to nudge, seek only if noticeably off
+  if (video.paused) {
+    if (absDrift > 0.5) video.currentTime = Math.max(0, target);
+    return;
+  }
+
+  if (absDrift > driftSeekThreshold) {
+    debugLog(`[Drift] ${drift.toFixed(2)}s off, hard seeking`);
+    video.currentTime = Math.max(0, target);
+    video.playbackRate = currentServerRate;
+    return;
+  }
+
+  if (absDrift <= DRIFT_DEADBAND) {
+    if (video.playbackRate !== currentServerRate) video.playbackRate = currentServerRate;
+    return;
+  }
+
+  // Slow down when ahead, speed up when behind
+  const nudge = Math.min(DRIFT_MAX_NUDGE, absDrift * DRIFT_NUDGE_GAIN) * (drift > 0 ? -1 : 1);
+  video.playbackRate = currentServerRate * (1 + nudge);
+}
+
+video.addEventListener('timeupdate', correctDrift);
+
+// ==================== Playback Rate ====================
+// Rate changes are applied in place on whichever player is active. The server
+// re-anchors the timeline at the old rate before switching, so only players that
+// refuse the new rate fall back to a reload.
+function snapToAvailableRate(rate, available) {
+  if (!Array.isArray(available) || available.length === 0) return rate;
+  return available.reduce((best, r) => Math.abs(r - rate) < Math.abs(best - rate) ? r : best, available[0]);
+}
+
+function applyPlaybackRate(rate) {
+  if (rate === currentServerRate) return;
+  currentServerRate = rate;
+  debugLog(`[Rate] Applying ${rate}x in place`);
+  showTemporaryMessage(`Speed: ${rate}x`);
+
+  if (currentMediaIsYouTube) {
+    if (!ytPlayer || !ytPlayerReady || typeof ytPlayer.setPlaybackRate !== 'function') return;
+    const available = typeof ytPlayer.getAvailablePlaybackRates === 'function' ? ytPlayer.getAvailablePlaybackRates() : null;
+    ytPlayer.setPlaybackRate(snapToAvailableRate(rate, available));
+    return;
+  }
+
+  switch (currentPlatform) {
+    case 'vimeo':
+      // Only supported on some Vimeo plans, the embed rejects it otherwise
+      if (vimeoPlayer) {
+        vimeoPlayer.setPlaybackRate(rate).catch(() => showTemporaryMessage('Speed not supported by this video', 2000));
+      }
+      return;
+    case 'dailymotion':
+      if (dmPlayer && typeof dmPlayer.setPlaybackSpeed === 'function') {
+        dmPlayer.setPlaybackSpeed(rate);
+      } else {
+        showTemporaryMessage('Speed not supported by this player', 2000);
+      }
+      return;
+    case 'twitch':
+    case 'soundcloud':
+    case 'streamable':
+    case 'gdrive':
+    case 'kick':
+    case 'rumble':
+    case 'iframe':
+      showTemporaryMessage('Speed not supported by this player', 2000);
+      return;
+  }
+
+  // Local and direct URL video. Both subtitle renderers read video.currentTime (JASSUB
+  // per video frame, the built-in one on timeupdate), so they need no extra handling.
+  try {
+    video.playbackRate = rate;
+  } catch (e) {
+    console.warn('[Rate] Player rejected rate change, reloading:', e);
+    loadCurrentVideo();
+  }
+}
+
+// True when the local video matches what the server last told us
+function isEchoOfServerState() {
+  const target = expectedVideoTime();
+  if (target === null) return false;
+  return video.paused !== driftTarget.isPlaying && Math.abs(video.currentTime - target) < 1.0;
+}
+
+// ==================== Image Slideshow ====================
+// Images play on the server timeline like video: the server advances them after their
+// display time, and transitions are drawn from the shared position so every client shows
+// the same frame. Nothing is animated locally on its own clock.
+const IMAGE_CROSSFADE_SECONDS = 1;
+const KEN_BURNS_FALLBACK_SECONDS = 30; // Motion length for images that stay until skipped
+const KEN_BURNS_MOTIONS = [
+  { zoomIn: true, x: -1, y: 0 },
+  { zoomIn: true, x: 1, y: 0 },
+  { zoomIn: false, x: 0, y: -1 },
+  { zoomIn: false, x: 0, y: 1 },
+  { zoomIn: true, x: 1, y: 1 },
+  { zoomIn: false, x: -1, y: -1 }
+];
+let imageTimeline = null; // Last server position for the image: { time, at, rate }, null until synced
+let imageFrameRequest = null;
+
+function setImageTimeline(state) {
+  imageTimeline = { time: state.currentTime, at: performance.now(), rate: state.isPlaying ? (state.playbackRate || 1.0) : 0 };
+  requestImageFrame();
+}
+
+function imageTimelineNow(item) {
+  if (!imageTimeline) return item.startTime || 0;
+  return imageTimeline.time + (performance.now() - imageTimeline.at) / 1000 * imageTimeline.rate;
+}
+
+function getImageTransition(item) {
+  return item.transition || imageTransition;
+}
+
+// Same motion for the same file on every client
+function getKenBurnsMotion(filename) {
+  let hash = 0;
+  for (let i = 0; i < filename.length; i++) hash = (hash * 31 + filename.charCodeAt(i)) | 0;
+  return KEN_BURNS_MOTIONS[Math.abs(hash) % KEN_BURNS_MOTIONS.length];
+}
+
+function renderImageFrame() {
+  imageFrameRequest = null;
+  const item = currentPlaylist.videos[currentPlaylist.currentIndex];
+  if (!currentMediaIsImage || !item) return;
+
+  const startTime = item.startTime || 0;
+  const elapsed = Math.max(0, imageTimelineNow(item) - startTime);
+  const transition = getImageTransition(item);
+
+  if (transition === 'crossfade' && imageDisplayPrev.style.display !== 'none') {
+    const fade = Math.min(1, elapsed / IMAGE_CROSSFADE_SECONDS);
+    imageDisplayPrev.style.opacity = String(1 - fade);
+    if (fade >= 1) imageDisplayPrev.style.display = 'none';
+  }
+
+  if (transition === 'kenburns') {
+    const duration = item.endTime !== undefined ? item.endTime - startTime : (imageDuration || KEN_BURNS_FALLBACK_SECONDS);
+    const progress = Math.min(1, elapsed / duration);
+    const motion = getKenBurnsMotion(item.filename);
+    // Scale never drops below 1.1, so the pan (at most 2.5%) stays inside the zoomed image
+    const scale = 1.1 + 0.1 * (motion.zoomIn ? progress : 1 - progress);
+    const pan = (progress - 0.5) * 5;
+    imageDisplay.style.transform = `scale(${scale.toFixed(4)}) translate(${(motion.x * pan).toFixed(3)}%, ${(motion.y * pan).toFixed(3)}%)`;
+  }
+
+  // Keep drawing while the timeline moves or the crossfade is still running
+  if ((imageTimeline && imageTimeline.rate > 0 && transition !== 'none') || imageDisplayPrev.style.display !== 'none') {
+    requestImageFrame();
+  }
+}
+
+function requestImageFrame() {
+  if (imageFrameRequest === null) imageFrameRequest = requestAnimationFrame(renderImageFrame);
+}
+
+// Called when an image item loads. previous is the image it replaces ({ src, transform }), if any.
+function startImageTransition(item, previous) {
+  imageTimeline = null; // The old position belongs to the previous item
+  imageDisplay.style.transform = '';
+  if (getImageTransition(item) === 'crossfade' && previous && previous.src) {
+    imageDisplayPrev.src = previous.src;
+    imageDisplayPrev.style.transform = previous.transform;
+    imageDisplayPrev.style.opacity = '1';
+    imageDisplayPrev.style.display = 'block';
+  } else {
+    imageDisplayPrev.style.display = 'none';
+  }
+  requestImageFrame();
+}
+
+function stopImageTransition() {
+  if (imageFrameRequest !== null) cancelAnimationFrame(imageFrameRequest);
+  imageFrameRequest = null;
+  imageTimeline = null;
+  imageDisplay.style.transform = '';
+  imageDisplayPrev.style.display = 'none';
+}
+
+// ==================== Buffering Barrier ====================
+// Report whether we can play from the current position, so the server can hold
+// the room until everyone is ready (wait-for-all mode)
+let mediaLoading = false;      // Set while loadCurrentVideo swaps media, cleared once it can play
+let lastReportedReady = null;
+let bufferWaitShown = false;
+
+function isMediaReady() {
+  if (mediaLoading) return false;
+  if (currentMediaIsYouTube) {
+    return ytPlayerReady && ytPlayer && ytPlayer.getPlayerState() !== YT.PlayerState.BUFFERING;
+  }
+  if (currentMediaIsImage) return imageDisplay.complete;
+  // Other embeds don't expose buffering state, never hold the room for them
+  if (currentPlatform && currentPlatform !== 'local' && currentPlatform !== 'directUrl') return true;
+  return video.readyState >= 3 && !video.seeking;
+}
+
+function reportBufferState(force = false) {
+  if (!socket.connected || currentPlaylist.currentIndex < 0) return;
+
+  const ready = isMediaReady();
+  if (!force && ready === lastReportedReady) return;
+  lastReportedReady = ready;
+  socket.emit('buffer-state', { ready });
+}
+
+['loadstart', 'waiting', 'seeking', 'seeked', 'canplay', 'canplaythrough', 'playing'].forEach(eventName => {
+  video.addEventListener(eventName, () => {
+    if (eventName === 'canplay') mediaLoading = false;
+    reportBufferState();
+  });
+});
+imageDisplay.addEventListener('load', () => {
+  mediaLoading = false;
+  reportBufferState();
+});
+
+// ==================== Telemetry ====================
+// Periodic playback report for the admin's sync health table
+const TELEMETRY_INTERVAL = 3000;
+let lastPlaybackError = null;
+
+video.addEventListener('error', () => {
+  const err = video.error;
+  if (err) lastPlaybackError = `Media error ${err.code}${err.message ? `: ${err.message}` : ''}`;
+});
+
+function getActiveSource() {
+  if (currentMediaIsYouTube) return 'youtube';
+  if (currentMediaIsImage) return 'image';
+  if (currentPlatform && currentPlatform !== 'local' && currentPlatform !== 'directUrl') return 'external';
+  return video.src.startsWith('blob:') ? 'bsl' : 'server';
+}
+
+function collectTelemetry() {
+  const report = {
+    videoIndex: currentPlaylist.currentIndex,
+    source: getActiveSource(),
+    lastError: lastPlaybackError,
+    rtt: hasClockSync ? clockRtt : null
+  };
+
+  if (currentMediaIsYouTube) {
+    if (ytPlayer && ytPlayerReady) {
+      const duration = ytPlayer.getDuration() || 0;
+      report.currentTime = ytPlayer.getCurrentTime() || 0;
+      report.isPlaying = ytPlayer.getPlayerState() === YT.PlayerState.PLAYING;
+      report.playbackRate = ytPlayer.getPlaybackRate();
+      report.buffered = [[0, duration * (ytPlayer.getVideoLoadedFraction() || 0)]];
+    }
+    return report;
+  }
+
+  report.currentTime = video.currentTime;
+  report.isPlaying = !video.paused;
+  report.playbackRate = video.playbackRate;
+  report.buffered = [];
+  for (let i = 0; i < video.buffered.length; i++) {
+    report.buffered.push([video.buffered.start(i), video.buffered.end(i)]);
+  }
+  if (typeof video.getVideoPlaybackQuality === 'function') {
+    const quality = video.getVideoPlaybackQuality();
+    report.droppedFrames = quality.droppedVideoFrames;
+    report.totalFrames = quality.totalVideoFrames;
+  }
+  return report;
+}
+
+setInterval(() => {
+  if (!socket.connected || currentPlaylist.currentIndex < 0) return;
+  socket.emit('client-telemetry', collectTelemetry());
+}, TELEMETRY_INTERVAL);
+
+socket.on('buffer-status', (status) => {
+  if (status.waiting) {
+    // Server reset readiness, tell it where we stand even if nothing changed here
+    reportBufferState(true);
+    showTemporaryMessage(`⏳ Waiting for everyone to load (${status.ready}/${status.needed})`, 0);
+    bufferWaitShown = true;
+  } else if (bufferWaitShown) {
+    statusEl.classList.remove('visible');
+    bufferWaitShown = false;
+  }
+});
+
+// ==================== Scheduled Start ====================
+// Countdown to the admin's wall-clock start. The start itself arrives as a regular
+// sync with lastUpdate at the start time, this only shows how long is left.
+const countdownOverlay = document.getElementById('countdown-overlay');
+const countdownTime = document.getElementById('countdown-time');
+const countdownAt = document.getElementById('countdown-at');
+let scheduledStart = null; // { startAt, serverTime, receivedAt }
+let countdownTimer = null;
+
+function msUntilScheduledStart() {
+  if (hasClockSync) return scheduledStart.startAt - serverNow();
+  // No clock estimate yet: count from the server's send stamp
+  return scheduledStart.startAt - scheduledStart.serverTime - (Date.now() - scheduledStart.receivedAt);
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = String(totalSeconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function hideCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  countdownOverlay.classList.remove('visible');
+}
+
+function renderCountdown() {
+  const remaining = msUntilScheduledStart();
+  if (remaining <= 0) {
+    hideCountdown();
+    return;
+  }
+  countdownTime.textContent = formatCountdown(remaining);
+}
+
+socket.on('scheduled-start', (data) => {
+  if (!data || typeof data.startAt !== 'number') {
+    scheduledStart = null;
+    hideCountdown();
+    return;
+  }
+
+  scheduledStart = { startAt: data.startAt, serverTime: data.serverTime, receivedAt: Date.now() };
+  const localStart = new Date(data.startAt - (hasClockSync ? clockOffset : 0));
+  countdownAt.textContent = `Starts at ${localStart.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+  clearInterval(countdownTimer);
+  countdownTimer = setInterval(renderCountdown, 250);
+  renderCountdown();
+  if (countdownTimer) countdownOverlay.classList.add('visible');
+});
+
+// ==================== Channel ====================
+// In channel mode the server runs the room from the wall clock, show what's on air
+// whenever the programme changes
+let channelNowKey = null;
+
+function formatGuideTitle(entry) {
+  const title = entry.title || entry.filename || '';
+  return title.length > 40 ? `${title.slice(0, 39)}…` : title;
+}
+
+socket.on('channel-status', (status) => {
+  if (!status || !status.onAir || !status.now) {
+    channelNowKey = null;
+    return;
+  }
+
+  const key = `${status.now.index}:${Math.round(status.now.startsAt / 1000)}`;
+  if (key === channelNowKey) return;
+  channelNowKey = key;
+
+  const next = status.next[0];
+  showTrackInfo(`📺 On air: ${formatGuideTitle(status.now)}${next ? ` · Next: ${formatGuideTitle(next)}` : ''}`, 5000);
+});
+
+// ==================== Remote Token ====================
+// In remote token mode only the viewer holding the remote (and the admin) can seek
+// or pause. Volume stays local and always works.
+const remoteBtn = document.getElementById('remote-btn');
+let remoteStatus = { enabled: false, holder: null, requests: [] };
+
+function hasRemote() {
+  return !remoteStatus.enabled || (remoteStatus.holder !== null && remoteStatus.holder.socketId === socket.id);
+}
+
+function hasRequestedRemote() {
+  return remoteStatus.requests.some(r => r.socketId === socket.id);
+}
+
+function showRemoteNeeded() {
+  const holder = remoteStatus.holder ? remoteStatus.holder.name : 'The admin';
+  showTemporaryMessage(`🎮 ${holder} has the remote`, 2000);
+}
+
+function renderRemoteButton() {
+  remoteBtn.style.display = remoteStatus.enabled && !clientControlsDisabled ? 'block' : 'none';
+  if (hasRemote()) {
+    remoteBtn.textContent = '🎮 You have the remote (release)';
+  } else if (hasRequestedRemote()) {
+    remoteBtn.textContent = '🎮 Remote requested (cancel)';
+  } else {
+    remoteBtn.textContent = '🎮 Request remote';
+  }
+}
+
+remoteBtn.addEventListener('click', () => {
+  if (hasRemote() || hasRequestedRemote()) {
+    socket.emit('release-remote');
+  } else {
+    socket.emit('request-remote');
+    showTemporaryMessage('🎮 Asked the admin for the remote', 2000);
+  }
+});
+
+socket.on('remote-status', (status) => {
+  const hadRemote = remoteStatus.enabled && hasRemote();
+  remoteStatus = status;
+  renderRemoteButton();
+
+  const nowHasRemote = remoteStatus.enabled && hasRemote();
+  if (nowHasRemote && !hadRemote) {
+    showTemporaryMessage('🎮 You have the remote', 3000);
+  } else if (hadRemote && !nowHasRemote) {
+    showTemporaryMessage('🎮 The remote went back to the admin', 3000);
+  }
+});
+
+socket.on('control-rejected', (data) => {
+  showTemporaryMessage(data?.message || 'Control rejected', 3000);
+});
+
+// ==================== Playlist End ====================
+// Shown when the playlist stops after its last item (advance mode 'stop'),
+// until the admin jumps to an item or launches a new playlist
+const endScreen = document.getElementById('end-screen');
+
+function setEndScreen(visible) {
+  endScreen.classList.toggle('visible', visible);
+}
+
+socket.on('playlist-ended', () => setEndScreen(true));
+
+// ==================== Viewer Votes ====================
+const voteOverlay = document.getElementById('vote-overlay');
+const voteTitle = document.getElementById('vote-title');
+const voteProgress = document.getElementById('vote-progress');
+const voteDetail = document.getElementById('vote-detail');
+let activeVote = null; // Last vote-status while a vote runs, plus receivedAt
+let voteTimer = null;
+
+// While a vote runs, any vote click counts as a yes for it
+function voteFor(type) {
+  socket.emit('vote', { type: activeVote ? activeVote.type : type });
+}
+
+function renderVote() {
+  if (!activeVote) return;
+  const remainingMs = activeVote.expiresAt - activeVote.serverTime - (Date.now() - activeVote.receivedAt);
+  voteTitle.textContent = `🗳 Vote to ${activeVote.label}`;
+  voteProgress.style.width = `${Math.min(100, activeVote.votes / activeVote.needed * 100)}%`;
+  voteDetail.textContent = `${activeVote.votes}/${activeVote.needed} votes · ${Math.max(0, Math.ceil(remainingMs / 1000))}s · started by ${activeVote.startedBy}`;
+}
+
+socket.on('vote-status', (status) => {
+  clearInterval(voteTimer);
+  voteTimer = null;
+
+  if (status.ended) {
+    const outcome = status.ended.outcome === 'passed' ? 'passed ✔' : 'failed ✖';
+    showTemporaryMessage(`🗳 Vote to ${status.ended.label} ${outcome}`, 3000);
+  }
+
+  if (!status.active) {
+    activeVote = null;
+    voteOverlay.classList.remove('visible');
+    return;
+  }
+
+  activeVote = { ...status, receivedAt: Date.now() };
+  renderVote();
+  voteTimer = setInterval(renderVote, 500);
+  voteOverlay.classList.add('visible');
+});
+
+socket.on('vote-rejected', (data) => {
+  showTemporaryMessage(`🗳 ${data?.message || 'Vote rejected'}`, 2500);
+});
+
+// ==================== Media Requests ====================
+// Viewers can search the media folder or paste a link and ask for it to be played.
+// Requests queue up for the admin, who approves them into the playlist.
+const requestBtn = document.getElementById('request-btn');
+const requestPanel = document.getElementById('request-panel');
+const requestSearch = document.getElementById('request-search');
+const requestFileList = document.getElementById('request-file-list');
+const requestUrlInput = document.getElementById('request-url');
+const requestQueueEl = document.getElementById('request-queue');
+let requestStatus = null; // Last media-requests status
+let requestSearchTimeout = null;
+
+function getMyRequests() {
+  return requestStatus ? requestStatus.queue.filter(r => r.mine) : [];
+}
+
+function renderRequestButton() {
+  requestBtn.style.display = requestStatus.enabled ? 'block' : 'none';
+  if (!requestStatus.enabled) requestPanel.classList.remove('visible');
+  const mine = getMyRequests().length;
+  requestBtn.textContent = mine > 0 ? `🎬 Request (${mine}/${requestStatus.limit})` : '🎬 Request';
+}
+
+function renderRequestQueue() {
+  requestQueueEl.innerHTML = '';
+  if (requestStatus.queue.length === 0) {
+    requestQueueEl.innerHTML = '<div class="request-empty">No pending requests</div>';
+    return;
+  }
+
+  requestStatus.queue.forEach(request => {
+    const entry = document.createElement('div');
+    entry.className = `request-entry${request.mine ? ' mine' : ''}`;
+
+    const label = document.createElement('span');
+    label.textContent = `#${request.position} ${request.title}`;
+    label.title = request.mine ? `${request.title} (your request)` : request.title;
+    entry.appendChild(label);
+
+    if (request.mine) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = '✕';
+      cancelBtn.title = 'Cancel request';
+      cancelBtn.onclick = () => socket.emit('media-request-cancel', { id: request.id });
+      entry.appendChild(cancelBtn);
+    }
+    requestQueueEl.appendChild(entry);
+  });
+}
+
+async function searchRequestFiles() {
+  try {
+    const response = await fetch(`/api/request-files?q=${encodeURIComponent(requestSearch.value.trim())}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Search failed');
+
+    requestFileList.innerHTML = '';
+    if (data.files.length === 0) {
+      requestFileList.innerHTML = '<div class="request-empty">No matching media</div>';
+      return;
+    }
+
+    data.files.forEach(file => {
+      const row = document.createElement('div');
+      row.className = 'request-file';
+
+      const name = document.createElement('span');
+      name.textContent = file.filename;
+      name.title = file.filename;
+      row.appendChild(name);
+
+      const requestFileBtn = document.createElement('button');
+      requestFileBtn.textContent = 'Request';
+      requestFileBtn.onclick = () => socket.emit('media-request', { filename: file.filename });
+      row.appendChild(requestFileBtn);
+      requestFileList.appendChild(row);
+    });
+
+    if (data.total > data.files.length) {
+      const more = document.createElement('div');
+      more.className = 'request-empty';
+      more.textContent = `${data.total - data.files.length} more, refine your search`;
+      requestFileList.appendChild(more);
+    }
+  } catch (error) {
+    requestFileList.innerHTML = '';
+    const message = document.createElement('div');
+    message.className = 'request-empty';
+    message.textContent = error.message;
+    requestFileList.appendChild(message);
+  }
+}
+
+function submitRequestUrl() {
+  const url = requestUrlInput.value.trim();
+  if (!url) return;
+  socket.emit('media-request', { url });
+  requestUrlInput.value = '';
+}
+
+requestBtn.addEventListener('click', () => {
+  const opening = !requestPanel.classList.contains('visible');
+  requestPanel.classList.toggle('visible', opening);
+  if (opening) {
+    renderRequestQueue();
+    searchRequestFiles();
+  }
+});
+
+document.getElementById('request-close-btn').addEventListener('click', () => requestPanel.classList.remove('visible'));
+
+requestSearch.addEventListener('input', () => {
+  clearTimeout(requestSearchTimeout);
+  requestSearchTimeout = setTimeout(searchRequestFiles, 300);
+});
+
+document.getElementById('request-url-btn').addEventListener('click', submitRequestUrl);
+requestUrlInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') submitRequestUrl();
+});
+
+socket.on('media-requests', (status) => {
+  // Only announce requests that are new, not ones we had before a reconnect or reload
+  const known = requestStatus ? new Set(requestStatus.queue.map(r => r.id)) : null;
+  requestStatus = status;
+  renderRequestButton();
+  renderRequestQueue();
+
+  if (!known) return;
+  getMyRequests()
+    .filter(r => !known.has(r.id))
+    .forEach(r => showTemporaryMessage(`🎬 Requested ${r.title} (#${r.position} in queue)`, 3000));
+});
+
+socket.on('media-request-result', (data) => {
+  if (data.outcome === 'approved') {
+    showTemporaryMessage(`🎬 ${data.title} was added to the playlist`, 4000);
+  } else if (data.outcome === 'rejected') {
+    showTemporaryMessage(`🎬 Your request for ${data.title} was declined`, 4000);
+  }
+});
+
+socket.on('media-request-rejected', (data) => {
+  showTemporaryMessage(`🎬 ${data?.message || 'Request rejected'}`, 2500);
+});
+
 // Event listeners - only send control if we have initial sync
 video.addEventListener('play', () => {
   statusEl.classList.remove('visible');
@@ -1176,9 +2036,11 @@ video.addEventListener('seeked', sendControlEvent);
 document.addEventListener('click', (e) => {
   // Always allow BSL overlay interactions (folder selection)
   if (bslOverlay.contains(e.target)) return;
+  if (remoteBtn.contains(e.target)) return;
+  if (requestBtn.contains(e.target) || requestPanel.contains(e.target)) return;
 
-  // Skip if controls are disabled by admin
-  if (clientControlsDisabled) return;
+  // Skip if controls are disabled by admin (unless viewers can vote)
+  if (clientControlsDisabled && !voteEnabled) return;
 
   // Skip if YouTube is playing - it has its own click handler
   if (currentMediaIsYouTube) return;
@@ -1189,6 +2051,19 @@ document.addEventListener('click', (e) => {
   const edgeZone = 87;
   const pauseZone = 75;
 
+  // Seeking and pausing need the remote, volume is always local. Without controls
+  // the playback zones vote instead: rewind, pause, skip to next item.
+  const isPlaybackZone = x <= edgeZone || x >= w - edgeZone || Math.abs(x - center) <= pauseZone;
+  if (isPlaybackZone && (clientControlsDisabled || !hasRemote())) {
+    if (voteEnabled) {
+      voteFor(x <= edgeZone ? 'rewind' : x >= w - edgeZone ? 'skip' : 'pause');
+    } else {
+      showRemoteNeeded();
+    }
+    return;
+  }
+  if (clientControlsDisabled) return;
+
   if (x <= edgeZone) {
     // If viewing an image, go to previous media
     if (currentMediaIsImage) {
@@ -1220,7 +2095,11 @@ document.addEventListener('click', (e) => {
       sendControlEvent();
     }
   } else if (x >= center - pauseZone && x <= center + pauseZone) {
-    if (video.paused) {
+    if (currentMediaIsImage) {
+      // Images have no player to toggle, pause the slideshow timeline itself
+      const playing = !!imageTimeline && imageTimeline.rate > 0;
+      socket.emit('control', { action: 'playpause', state: !playing });
+    } else if (video.paused) {
       video.play();
     } else {
       video.pause();
@@ -1234,14 +2113,6 @@ document.addEventListener('click', (e) => {
   }
 });
 
-// Auto-reconnect
-setInterval(() => {
-  if (!socket.connected) {
-    socket.connect();
-    showTemporaryMessage("Reconnecting...");
-  }
-}, 5000);
-
 // ==================== BSL-S² (Both Side Local Sync Stream) ====================
 
 // Generate machine fingerprint based on hardware/browser characteristics
@@ -1529,10 +2400,16 @@ loadCurrentVideo = function () {
     waitingMessage.style.display = 'block';
     video.style.opacity = '0.001';
     imageDisplay.style.display = 'none';
+    stopImageTransition();
     currentMediaIsImage = false;
     return;
   }
 
+  // Captured before hideAllPlayers() resets it, so the next image can fade over it
+  const previousImage = currentMediaIsImage
+    ? { src: imageDisplay.src, transform: imageDisplay.style.transform }
+    : null;
+
   const currentVideo = currentPlaylist.videos[currentPlaylist.currentIndex];
   currentVideoInfo = currentVideo;
 
@@ -1582,6 +2459,7 @@ loadCurrentVideo = function () {
     imageDisplay.src = imageSrc;
     imageDisplay.style.display = 'block';
     waitingMessage.style.display = 'none';
+    startImageTransition(currentVideo, previousImage);
 
     showTemporaryMessage(`🖼️ Image - tap edges to skip`, 3000);
     return;
@@ -1727,6 +2605,11 @@ function initYouTubePlayer(videoId) {
           ytPlayerReady = true;
           console.log('YouTube player ready');
 
+          // New players start at 1x, carry over the room's rate
+          if (currentServerRate !== 1.0) {
+            event.target.setPlaybackRate(snapToAvailableRate(currentServerRate, event.target.getAvailablePlaybackRates()));
+          }
+
           // Auto-play if this is not the first video in playlist
           // (first video follows server sync, subsequent videos should auto-continue)
           if (currentPlaylist.currentIndex > 0) {
@@ -1754,6 +2637,8 @@ function initYouTubePlayer(videoId) {
 // Handle YouTube player state changes
 function handleYouTubeStateChange(event) {
   if (!ytPlayerReady) return;
+  mediaLoading = false;
+  reportBufferState();
 
   // YT.PlayerState: UNSTARTED=-1, ENDED=0, PLAYING=1, PAUSED=2, BUFFERING=3, CUED=5
   switch (event.data) {
@@ -1772,9 +2657,8 @@ function handleYouTubeStateChange(event) {
     case YT.PlayerState.ENDED:
       // Only move to next if the video actually played first
       // This prevents skipping when video is still loading
-      if (ytVideoHasPlayed && currentPlaylist.videos.length > 0) {
-        const nextIndex = (currentPlaylist.currentIndex + 1) % currentPlaylist.videos.length;
-        socket.emit('playlist-next', nextIndex);
+      if (ytVideoHasPlayed) {
+        requestNextItem();
         ytVideoHasPlayed = false; // Reset for next video
       }
       break;
@@ -1783,9 +2667,9 @@ function handleYouTubeStateChange(event) {
 
 // Send control event for YouTube
 function sendYouTubeControlEvent() {
-  if (clientControlsDisabled) return;
+  if (clientControlsDisabled || !hasRemote()) return;
 
-  if (!hasInitialSync || !ytPlayer || !ytPlayerReady) return;
+  if (!hasInitialSync || serverStateVersion === null || !ytPlayer || !ytPlayerReady) return;
 
   try {
     const playerState = ytPlayer.getPlayerState();
@@ -1798,6 +2682,7 @@ function sendYouTubeControlEvent() {
       duration: ytPlayer.getDuration() || 0,
       volume: ytPlayer.getVolume() / 100,
       currentVideoIndex: currentPlaylist.currentIndex,
+      baseVersion: serverStateVersion
     });
   } catch (e) {
     console.log('Error sending YouTube control event:', e);
@@ -1835,6 +2720,10 @@ const originalLoadWithBsl = loadCurrentVideo;
 loadCurrentVideo = async function () {
   // Disable sync broadcast while loading new video
   hasInitialSync = false;
+  // The old item's timeline must not drag the new one along
+  clearDriftTarget();
+  mediaLoading = true;
+  reportBufferState();
 
   if (currentPlaylist.videos.length === 0 || currentPlaylist.currentIndex < 0) {
     hideAllPlayers();
@@ -1895,11 +2784,36 @@ loadCurrentVideo = async function () {
 // Modified sync handler to support YouTube
 const originalSyncHandler = socket._callbacks['$sync'];
 socket.off('sync');
-socket.on('sync', (state) => {
+socket.on('sync', (serverState) => {
+  // Track the version even for throttled syncs, our controls are based on it
+  if (typeof serverState.version === 'number') serverStateVersion = serverState.version;
+
   const now = Date.now();
-  if (now - lastUpdate < 100) return;
+  if (now - lastUpdate < 100 && !serverState.forceResync) return;
   lastUpdate = now;
 
+  applyServerSync(serverState);
+});
+
+let pendingStartTimer = null;
+
+function applyServerSync(serverState) {
+  if (pendingStartTimer) {
+    clearTimeout(pendingStartTimer);
+    pendingStartTimer = null;
+  }
+
+  // Synchronized start (buffering barrier): lastUpdate in the future is when everyone
+  // starts. Stay paused at the start position until then, then apply again.
+  const startsInMs = serverState.isPlaying ? msUntilServerTime(serverState.lastUpdate, serverState) : 0;
+  if (startsInMs > 0) {
+    pendingStartTimer = setTimeout(() => applyServerSync(serverState), startsInMs);
+    serverState = { ...serverState, isPlaying: false };
+  }
+
+  // Compensate for network latency and clock offset
+  const state = { ...serverState, currentTime: projectServerTime(serverState) };
+
   // If we receive a sync and have an active playlist, hide waiting message
   if (currentPlaylist.videos.length > 0 && currentPlaylist.currentIndex >= 0) {
     if (waitingMessage.style.display !== 'none') {
@@ -1915,12 +2829,42 @@ socket.on('sync', (state) => {
     }
   }
 
+  // Admin asked this client to resync: reload a broken player, otherwise snap to the timeline
+  if (state.forceResync) {
+    debugLog('[Sync] Forced resync from admin');
+    lastPlaybackError = null;
+    if (!currentMediaIsYouTube && video.error) {
+      loadCurrentVideo();
+      return;
+    }
+    if (currentMediaIsYouTube && ytPlayer && ytPlayerReady) {
+      ytPlayer.seekTo(state.currentTime, true);
+    } else if (!currentMediaIsYouTube) {
+      video.currentTime = Math.max(0, state.currentTime);
+    }
+    showTemporaryMessage('Resynced', 1500);
+  }
+
+  if (typeof state.playbackRate === 'number') applyPlaybackRate(state.playbackRate);
+
+  // Embedded players other than YouTube
+  if (currentPlatform && !['local', 'directUrl', 'youtube'].includes(currentPlatform)) {
+    handleExternalSync(state);
+    return;
+  }
+
   // Handle YouTube sync
   if (currentMediaIsYouTube) {
     syncYouTubePlayer(state);
     return;
   }
 
+  // Images follow the timeline without touching the (hidden) video element
+  if (currentMediaIsImage) {
+    setImageTimeline(state);
+    return;
+  }
+
   // Normal video sync
   if (state.isPlaying !== !video.paused) {
     if (state.isPlaying) {
@@ -1934,9 +2878,8 @@ socket.on('sync', (state) => {
     }
   }
 
-  if (Math.abs(video.currentTime - state.currentTime) > 0.5) {
-    video.currentTime = state.currentTime;
-  }
+  setDriftTarget(state.currentTime, state.isPlaying, currentServerRate);
+  correctDrift();
 
   if (state.audioTrack !== undefined && state.audioTrack !== currentAudioTrack) {
     currentAudioTrack = state.audioTrack;
@@ -1959,12 +2902,12 @@ socket.on('sync', (state) => {
       showTrackInfo("Subtitles: Off");
     }
   }
-});
+}
 
 // Click handler for YouTube overlay (use sync-player controls)
 youtubeClickOverlay.addEventListener('click', (e) => {
-  // Skip if controls are disabled by admin
-  if (clientControlsDisabled) return;
+  // Skip if controls are disabled by admin (unless viewers can vote)
+  if (clientControlsDisabled && !voteEnabled) return;
 
   if (!currentMediaIsYouTube || !ytPlayer || !ytPlayerReady) return;
 
@@ -1974,6 +2917,19 @@ youtubeClickOverlay.addEventListener('click', (e) => {
   const edgeZone = 87;
   const pauseZone = 75;
 
+  // Seeking and pausing need the remote, volume is always local. Without controls
+  // the playback zones vote instead: rewind, pause, skip to next item.
+  const isPlaybackZone = x <= edgeZone || x >= w - edgeZone || Math.abs(x - center) <= pauseZone;
+  if (isPlaybackZone && (clientControlsDisabled || !hasRemote())) {
+    if (voteEnabled) {
+      voteFor(x <= edgeZone ? 'rewind' : x >= w - edgeZone ? 'skip' : 'pause');
+    } else {
+      showRemoteNeeded();
+    }
+    return;
+  }
+  if (clientControlsDisabled) return;
+
   try {
     if (x <= edgeZone) {
       // Rewind
@@ -25,11 +25,12 @@ const colors = {
 const ROOT_DIR = path.join(__dirname, '..');
 // Memory directory for persistent data
 const MEMORY_DIR = path.join(ROOT_DIR, 'memory');
+const MEDIA_DIR = path.join(ROOT_DIR, 'media');
 const TRACKS_DIR = path.join(__dirname, 'tracks');
 const TRACKS_MANIFEST_DIR = path.join(MEMORY_DIR, 'tracks');
 
 // node-av imports
-let HardwareContext, Demuxer, Muxer, Decoder, Encoder, FilterAPI;
+let HardwareContext, Demuxer, Muxer, Decoder, Encoder, FilterAPI, avGetCodecName;
 try {
   const avApi = require('node-av/api');
   HardwareContext = avApi.HardwareContext;
@@ -38,6 +39,7 @@ try {
   Decoder = avApi.Decoder;
   Encoder = avApi.Encoder;
   FilterAPI = avApi.FilterAPI;
+  avGetCodecName = require('node-av/lib').avGetCodecName;
 } catch (e) {
   console.warn(`${colors.yellow}node-av not found or failed to load. FFmpeg features disabled.${colors.reset}`, e.message);
 }
@@ -109,8 +111,9 @@ function cleanupStaleTracks() {
   let cleaned = 0;
 
   for (const jsonFile of jsonFiles) {
-    const videoFilename = jsonFile.replace('.json', '');
-    const mediaPath = path.join(ROOT_DIR, 'media', videoFilename);
+    // Manifests of files in subfolders use '~' for the folder separators
+    const videoFilename = jsonFile.replace('.json', '').split('~').join('/');
+    const mediaPath = path.join(MEDIA_DIR, ...videoFilename.split('/'));
     const jsonPath = path.join(TRACKS_MANIFEST_DIR, jsonFile);
 
     try {
@@ -270,6 +273,9 @@ function getConfig(envKey, fileKey, fallback, validator = null) {
   return value;
 }
 
+// Playlist advance modes, see getNextIndex
+const ADVANCE_MODES = ['repeat-all', 'repeat-one', 'stop', 'shuffle'];
+
 // Validators
 const validators = {
   port: (v) => {
@@ -319,6 +325,28 @@ const validators = {
       return { valid: false, error: 'Must be "wsr" or "jassub"' };
     }
     return { valid: true, value: val };
+  },
+  advanceMode: (v) => {
+    if (!ADVANCE_MODES.includes(v)) {
+      return { valid: false, error: 'Must be "repeat-all", "repeat-one", "stop" or "shuffle"' };
+    }
+    return { valid: true };
+  },
+  imageTransition: (v) => {
+    const val = String(v).toLowerCase();
+    if (!['none', 'crossfade', 'kenburns'].includes(val)) {
+      return { valid: false, error: 'Must be "none", "crossfade" or "kenburns"' };
+    }
+    return { valid: true, value: val };
+  },
+  voteThreshold: (v) => {
+    const val = String(v).toLowerCase();
+    if (val === 'majority') return { valid: true, value: val };
+    const num = parseInt(val);
+    if (isNaN(num) || num < 1 || num > 100) {
+      return { valid: false, error: 'Must be "majority" or a percentage (1-100)' };
+    }
+    return { valid: true, value: num };
   }
 };
 
@@ -374,7 +402,8 @@ function consolidateTime(state) {
   if (state.isPlaying) {
     const now = Date.now();
     // Safety check for invalid lastUpdate
-    if (state.lastUpdate > now) state.lastUpdate = now;
+    // A future lastUpdate is a scheduled start that hasn't happened yet
+    if (state.lastUpdate > now) return;
 
     const elapsed = (now - state.lastUpdate) / 1000;
     if (elapsed > 0) {
@@ -386,6 +415,30 @@ function consolidateTime(state) {
   }
 }
 
+// Helper to stamp a sync payload with the server clock at send time,
+// so clients can project playback to "now" (see time-sync handler)
+function stampSync(state) {
+  return { ...state, serverTime: Date.now() };
+}
+
+// Helper to mark a broadcast state change. Clients send back the version their
+// action was based on, which lets the control handler spot stale actions and echoes
+function bumpVersion(state) {
+  state.version = (state.version || 0) + 1;
+  schedulePlaybackSave();
+  return state;
+}
+
+// Helper to get the current playback position of a state without modifying it
+function projectTime(state) {
+  if (!state.isPlaying) return state.currentTime;
+  const elapsed = Math.max(0, Date.now() - state.lastUpdate) / 1000;
+  return state.currentTime + elapsed * (state.playbackRate || 1.0);
+}
+
+const MEDIA_MAX_DEPTH = 8; // Folder levels scanned below /media
+const MEDIA_PATH_MAX_LENGTH = 1024;
+
 // Filename validation for defense-in-depth (even with execFile)
 // Returns { valid: boolean, error?: string, sanitized?: string }
 function validateFilename(filename) {
@@ -394,15 +447,22 @@ function validateFilename(filename) {
     return { valid: false, error: 'Filename must be a non-empty string' };
   }
 
-  // Check maximum length
-  if (filename.length > 255) {
-    return { valid: false, error: 'Filename too long (max 255 characters)' };
+  // Check maximum length (files in subfolders of /media are relative paths like "Show/Season 1/Ep.mkv")
+  if (filename.length > MEDIA_PATH_MAX_LENGTH) {
+    return { valid: false, error: `Path too long (max ${MEDIA_PATH_MAX_LENGTH} characters)` };
   }
 
-  // Reject path traversal attempts
-  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+  // Reject path traversal attempts. Forward slashes separate folders, nothing else may
+  const segments = filename.split('/');
+  if (filename.includes('..') || filename.includes('\\') || segments.some(segment => segment.trim() === '' || segment === '.')) {
     return { valid: false, error: 'Path traversal characters not allowed' };
   }
+  if (segments.length > MEDIA_MAX_DEPTH + 1) {
+    return { valid: false, error: `Too many folders (max ${MEDIA_MAX_DEPTH})` };
+  }
+  if (segments.some(segment => segment.length > 255)) {
+    return { valid: false, error: 'Filename too long (max 255 characters)' };
+  }
 
   // Reject shell metacharacters (defense-in-depth)
   const shellMetachars = /[;&|$`<>\n\r]/;
@@ -412,14 +472,34 @@ function validateFilename(filename) {
 
   // Whitelist: alphanumeric, spaces, hyphens, underscores, parentheses, brackets, dots
   const safePattern = /^[\w\s\-.()\[\]]+$/;
-  if (!safePattern.test(filename)) {
+  if (!segments.every(segment => safePattern.test(segment))) {
     return { valid: false, error: 'Filename contains disallowed characters' };
   }
 
-  // Use path.basename as final sanitization
-  const sanitized = path.basename(filename);
+  // Final check that the path stays inside the media folder
+  if (!resolveMediaPath(filename)) {
+    return { valid: false, error: 'Path traversal characters not allowed' };
+  }
+
+  return { valid: true, sanitized: filename };
+}
+
+// Absolute path of a media file from its path relative to /media, or null if it would
+// end up outside the media folder
+function resolveMediaPath(filename) {
+  if (typeof filename !== 'string' || filename.length === 0 || filename.includes('\0')) return null;
+  const resolved = path.resolve(MEDIA_DIR, filename);
+  return resolved.startsWith(MEDIA_DIR + path.sep) ? resolved : null;
+}
+
+// Caches and manifests stored per media file are flat, so the folder separators of
+// its relative path become '~' (never valid in a filename, so the key stays unique)
+function getMediaCacheKey(filename) {
+  return filename.split('/').join('~');
+}
 
-  return { valid: true, sanitized };
+function getTracksManifestPath(filename) {
+  return path.join(TRACKS_MANIFEST_DIR, getMediaCacheKey(filename) + '.json');
 }
 
 const app = express();
@@ -466,6 +546,24 @@ const CHAT_ENABLED = getConfig('SYNC_CHAT_ENABLED', 'chat_enabled', true, valida
 const SERVER_MODE = getConfig('SYNC_SERVER_MODE', 'server_mode', false, validators.boolean);
 const DATA_HYDRATION = getConfig('SYNC_DATA_HYDRATION', 'data_hydration', true, validators.boolean);
 const MAX_VOLUME = getConfig('SYNC_MAX_VOLUME', 'max_volume', 400, validators.positiveInt);
+const DRIFT_SEEK_THRESHOLD_MS = getConfig('SYNC_DRIFT_SEEK_THRESHOLD_MS', 'drift_seek_threshold_ms', 1500, validators.range(200, 10000));
+const WAIT_FOR_ALL = getConfig('SYNC_WAIT_FOR_ALL', 'wait_for_all', false, validators.boolean);
+const WAIT_QUORUM = getConfig('SYNC_WAIT_QUORUM', 'wait_quorum', 100, validators.range(1, 100));
+const REMOTE_TOKEN = getConfig('SYNC_REMOTE_TOKEN', 'remote_token', false, validators.boolean);
+const REMOTE_TOKEN_TIMEOUT = getConfig('SYNC_REMOTE_TOKEN_TIMEOUT', 'remote_token_timeout', 120, validators.range(10, 3600));
+const VOTE_ENABLED = getConfig('SYNC_VOTE_ENABLED', 'vote_enabled', false, validators.boolean);
+const VOTE_THRESHOLD = getConfig('SYNC_VOTE_THRESHOLD', 'vote_threshold', 'majority', validators.voteThreshold);
+const VOTE_TIMEOUT = getConfig('SYNC_VOTE_TIMEOUT', 'vote_timeout', 30, validators.range(10, 300));
+const VOTE_COOLDOWN = getConfig('SYNC_VOTE_COOLDOWN', 'vote_cooldown', 60, validators.range(0, 600));
+const REQUESTS_ENABLED = getConfig('SYNC_REQUESTS_ENABLED', 'requests_enabled', false, validators.boolean);
+const REQUEST_LIMIT = getConfig('SYNC_REQUEST_LIMIT', 'request_limit', 3, validators.range(1, 20));
+const PLAYLIST_ADVANCE = getConfig('SYNC_PLAYLIST_ADVANCE', 'playlist_advance', 'repeat-all', validators.advanceMode);
+const PERSIST_STATE = getConfig('SYNC_PERSIST_STATE', 'persist_state', true, validators.boolean);
+const UPLOADS_ENABLED = getConfig('SYNC_UPLOADS_ENABLED', 'uploads_enabled', false, validators.boolean);
+const UPLOAD_QUOTA_GB = getConfig('SYNC_UPLOAD_QUOTA_GB', 'upload_quota_gb', 50, validators.range(0, 100000));
+const AUTO_SKIP_DETECTED = getConfig('SYNC_AUTO_SKIP_DETECTED', 'auto_skip_detected', false, validators.boolean);
+const IMAGE_DURATION = getConfig('SYNC_IMAGE_DURATION', 'image_duration', 10, validators.range(0, 3600));
+const IMAGE_TRANSITION = getConfig('SYNC_IMAGE_TRANSITION', 'image_transition', 'none', validators.imageTransition);
 
 // Subtitle renderer: 'jassub' requires HTTPS (SharedArrayBuffer), force 'wsr' when HTTPS is off
 const SUBTITLE_RENDERER_CONFIG = config.subtitle_renderer || 'wsr';
@@ -725,23 +823,22 @@ async function runFfmpegJob(jobId, type, params) {
   // Emit update via socket if possible (need access to io or admins)
   // For now we'll rely on polling or implement socket emission later.
 
-  const safeFilename = path.basename(params.filename);
-  const addSuffix = (name, suffix) => {
-    const ext = path.extname(name);
-    return path.join(ROOT_DIR, 'media', path.basename(name, ext) + suffix + ext);
+  // Validated by the route, may be in a subfolder. Outputs go next to the input.
+  const safeFilename = params.filename;
+  const inputPath = resolveMediaPath(safeFilename);
+  const addSuffix = (name, suffix, ext = path.extname(name)) => {
+    return path.join(path.dirname(inputPath), path.basename(name, path.extname(name)) + suffix + ext);
   };
 
-  const inputPath = path.join(ROOT_DIR, 'media', safeFilename);
-
   try {
     if (type === 'remux') {
       const preset = params.preset;
       let outputPath;
 
       if (preset === 'mp4_fast') {
-        outputPath = path.join(ROOT_DIR, 'media', path.basename(safeFilename, path.extname(safeFilename)) + '_remux.mp4');
+        outputPath = addSuffix(safeFilename, '_remux', '.mp4');
       } else if (preset === 'mkv_copy') {
-        outputPath = path.join(ROOT_DIR, 'media', path.basename(safeFilename, path.extname(safeFilename)) + '_remux.mkv');
+        outputPath = addSuffix(safeFilename, '_remux', '.mkv');
       } else {
         outputPath = addSuffix(safeFilename, '_fixed');
       }
@@ -862,9 +959,10 @@ async function runFfmpegJob(jobId, type, params) {
 
       console.log(`[FFmpeg] Found ${matchingStreams.length} ${trackType} streams to extract.`);
 
-      // Parse original filename to remove extension
+      // Parse original filename to remove extension. Named from the cache key, so
+      // same-named episodes in different folders don't overwrite each other's tracks
       const originalExt = path.extname(safeFilename);
-      const baseName = path.basename(safeFilename, originalExt);
+      const baseName = path.basename(getMediaCacheKey(safeFilename), originalExt);
 
       // Fix extension for webvtt (default for all text subs except ASS)
       let ext = targetFormat;
@@ -937,8 +1035,7 @@ async function runFfmpegJob(jobId, type, params) {
 
         // Update Manifest for THIS track
         try {
-          const manifestFilename = safeFilename + '.json';
-          const manifestPath = path.join(TRACKS_MANIFEST_DIR, manifestFilename);
+          const manifestPath = getTracksManifestPath(safeFilename);
           let manifest = { externalTracks: [] };
 
           if (fs.existsSync(manifestPath)) {
@@ -977,6 +1074,22 @@ async function runFfmpegJob(jobId, type, params) {
       job.endTime = Date.now();
       job.duration = (job.endTime - job.startTime) / 1000;
 
+    } else if (type === 'detect-intro') {
+      const filenames = (params.options?.filenames || []).map(name => validateFilename(name));
+      if (filenames.some(v => !v.valid)) throw new Error('Invalid filename in episode list');
+      if (filenames.length < 2 || filenames.length > DETECT_MAX_FILES) {
+        throw new Error(`Select between 2 and ${DETECT_MAX_FILES} episodes`);
+      }
+
+      const detected = await detectIntroCredits(job, filenames.map(v => v.sanitized));
+      if (job.status === 'cancelled') return;
+
+      job.result = `Ranges found for ${detected} of ${filenames.length} files`;
+      job.status = 'completed';
+      job.progress = 100;
+      job.endTime = Date.now();
+      job.duration = (job.endTime - job.startTime) / 1000;
+
     } else {
       job.status = 'failed';
       job.error = 'Job type not implemented yet';
@@ -991,6 +1104,8 @@ async function runFfmpegJob(jobId, type, params) {
 app.post('/api/ffmpeg/run-preset', express.json(), verifyFfmpegAuth, (req, res) => {
   const { type, filename, preset, options } = req.body;
   if (!filename) return res.status(400).json({ error: 'Filename required' });
+  const validation = validateFilename(filename);
+  if (!validation.valid) return res.status(400).json({ error: validation.error });
 
   ffmpegJobCounter++;
   const job = {
@@ -1006,7 +1121,7 @@ app.post('/api/ffmpeg/run-preset', express.json(), verifyFfmpegAuth, (req, res)
   ffmpegJobs.push(job);
 
   // Start async
-  runFfmpegJob(job.id, type, { filename, preset, options });
+  runFfmpegJob(job.id, type, { filename: validation.sanitized, preset, options });
 
   res.json({ success: true, jobId: job.id });
 });
@@ -1030,6 +1145,313 @@ app.post('/api/ffmpeg/cancel', express.json(), verifyFfmpegAuth, (req, res) => {
     res.status(404).json({ error: 'Job not found or not running' });
   }
 });
+
+// ==================== Intro/Credits Detection ====================
+// The 'detect-intro' job compares the audio of a set of episodes. Intros and credits
+// repeat from one episode to the next, so the longest stretch of matching audio between
+// neighbouring episodes near the start is the intro, and near the end the credits.
+// Results are stored in each file's tracks manifest as introRange/outroRange.
+const DETECT_SAMPLE_RATE = 5512; // Hz, mono. Plenty for the 300-2000 Hz bands below
+const DETECT_FRAME_SIZE = 2048; // Samples per FFT frame (~0.37s)
+const DETECT_HOP_SIZE = 512; // Samples between frames (~0.09s), small so episodes line up closely
+const DETECT_HOP_SECONDS = DETECT_HOP_SIZE / DETECT_SAMPLE_RATE;
+const DETECT_BANDS = 33; // Neighbouring band pairs give a 32-bit hash per frame
+const DETECT_MIN_FREQ = 300;
+const DETECT_MAX_FREQ = 2000;
+const DETECT_SILENCE_LEVEL = 100 * 100; // Mean square below this counts as silence (~-50 dBFS)
+const INTRO_SCAN_SECONDS = 300;
+const OUTRO_SCAN_SECONDS = 300;
+const DETECT_MIN_MATCH_SECONDS = 15;
+const DETECT_MAX_BIT_ERRORS = 10; // Of 32, for two frames to count as the same audio
+const DETECT_MAX_GAP_FRAMES = 20; // Mismatched frames tolerated inside a match (~2s)
+const DETECT_MAX_FILES = 50;
+
+const detectedRangesCache = new Map(); // filename -> { introRange, outroRange }
+
+// Decode part of a file's audio as mono 16-bit PCM samples
+function extractAudioSamples(inputPath, startSeconds, durationSeconds) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error',
+      '-ss', String(startSeconds),
+      '-t', String(durationSeconds),
+      '-i', inputPath,
+      '-vn', '-ac', '1', '-ar', String(DETECT_SAMPLE_RATE),
+      '-f', 's16le', '-'
+    ];
+    const proc = spawn('ffmpeg', args);
+    const chunks = [];
+    proc.stdout.on('data', chunk => chunks.push(chunk));
+    proc.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`FFmpeg exited with code ${code}`));
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(pcm.length >> 1);
+      for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2);
+      resolve(samples);
+    });
+    proc.on('error', (err) => reject(err));
+  });
+}
+
+// In-place radix-2 FFT, re/im length must be a power of two
+function fftInPlace(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+      }
+    }
+  }
+}
+
+// Per-frame 32-bit hashes: each bit is whether the energy difference between two
+// neighbouring bands grew or shrank since the previous frame. Robust to volume and
+// encoding differences, unlike comparing the samples themselves.
+async function computeAudioFingerprint(samples) {
+  const frameCount = samples.length >= DETECT_FRAME_SIZE
+    ? Math.floor((samples.length - DETECT_FRAME_SIZE) / DETECT_HOP_SIZE) + 1
+    : 0;
+
+  const window = new Float64Array(DETECT_FRAME_SIZE);
+  for (let i = 0; i < DETECT_FRAME_SIZE; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (DETECT_FRAME_SIZE - 1));
+  }
+  // Log-spaced band edges as FFT bin numbers
+  const edges = [];
+  for (let b = 0; b <= DETECT_BANDS; b++) {
+    const freq = DETECT_MIN_FREQ * Math.pow(DETECT_MAX_FREQ / DETECT_MIN_FREQ, b / DETECT_BANDS);
+    edges.push(Math.round((freq * DETECT_FRAME_SIZE) / DETECT_SAMPLE_RATE));
+  }
+
+  const hashes = new Uint32Array(frameCount);
+  const silent = new Uint8Array(frameCount);
+  const re = new Float64Array(DETECT_FRAME_SIZE);
+  const im = new Float64Array(DETECT_FRAME_SIZE);
+  let energies = new Float64Array(DETECT_BANDS);
+  let previous = null;
+
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * DETECT_HOP_SIZE;
+    let power = 0;
+    for (let i = 0; i < DETECT_FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      power += sample * sample;
+      re[i] = sample * window[i];
+      im[i] = 0;
+    }
+    fftInPlace(re, im);
+
+    for (let b = 0; b < DETECT_BANDS; b++) {
+      let energy = 0;
+      for (let k = edges[b]; k < edges[b + 1]; k++) energy += re[k] * re[k] + im[k] * im[k];
+      energies[b] = energy;
+    }
+
+    // The first frame has nothing to compare against
+    silent[f] = previous === null || power / DETECT_FRAME_SIZE < DETECT_SILENCE_LEVEL ? 1 : 0;
+    if (previous !== null) {
+      let hash = 0;
+      for (let b = 0; b < DETECT_BANDS - 1; b++) {
+        if ((energies[b] - energies[b + 1]) - (previous[b] - previous[b + 1]) > 0) hash |= 1 << b;
+      }
+      hashes[f] = hash;
+    }
+
+    [previous, energies] = [energies, previous || new Float64Array(DETECT_BANDS)];
+    // Keep the event loop (and playback sync) responsive during long scans
+    if (f % 50 === 49) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { hashes, silent };
+}
+
+function countBits(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+// Longest run of matching frames between two fingerprints at any alignment. Returns
+// the frame range in each, or null if nothing long enough repeats.
+async function findLongestMatch(a, b) {
+  const minFrames = Math.ceil(DETECT_MIN_MATCH_SECONDS / DETECT_HOP_SECONDS);
+  let best = null;
+
+  for (let shift = -(a.hashes.length - 1); shift < b.hashes.length; shift++) {
+    const first = Math.max(0, -shift);
+    const last = Math.min(a.hashes.length, b.hashes.length - shift);
+    let runStart = -1;
+    let lastMatch = -1;
+    let matched = 0;
+
+    for (let i = first; i <= last; i++) {
+      const j = i + shift;
+      const isMatch = i < last && !a.silent[i] && !b.silent[j] &&
+        countBits(a.hashes[i] ^ b.hashes[j]) <= DETECT_MAX_BIT_ERRORS;
+
+      if (!isMatch) {
+        // A run ends once the gap gets too long or the overlap runs out
+        if (runStart >= 0 && (i === last || i - lastMatch > DETECT_MAX_GAP_FRAMES)) {
+          const length = lastMatch - runStart + 1;
+          // Mostly matching frames, not a chain of lucky single hits
+          if (length >= minFrames && matched * 2 >= length && (!best || length > best.length)) {
+            best = { startA: runStart, startB: runStart + shift, length };
+          }
+          runStart = -1;
+        }
+        continue;
+      }
+
+      if (runStart < 0) {
+        runStart = i;
+        matched = 0;
+      }
+      lastMatch = i;
+      matched++;
+    }
+
+    if (shift % 100 === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return best;
+}
+
+function toDetectedRange(startFrame, length, offsetSeconds) {
+  const round = (seconds) => Math.round(seconds * 10) / 10;
+  return {
+    start: round(offsetSeconds + startFrame * DETECT_HOP_SECONDS),
+    end: round(offsetSeconds + ((startFrame + length - 1) * DETECT_HOP_SIZE + DETECT_FRAME_SIZE) / DETECT_SAMPLE_RATE)
+  };
+}
+
+function keepLongerRange(current, range) {
+  return !current || range.end - range.start > current.end - current.start ? range : current;
+}
+
+// Analyse the episodes in order and store the ranges. Returns how many files got a range.
+async function detectIntroCredits(job, filenames) {
+  const episodes = [];
+
+  for (let i = 0; i < filenames.length; i++) {
+    if (job.status === 'cancelled') return 0;
+    const filePath = resolveMediaPath(filenames[i]);
+    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filenames[i]}`);
+
+    const duration = await getVideoDuration(filePath);
+    if (!duration) throw new Error(`Could not read the duration of ${filenames[i]}`);
+
+    // Short files: the two scans split the file instead of overlapping
+    const introSeconds = Math.min(INTRO_SCAN_SECONDS, duration / 2);
+    const outroStart = Math.max(introSeconds, duration - OUTRO_SCAN_SECONDS);
+
+    console.log(`[FFmpeg] Fingerprinting audio of ${filenames[i]}`);
+    episodes.push({
+      filename: filenames[i],
+      outroStart,
+      intro: await computeAudioFingerprint(await extractAudioSamples(filePath, 0, introSeconds)),
+      outro: await computeAudioFingerprint(await extractAudioSamples(filePath, outroStart, duration - outroStart))
+    });
+    job.progress = Math.round(((i + 1) / filenames.length) * 60);
+  }
+
+  // Each episode is compared with its neighbours and keeps its longest match
+  const found = episodes.map(() => ({ introRange: null, outroRange: null }));
+  for (let i = 0; i + 1 < episodes.length; i++) {
+    if (job.status === 'cancelled') return 0;
+    const a = episodes[i];
+    const b = episodes[i + 1];
+
+    const intro = await findLongestMatch(a.intro, b.intro);
+    if (intro) {
+      found[i].introRange = keepLongerRange(found[i].introRange, toDetectedRange(intro.startA, intro.length, 0));
+      found[i + 1].introRange = keepLongerRange(found[i + 1].introRange, toDetectedRange(intro.startB, intro.length, 0));
+    }
+
+    const outro = await findLongestMatch(a.outro, b.outro);
+    if (outro) {
+      found[i].outroRange = keepLongerRange(found[i].outroRange, toDetectedRange(outro.startA, outro.length, a.outroStart));
+      found[i + 1].outroRange = keepLongerRange(found[i + 1].outroRange, toDetectedRange(outro.startB, outro.length, b.outroStart));
+    }
+    job.progress = 60 + Math.round(((i + 1) / (episodes.length - 1)) * 40);
+  }
+
+  let detected = 0;
+  episodes.forEach((episode, i) => {
+    saveDetectedRanges(episode.filename, found[i]);
+    if (found[i].introRange || found[i].outroRange) detected++;
+  });
+  console.log(`${colors.green}Intro/credits detection finished: ranges for ${detected} of ${episodes.length} files${colors.reset}`);
+  return detected;
+}
+
+// Store the ranges next to the external tracks. A run without a match clears old ranges.
+function saveDetectedRanges(filename, ranges) {
+  const manifestPath = getTracksManifestPath(filename);
+  let manifest = { externalTracks: [] };
+
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (e) { /* ignore corrupt */ }
+  }
+
+  delete manifest.introRange;
+  delete manifest.outroRange;
+  if (ranges.introRange) manifest.introRange = ranges.introRange;
+  if (ranges.outroRange) manifest.outroRange = ranges.outroRange;
+
+  try {
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  } catch (e) {
+    console.error('Failed to update manifest:', e);
+  }
+  detectedRangesCache.set(filename, { introRange: ranges.introRange, outroRange: ranges.outroRange });
+}
+
+// Ranges for a media file from its manifest, read once and then cached
+function getDetectedRanges(filename) {
+  if (!filename || !resolveMediaPath(filename)) return { introRange: null, outroRange: null };
+
+  if (!detectedRangesCache.has(filename)) {
+    let ranges = { introRange: null, outroRange: null };
+    try {
+      const manifestPath = getTracksManifestPath(filename);
+      if (fs.existsSync(manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        ranges = { introRange: manifest.introRange || null, outroRange: manifest.outroRange || null };
+      }
+    } catch (e) {
+      console.warn('Error reading manifest for ' + filename, e);
+    }
+    detectedRangesCache.set(filename, ranges);
+  }
+  return detectedRangesCache.get(filename);
+}
+
 class Room {
   constructor(code, name, isPrivate, adminFingerprint) {
     this.code = code;
@@ -1046,7 +1468,11 @@ class Room {
       currentIndex: -1,
       mainVideoIndex: -1,
       mainVideoStartTime: 0,
-      preloadMainVideo: false
+      preloadMainVideo: false,
+      advanceMode: PLAYLIST_ADVANCE, // See getNextIndex
+      shuffleSeed: null,
+      ended: false, // Stopped after the last item (advanceMode 'stop')
+      revision: 0 // Incremented on every change to the item list, see broadcastPlaylistEdit
     };
 
     this.videoState = {
@@ -1055,12 +1481,37 @@ class Room {
       lastUpdate: Date.now(),
       audioTrack: 0,
       subtitleTrack: -1,
-      playbackRate: 1.0
+      playbackRate: 1.0,
+      version: 0 // Incremented on every broadcast state change
     };
 
     // BSL-S² state for this room
     this.clientBslStatus = new Map();
     this.clientDriftValues = new Map();
+
+    // Buffering barrier state for this room
+    this.buffering = createBufferingState();
+
+    // Latest playback telemetry per client (socketId -> report)
+    this.clientTelemetry = new Map();
+
+    // Pending wall-clock start (see scheduleStart)
+    this.scheduledStart = { startAt: null, timer: null };
+
+    // Who holds the remote in this room (see createRemoteState)
+    this.remote = createRemoteState();
+
+    // Viewer votes in this room (see createVoteState)
+    this.votes = createVoteState();
+
+    // Viewer media requests waiting for the admin (see createRequestState)
+    this.requests = createRequestState();
+
+    // 24/7 channel schedule (see createChannelState)
+    this.channel = createChannelState();
+
+    // What is being watched right now (see createWatchState)
+    this.watch = createWatchState();
   }
 
   addClient(socketId, fingerprint, name) {
@@ -1074,6 +1525,7 @@ class Room {
   removeClient(socketId) {
     this.clients.delete(socketId);
     this.clientBslStatus.delete(socketId);
+    this.clientTelemetry.delete(socketId);
   }
 
   getClientCount() {
@@ -1131,6 +1583,7 @@ function createRoom(name, isPrivate, adminFingerprint) {
   const code = generateRoomCode();
   const room = new Room(code, name, isPrivate, adminFingerprint);
   rooms.set(code, room);
+  schedulePlaybackSave();
 
   if (roomLogger) {
     roomLogger.logGeneral('room_created', { roomCode: code, roomName: name, isPrivate });
@@ -1149,13 +1602,19 @@ function getRoom(code) {
 function deleteRoom(code) {
   const room = rooms.get(code);
   if (room) {
+    clearTimeout(room.scheduledStart.timer);
+    clearTimeout(room.remote.timer);
+    if (room.votes.active) clearTimeout(room.votes.active.timer);
     if (roomLogger) {
       roomLogger.logGeneral('room_deleted', { roomCode: code, roomName: room.name });
       roomLogger.deleteRoomLog(code);
       // Also delete persisted fingerprint
       roomLogger.deleteAdminFingerprint(code);
     }
+    deletePlaylistLibrary(code);
+    deleteWatchData(code);
     rooms.delete(code);
+    schedulePlaybackSave();
     return true;
   }
   return false;
@@ -1191,12 +1650,28 @@ const verifiedAdminSockets = new Set();
 const connectedClients = new Map(); // socketId -> { fingerprint, connectedAt }
 // BSL-S² drift values per client per video (fingerprint -> { playlistIndex: driftSeconds })
 const clientDriftValues = new Map();
+// Buffering barrier state (see createBufferingState)
+const legacyBuffering = createBufferingState();
+// Pending wall-clock start (see scheduleStart)
+const legacyScheduledStart = { startAt: null, timer: null };
+// Remote token state (see createRemoteState)
+const legacyRemote = createRemoteState();
+// Viewer vote state (see createVoteState)
+const legacyVotes = createVoteState();
+// Viewer media requests (see createRequestState)
+const legacyRequests = createRequestState();
+// 24/7 channel schedule (see createChannelState)
+const legacyChannel = createChannelState();
+// What is being watched right now (see createWatchState)
+const legacyWatch = createWatchState();
+// Latest playback telemetry per client (socketId -> report)
+const clientTelemetry = new Map();
 
 // BSL-S² Persistent matches file (legacy, now in memory.json)
 const BSL_MATCHES_FILE = path.join(MEMORY_DIR, 'bsl_matches.json');
 
 // ==================== Unified Memory Storage ====================
-// Admin fingerprint is encrypted, clientNames and bslMatches are plain JSON
+// Admin fingerprint is encrypted, clientNames, bslMatches, resumePositions and watchHistory are plain JSON
 const MEMORY_FILE = path.join(MEMORY_DIR, 'memory.json');
 const KEY_FILE = path.join(MEMORY_DIR, '.key');
 
@@ -1264,7 +1739,7 @@ function isEncrypted(data) {
 }
 
 // Load unified memory
-// Format: { encrypted: "iv:authTag:ciphertext", clientNames: {}, bslMatches: {} }
+// Format: { encrypted: "iv:authTag:ciphertext", clientNames: {}, bslMatches: {}, resumePositions: {}, watchHistory: {} }
 function loadMemory() {
   try {
     if (fs.existsSync(MEMORY_FILE)) {
@@ -1279,7 +1754,9 @@ function loadMemory() {
         const newFormat = {
           encrypted: oldData.adminFingerprint ? encryptData(oldData.adminFingerprint) : null,
           clientNames: oldData.clientNames || {},
-          bslMatches: oldData.bslMatches || {}
+          bslMatches: oldData.bslMatches || {},
+          resumePositions: {},
+          watchHistory: {}
         };
         saveMemory(newFormat);
         console.log(`${colors.green}Migration complete${colors.reset}`);
@@ -1291,7 +1768,9 @@ function loadMemory() {
       return {
         encrypted: data.encrypted || null,
         clientNames: data.clientNames || {},
-        bslMatches: data.bslMatches || {}
+        bslMatches: data.bslMatches || {},
+        resumePositions: data.resumePositions || {},
+        watchHistory: data.watchHistory || {}
       };
     }
 
@@ -1303,22 +1782,28 @@ function loadMemory() {
       console.log(`${colors.green}Migrated legacy admin fingerprint${colors.reset}`);
     }
 
-    return { encrypted: encryptedFp, clientNames: {}, bslMatches: {} };
+    return { encrypted: encryptedFp, clientNames: {}, bslMatches: {}, resumePositions: {}, watchHistory: {} };
   } catch (error) {
     console.error('Error loading memory:', error);
   }
-  return { encrypted: null, clientNames: {}, bslMatches: {} };
+  return { encrypted: null, clientNames: {}, bslMatches: {}, resumePositions: {}, watchHistory: {} };
 }
 
 // Save unified memory - encrypted field for admin fp, plain for rest
+// Written every few seconds while something plays, so go through a temp file: a crash
+// mid-write must not truncate the file and lose the admin fingerprint
 function saveMemory(mem) {
   try {
     const toSave = {
       encrypted: mem.encrypted || null,
       clientNames: mem.clientNames || {},
-      bslMatches: mem.bslMatches || {}
+      bslMatches: mem.bslMatches || {},
+      resumePositions: mem.resumePositions || {},
+      watchHistory: mem.watchHistory || {}
     };
-    fs.writeFileSync(MEMORY_FILE, JSON.stringify(toSave, null, 2));
+    const tempFile = MEMORY_FILE + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(toSave, null, 2));
+    fs.renameSync(tempFile, MEMORY_FILE);
   } catch (error) {
     console.error('Error saving memory:', error);
   }
@@ -1372,6 +1857,60 @@ function setBslMatch(clientId, clientFileName, playlistFileName) {
   saveMemory(memory);
 }
 
+// Resume positions and watch history accessors (plain, persisted), keyed by scope:
+// the room code in server mode, 'legacy' otherwise (see Watch History)
+let resumePositions = memory.resumePositions || {}; // scope -> { filename: { position, duration, updatedAt } }
+let watchHistory = memory.watchHistory || {}; // scope -> [entry], newest first
+let memorySaveTimer = null;
+
+// Progress is recorded every few seconds while something plays, so those writes are coalesced
+function scheduleMemorySave() {
+  if (memorySaveTimer) return;
+  memorySaveTimer = setTimeout(() => {
+    memorySaveTimer = null;
+    saveMemory(memory);
+  }, 10000);
+}
+
+function saveMemoryNow() {
+  clearTimeout(memorySaveTimer);
+  memorySaveTimer = null;
+  saveMemory(memory);
+}
+
+function getResumePositions(scope) {
+  return resumePositions[scope] || {};
+}
+
+function setResumePosition(scope, filename, position, duration) {
+  if (!resumePositions[scope]) resumePositions[scope] = {};
+  resumePositions[scope][filename] = { position, duration, updatedAt: new Date().toISOString() };
+  memory.resumePositions = resumePositions;
+  scheduleMemorySave();
+}
+
+function clearResumePosition(scope, filename) {
+  if (!resumePositions[scope]?.[filename]) return;
+  delete resumePositions[scope][filename];
+  memory.resumePositions = resumePositions;
+  scheduleMemorySave();
+}
+
+function getWatchHistory(scope) {
+  if (!Array.isArray(watchHistory[scope])) watchHistory[scope] = [];
+  return watchHistory[scope];
+}
+
+// Forget a scope entirely (room deleted, or the admin cleared it)
+function deleteWatchData(scope) {
+  if (!resumePositions[scope] && !watchHistory[scope]) return;
+  delete resumePositions[scope];
+  delete watchHistory[scope];
+  memory.resumePositions = resumePositions;
+  memory.watchHistory = watchHistory;
+  saveMemoryNow();
+}
+
 // Admin Fingerprint Lock Configuration
 const ADMIN_FINGERPRINT_LOCK = config.admin_fingerprint_lock === 'true';
 let registeredAdminFingerprint = ADMIN_FINGERPRINT_LOCK ? getAdminFingerprint() : null;
@@ -1466,8 +2005,11 @@ function csrfProtection(req, res, next) {
   next();
 }
 
+// Media first, so the root static below never serves /media paths. Subfolders are served,
+// but no directory listings or redirects and no hidden files (send rejects '..' itself).
+app.use('/media', express.static(MEDIA_DIR, { dotfiles: 'deny', index: false, redirect: false, fallthrough: false }));
+app.use('/media', (err, req, res, next) => res.sendStatus(err.status || 500));
 app.use(express.static(ROOT_DIR));
-app.use('/media', express.static(path.join(ROOT_DIR, 'media')));
 app.use('/tracks', express.static(TRACKS_DIR));
 app.use('/js', express.static(path.join(__dirname, 'js')));
 app.use('/css', express.static(path.join(__dirname, 'css')));
@@ -1496,7 +2038,11 @@ const PLAYLIST = {
   currentIndex: -1,
   mainVideoIndex: -1,
   mainVideoStartTime: 0,
-  preloadMainVideo: false
+  preloadMainVideo: false,
+  advanceMode: PLAYLIST_ADVANCE, // See getNextIndex
+  shuffleSeed: null,
+  ended: false, // Stopped after the last item (advanceMode 'stop')
+  revision: 0 // Incremented on every change to the item list, see broadcastPlaylistEdit
 };
 
 let videoState = {
@@ -1505,7 +2051,8 @@ let videoState = {
   lastUpdate: Date.now(),
   audioTrack: 0,
   subtitleTrack: -1,
-  playbackRate: 1.0
+  playbackRate: 1.0,
+  version: 0 // Incremented on every broadcast state change
 };
 
 function getCurrentTrackSelections() {
@@ -1519,16 +2066,179 @@ function getCurrentTrackSelections() {
   return { audioTrack: 0, subtitleTrack: -1 };
 }
 
+// ==================== Playback Persistence ====================
+// Playlists and playback state (legacy and every room) are written to memory/playback.json
+// shortly after they change and restored on boot, so a restart doesn't wipe the queue
+const PLAYBACK_FILE = path.join(MEMORY_DIR, 'playback.json');
+const PLAYBACK_SAVE_DELAY_MS = 2000;
+let playbackSaveTimer = null;
+
+function loadPlayback() {
+  try {
+    if (fs.existsSync(PLAYBACK_FILE)) {
+      return JSON.parse(fs.readFileSync(PLAYBACK_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading playback state:', error);
+  }
+  return {};
+}
+
+// Saved state of the mode that isn't running is kept as-is when writing
+const savedPlayback = PERSIST_STATE ? loadPlayback() : {};
+
+// Store the position as of the save, restoring re-anchors it to the boot time
+function serializeVideoState(state) {
+  return {
+    isPlaying: state.isPlaying,
+    currentTime: projectTime(state),
+    audioTrack: state.audioTrack,
+    subtitleTrack: state.subtitleTrack,
+    playbackRate: state.playbackRate,
+    version: state.version
+  };
+}
+
+// Only the definition is stored, the lineup is probed again after a restart
+function serializeChannel(channel) {
+  if (!channel.mode) return null;
+  return { mode: channel.mode, anchor: channel.anchor, blocks: channel.blocks, blockStart: channel.blockStart };
+}
+
+function serializePlayback() {
+  const data = {
+    savedAt: new Date().toISOString(),
+    legacy: savedPlayback.legacy || null,
+    rooms: savedPlayback.rooms || []
+  };
+
+  if (SERVER_MODE) {
+    data.rooms = [];
+    rooms.forEach(room => {
+      data.rooms.push({
+        code: room.code,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        createdAt: room.createdAt,
+        playlist: room.playlist,
+        videoState: serializeVideoState(room.videoState),
+        channel: serializeChannel(room.channel)
+      });
+    });
+  } else {
+    data.legacy = {
+      playlist: PLAYLIST,
+      videoState: serializeVideoState(videoState),
+      channel: serializeChannel(legacyChannel)
+    };
+  }
+  return data;
+}
+
+// Write through a temp file so a crash mid-write never leaves a truncated file
+function savePlaybackNow() {
+  clearTimeout(playbackSaveTimer);
+  playbackSaveTimer = null;
+  if (!PERSIST_STATE) return;
+
+  try {
+    const tempFile = PLAYBACK_FILE + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(serializePlayback(), null, 2));
+    fs.renameSync(tempFile, PLAYBACK_FILE);
+  } catch (error) {
+    console.error('Error saving playback state:', error);
+  }
+}
+
+// Coalesce bursts of changes into one write
+function schedulePlaybackSave() {
+  if (!PERSIST_STATE || playbackSaveTimer) return;
+  playbackSaveTimer = setTimeout(savePlaybackNow, PLAYBACK_SAVE_DELAY_MS);
+}
+
+function restorePlaylist(target, saved) {
+  if (!saved || !Array.isArray(saved.videos)) return false;
+
+  const count = saved.videos.length;
+  const inRange = (index) => Number.isInteger(index) && index >= 0 && index < count;
+  target.videos = saved.videos;
+  target.currentIndex = inRange(saved.currentIndex) ? saved.currentIndex : (count > 0 ? 0 : -1);
+  target.mainVideoIndex = inRange(saved.mainVideoIndex) ? saved.mainVideoIndex : -1;
+  target.mainVideoStartTime = Number.isFinite(saved.mainVideoStartTime) ? Math.max(0, saved.mainVideoStartTime) : 0;
+  target.preloadMainVideo = saved.preloadMainVideo === true;
+  if (ADVANCE_MODES.includes(saved.advanceMode)) target.advanceMode = saved.advanceMode;
+  target.shuffleSeed = typeof saved.shuffleSeed === 'string' ? saved.shuffleSeed : null;
+  target.ended = saved.ended === true;
+  target.revision = Number.isInteger(saved.revision) ? saved.revision : 0;
+  return true;
+}
+
+function restoreVideoState(target, saved) {
+  if (!saved) return;
+  target.isPlaying = saved.isPlaying === true;
+  target.currentTime = Number.isFinite(saved.currentTime) ? Math.max(0, saved.currentTime) : 0;
+  target.lastUpdate = Date.now();
+  if (Number.isInteger(saved.audioTrack)) target.audioTrack = saved.audioTrack;
+  if (Number.isInteger(saved.subtitleTrack)) target.subtitleTrack = saved.subtitleTrack;
+  if (Number.isFinite(saved.playbackRate) && saved.playbackRate >= 0.25 && saved.playbackRate <= 3.0) {
+    target.playbackRate = saved.playbackRate;
+  }
+  // Continue past the saved version so actions from before the restart read as stale
+  target.version = (Number.isInteger(saved.version) ? saved.version : 0) + 1;
+}
+
+// Runs before the channel ticker exists, which probes the lineup once it starts
+function restoreChannel(target, saved) {
+  if (!saved || !['loop', 'schedule'].includes(saved.mode)) return;
+  const validBlocks = Array.isArray(saved.blocks) && saved.blocks.length > 0 &&
+    saved.blocks.every(block => /^\d{2}:\d{2}$/.test(block?.start) && typeof block.playlist === 'string');
+  if (saved.mode === 'schedule' && !validBlocks) return;
+  target.mode = saved.mode;
+  target.anchor = Number.isFinite(saved.anchor) ? saved.anchor : null;
+  target.blocks = saved.mode === 'schedule' ? saved.blocks : [];
+  target.blockStart = Number.isFinite(saved.blockStart) ? saved.blockStart : null;
+}
+
+function restorePlayback() {
+  if (!PERSIST_STATE) return;
+
+  if (SERVER_MODE) {
+    let restored = 0;
+    (savedPlayback.rooms || []).forEach(saved => {
+      if (!saved || typeof saved.code !== 'string' || !/^[A-Z0-9]{6}$/.test(saved.code) || rooms.has(saved.code)) return;
+
+      const name = typeof saved.name === 'string' && saved.name ? saved.name : `Room ${saved.code}`;
+      const adminFingerprint = roomLogger ? roomLogger.getAdminFingerprint(saved.code) : null;
+      const room = new Room(saved.code, name, saved.isPrivate === true, adminFingerprint);
+      if (typeof saved.createdAt === 'string') room.createdAt = saved.createdAt;
+      restorePlaylist(room.playlist, saved.playlist);
+      restoreVideoState(room.videoState, saved.videoState);
+      restoreChannel(room.channel, saved.channel);
+      rooms.set(room.code, room);
+      restored++;
+    });
+    if (restored > 0) {
+      console.log(`${colors.green}Restored ${restored} room(s) from ${path.basename(PLAYBACK_FILE)}${colors.reset}`);
+    }
+  } else if (savedPlayback.legacy && restorePlaylist(PLAYLIST, savedPlayback.legacy.playlist)) {
+    restoreVideoState(videoState, savedPlayback.legacy.videoState);
+    restoreChannel(legacyChannel, savedPlayback.legacy.channel);
+    if (PLAYLIST.videos.length > 0) console.log(`${colors.green}Restored playlist (${PLAYLIST.videos.length} items) at ${videoState.currentTime.toFixed(1)}s${colors.reset}`);
+  }
+}
+
+restorePlayback();
+
 // Get audio/subtitle tracks for a file
 async function getTracksForFile(filename) {
-  const safeFilename = path.basename(filename);
-  const filePath = path.join(ROOT_DIR, 'media', safeFilename);
+  const safeFilename = filename;
+  const filePath = resolveMediaPath(safeFilename);
   const tracks = { audio: [], subtitles: [] };
+  if (!filePath) return tracks;
 
   // Read sidecar JSON manifest if exists
   try {
-    const manifestFilename = safeFilename + '.json';
-    const manifestPath = path.join(TRACKS_MANIFEST_DIR, manifestFilename);
+    const manifestPath = getTracksManifestPath(safeFilename);
 
     if (fs.existsSync(manifestPath)) {
       const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
@@ -1549,80 +2259,16 @@ async function getTracksForFile(filename) {
           if (ext.type === 'subtitle') tracks.subtitles.push(trackObj);
         });
       }
+      if (manifest.introRange) tracks.introRange = manifest.introRange;
+      if (manifest.outroRange) tracks.outroRange = manifest.outroRange;
     }
   } catch (e) {
     console.warn('Error reading manifest for ' + safeFilename, e);
   }
 
-  // Use node-av if available
-  if (Demuxer) {
-    try {
-      // Demuxer.open returns a Promise that resolves to a Demuxer instance
-      // We must ensure we close it
-      const demuxer = await Demuxer.open(filePath);
-
-      try {
-        // Streams are available in demuxer.streams
-        // Iterate and map
-        for (const stream of demuxer.streams) {
-          // stream.codecpar.codecType is likely an enum or int. 
-          // We need to check constants or property.
-          // Based on node-av API structure, usually 'type' string property exists on high-level stream objects?
-          // Or stream.codecpar.codec_type
-
-          // Let's look at what we need: index, codec, language, title, default
-
-          // node-av metadata is a Dictionary object with getAll() method, not a plain object
-          const metadata = stream.metadata?.getAll?.() || {};
-          const disposition = stream.disposition || 0;
-          // Disposition is usually a bitmask. 0x1 = default.
-          const isDefault = (disposition & 1) !== 0; // AV_DISPOSITION_DEFAULT
-
-          const trackInfo = {
-            index: stream.index,
-            codec: stream.codecpar?.codecName || 'unknown',
-            language: metadata.language || 'und',
-            title: metadata.title || `Track ${stream.index}`,
-            default: isDefault
-          };
-
-          // Note: node-av 5.x CodecParameters uses getters (codecType, codecId)
-          if (stream.codecpar?.codecType === 1 || (stream.codecpar?.type === 'audio')) { // 1 = AVMEDIA_TYPE_AUDIO
-            tracks.audio.push(trackInfo);
-          } else if (stream.codecpar?.type === 'subtitle' || stream.codecpar?.codecType === 3) { // 3 = SUBTITLE
-            // User requested to HIDE internal subtitles to force use of extracted sidecars.
-            // tracks.subtitles.push(trackInfo); 
-          }
-
-          // Fallback: check codec name/type strings if available directly on stream
-          if (stream.type === 'audio') tracks.audio.push(trackInfo);
-          // if (stream.type === 'subtitle') tracks.subtitles.push(trackInfo); // Internal subtitles disabled
-        }
-
-        // Remove duplicates if my logic matched twice (paranoid check)
-        tracks.audio = [...new Set(tracks.audio.map(JSON.stringify))].map(JSON.parse);
-        tracks.subtitles = [...new Set(tracks.subtitles.map(JSON.stringify))].map(JSON.parse);
-
-        return tracks;
-
-      } finally {
-        // Cleanup
-        if (demuxer && typeof demuxer.close === 'function') {
-          await demuxer.close();
-        }
-      }
-    } catch (err) {
-      console.error(`[node-av] Error reading tracks for ${safeFilename}:`, err);
-      // Fallback to empty if failed? Or try ffprobe if we kept it?
-      // For now, return empty object so we don't crash
-      return tracks;
-    }
-  }
-
-  // Fallback / Legacy (execFile ffprobe) - Removed as per migration request
-  // But strictly speaking, if node-av fails to load, we might want fallback?
-  // User asked to *migrate*, implying replacement.
-  console.warn('node-av not available, cannot get tracks.');
+  // Internal audio tracks come from the media index
+  const info = await getMediaInfo(safeFilename);
+  if (info) tracks.audio.push(...info.audioTracks.map(track => ({ ...track })));
   return tracks;
 }
 
@@ -1776,268 +2422,1472 @@ app.get('/api/server-mode', (req, res) => {
   res.json({ serverMode: SERVER_MODE });
 });
 
-let mediaFilesCache = { data: null, lastUpdate: 0 };
+// ==================== Media Library ====================
+// /media is scanned recursively, so organised folders like "Show/Season 1/..." work.
+// Files are identified by their path relative to /media with forward slashes. Series,
+// season and episode are detected from the names so the admin can group episodes.
+const MEDIA_EXTENSIONS = ['.mp4', '.mp3', '.avi', '.mov', '.wmv', '.mkv', '.webm', '.png', '.jpg', '.jpeg', '.webp'];
+const MEDIA_SCAN_MAX_FILES = 10000;
+
+// "S01E02", "s1.e2", "S01 E02" and "1x02"
+const EPISODE_CODE_PATTERNS = [
+  /(?<![a-z0-9])s(\d{1,2})[ ._-]?e(\d{1,3})(?!\d)/i,
+  /(?<![a-z0-9])(\d{1,2})x(\d{2,3})(?!\d)/i
+];
+// Episode numbers in files inside a season folder: "Episode 3", "Ep03", "E03", "03 - Title"
+const EPISODE_NUMBER_PATTERNS = [
+  /(?<![a-z0-9])(?:episode|ep|e)[ ._-]?(\d{1,3})(?!\d)/i,
+  /^(\d{1,3})(?![\dx])(?:[ ._-]|$)/i
+];
+const SEASON_FOLDER_PATTERN = /^(?:season|series|staffel|saison|s)[ ._-]?(\d{1,3})$/i;
+
+// changeCount is the mediaChangeCount the scan started at, see getMediaFiles
+let mediaFilesCache = { data: null, lastUpdate: 0, changeCount: 0 };
+
+function cleanSeriesName(name) {
+  return name.replace(/[._]+/g, ' ').replace(/[\s\-([]+$/, '').replace(/\s+/g, ' ').trim();
+}
 
-// Helper to get media files
-function getMediaFiles() {
-  // Prevent disk-spamming with a 20-second cache
-  if (mediaFilesCache.data && (Date.now() - mediaFilesCache.lastUpdate < 20000)) {
-    return Promise.resolve(mediaFilesCache.data);
-  }
-
-  const mediaPath = path.join(ROOT_DIR, 'media');
-  return new Promise((resolve) => {
-    fs.readdir(mediaPath, (err, files) => {
-      if (err) return resolve([]);
-      const mediaFiles = [];
-      for (const file of files) {
-        const ext = path.extname(file).toLowerCase();
-        if (['.mp4', '.mp3', '.avi', '.mov', '.wmv', '.mkv', '.webm', '.png', '.jpg', '.jpeg', '.webp'].includes(ext)) {
-          mediaFiles.push({
-            filename: file,
-            escapedFilename: escapeHTML(file),
-            usesHEVC: ext === '.mkv'
-          });
-        }
+// Series/season/episode of a file from its relative path, or null if it doesn't look
+// like an episode
+function parseEpisodeInfo(filename) {
+  const folders = filename.split('/');
+  const name = folders.pop();
+  const baseName = name.slice(0, name.length - path.extname(name).length);
+
+  const seasonFolderIndex = folders.findIndex(folder => SEASON_FOLDER_PATTERN.test(folder));
+  let season = seasonFolderIndex >= 0 ? parseInt(folders[seasonFolderIndex].match(SEASON_FOLDER_PATTERN)[1], 10) : null;
+  let episode = null;
+  let prefix = '';
+
+  for (const pattern of EPISODE_CODE_PATTERNS) {
+    const match = baseName.match(pattern);
+    if (match) {
+      season = parseInt(match[1], 10);
+      episode = parseInt(match[2], 10);
+      prefix = baseName.slice(0, match.index);
+      break;
+    }
+  }
+  if (episode === null && season !== null) {
+    for (const pattern of EPISODE_NUMBER_PATTERNS) {
+      const match = baseName.match(pattern);
+      if (match) {
+        episode = parseInt(match[1], 10);
+        prefix = baseName.slice(0, match.index);
+        break;
       }
-      mediaFilesCache = { data: mediaFiles, lastUpdate: Date.now() };
-      resolve(mediaFiles);
-    });
-  });
+    }
+  }
+  if (episode === null) return null;
+
+  // The folder holding the season folders names the series. Otherwise whatever comes
+  // before the episode code in the name, then the file's own folder.
+  const series = (seasonFolderIndex > 0 && cleanSeriesName(folders[seasonFolderIndex - 1])) ||
+    cleanSeriesName(prefix) ||
+    (seasonFolderIndex !== 0 && folders.length > 0 && cleanSeriesName(folders[folders.length - 1])) ||
+    'Unknown Series';
+
+  return { series, season: season || 1, episode };
 }
 
-// Rate limiters for expensive operations
-// Helper: Check if request is from localhost
-const isLocalhost = (req) => {
-  const ip = req.ip || req.connection.remoteAddress;
-  return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1';
-};
+async function scanMediaFolder(dir, relativeDir, depth, mediaFiles) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return;
+  }
 
-const filesRateLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 35, // 35 requests per minute per IP
-  message: { error: 'Too many requests, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: isLocalhost // Bypass for localhost
-});
+  for (const entry of entries) {
+    if (mediaFiles.length >= MEDIA_SCAN_MAX_FILES) return;
+    // Symlinks aren't followed, so a link can't point the library outside /media
+    if (entry.name.startsWith('.')) continue;
+    const filename = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
 
-const tracksRateLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 60, // 60 requests per minute per IP
-  message: { error: 'Too many requests, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: isLocalhost // Bypass for localhost
-});
+    if (entry.isDirectory()) {
+      if (depth < MEDIA_MAX_DEPTH) await scanMediaFolder(path.join(dir, entry.name), filename, depth + 1, mediaFiles);
+      continue;
+    }
 
-const thumbnailRateLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 50, // 50 requests per minute per IP
-  message: { error: 'Too many requests, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: isLocalhost // Bypass for localhost
-});
+    const ext = path.extname(entry.name).toLowerCase();
+    if (!entry.isFile() || !MEDIA_EXTENSIONS.includes(ext)) continue;
 
-app.get('/api/files', filesRateLimiter, async (req, res) => {
-  const files = await getMediaFiles();
-  res.json(files);
-});
+    let stats;
+    try {
+      stats = await fs.promises.stat(path.join(dir, entry.name));
+    } catch (err) {
+      continue; // Removed while scanning
+    }
 
-app.get('/api/tracks/:filename', tracksRateLimiter, async (req, res) => {
-  const filename = req.params.filename;
+    const file = {
+      filename,
+      escapedFilename: escapeHTML(filename),
+      usesHEVC: ext === '.mkv',
+      name: entry.name,
+      folder: relativeDir,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs
+    };
+    const episodeInfo = parseEpisodeInfo(filename);
+    if (episodeInfo) Object.assign(file, episodeInfo);
+    mediaFiles.push(file);
+  }
+}
 
-  // Validate filename before processing
-  const validation = validateFilename(filename);
-  if (!validation.valid) {
-    console.log(`${colors.yellow}Invalid filename rejected in /api/tracks: ${validation.error}${colors.reset}`);
-    return res.status(400).json({ error: validation.error });
+// ==================== Media Index ====================
+// Probed metadata for every file under /media (duration, container, codecs, resolution,
+// bitrate, audio tracks, cover art), persisted in memory/media-index.json so a restart
+// doesn't reopen every file. An entry is only trusted while the file's size and mtime
+// still match. fs.watch triggers a rescan when /media changes, and new or changed files
+// are probed in the background by a small pool of probe workers.
+const MEDIA_INDEX_FILE = path.join(MEMORY_DIR, 'media-index.json');
+const MEDIA_INDEX_SAVE_DELAY_MS = 5000;
+const MEDIA_PROBE_WORKERS = 2; // Files opened at once
+const MEDIA_WATCH_DEBOUNCE_MS = 2000; // Copies fire many events, rescan once they settle
+const MEDIA_RESCAN_INTERVAL_MS = 20000; // Cache lifetime when /media can't be watched
+
+function loadMediaIndex() {
+  try {
+    if (fs.existsSync(MEDIA_INDEX_FILE)) {
+      return JSON.parse(fs.readFileSync(MEDIA_INDEX_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading media index:', error);
   }
+  return {};
+}
 
+const mediaIndex = loadMediaIndex(); // filename -> entry, see indexMediaFile
+let mediaIndexSaveTimer = null;
+let mediaChangeCount = 0; // Bumped on every change to /media, the listing is rescanned after
+let mediaWatcher = null;
+let mediaWatchTimer = null;
+const probeQueue = []; // Filenames waiting for a probe worker
+const probeJobs = new Map(); // filename -> { promise, resolve } while queued or probing
+let activeProbes = 0;
+
+// Write through a temp file so a crash mid-write never leaves a truncated file
+function saveMediaIndexNow() {
+  clearTimeout(mediaIndexSaveTimer);
+  mediaIndexSaveTimer = null;
   try {
-    const tracks = await getTracksForFile(validation.sanitized);
-    res.json(tracks);
+    const tempFile = MEDIA_INDEX_FILE + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(mediaIndex));
+    fs.renameSync(tempFile, MEDIA_INDEX_FILE);
   } catch (error) {
-    console.error('Error reading track info:', error);
-    res.status(500).json({ error: 'Unable to read track information' });
+    console.error('Error saving media index:', error);
   }
-});
+}
 
-// Get Windows temp directory for thumbnails (cleared on reboot)
-const os = require('os');
-const THUMBNAIL_DIR = path.join(os.tmpdir(), 'sync-player-thumbnails');
+// Background probes finish one by one, coalesce their writes
+function scheduleMediaIndexSave() {
+  if (mediaIndexSaveTimer) return;
+  mediaIndexSaveTimer = setTimeout(saveMediaIndexNow, MEDIA_INDEX_SAVE_DELAY_MS);
+}
 
-// Ensure thumbnail directory exists
-if (!fs.existsSync(THUMBNAIL_DIR)) {
-  fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+function isIndexCurrent(entry, size, mtimeMs) {
+  return !!entry && entry.size === size && entry.mtimeMs === mtimeMs;
 }
 
-// Serve thumbnails from temp directory
-app.use('/thumbnails', express.static(THUMBNAIL_DIR));
+function createMediaInfo() {
+  return {
+    duration: 0, // Seconds, 0 when unknown
+    container: null, // Demuxer format name, e.g. 'matroska,webm'
+    bitrate: 0, // kbit/s, 0 when unknown
+    videoCodec: null, // Null for audio-only files and images without a video stream
+    width: null,
+    height: null,
+    audioCodec: null, // First audio stream
+    audioTracks: [], // Internal audio tracks as /api/tracks lists them
+    subtitleStreams: 0, // Internal subtitles aren't offered as tracks, but are counted
+    hasCoverArt: false
+  };
+}
 
-// Get video duration using node-av
-async function getVideoDuration(videoPath) {
-  let demuxer = null;
+async function readMediaMetadata(filePath) {
+  const info = createMediaInfo();
+  if (!Demuxer) {
+    // Without node-av only the duration is available (ffprobe)
+    info.duration = await getVideoDuration(filePath);
+    return info;
+  }
+
+  const demuxer = await Demuxer.open(filePath);
   try {
-    if (Demuxer) {
-      demuxer = await Demuxer.open(videoPath);
-      // demuxer.duration is in seconds (float)
-      return demuxer.duration || 0;
-    } else {
-      // Fallback to ffprobe if node-av failed to load (though unlikely if Demuxer is defined)
-      return new Promise((resolve, reject) => {
-        execFile('ffprobe', [
-          '-v', 'quiet',
-          '-print_format', 'json',
-          '-show_format',
-          videoPath
-        ], (error, stdout) => {
-          if (error) {
-            reject(error);
-            return;
-          }
-          try {
-            const data = JSON.parse(stdout);
-            const duration = parseFloat(data.format.duration) || 0;
-            resolve(duration);
-          } catch (e) {
-            reject(e);
-          }
+    info.duration = demuxer.duration || 0;
+    info.container = demuxer.formatName;
+    info.bitrate = demuxer.bitRate || 0;
+
+    for (const stream of demuxer.streams) {
+      const codecpar = stream.codecpar;
+      const codec = avGetCodecName(codecpar.codecId) || 'unknown';
+      const disposition = stream.disposition || 0;
+
+      if (disposition & 1024) { // AV_DISPOSITION_ATTACHED_PIC
+        info.hasCoverArt = true;
+      } else if (codecpar.codecType === 0) { // AVMEDIA_TYPE_VIDEO
+        if (!info.videoCodec) {
+          info.videoCodec = codec;
+          info.width = codecpar.width || null;
+          info.height = codecpar.height || null;
+        }
+      } else if (codecpar.codecType === 1) { // AVMEDIA_TYPE_AUDIO
+        // node-av metadata is a Dictionary object with getAll() method, not a plain object
+        const metadata = stream.metadata?.getAll?.() || {};
+        if (!info.audioCodec) info.audioCodec = codec;
+        info.audioTracks.push({
+          index: stream.index,
+          codec,
+          language: metadata.language || 'und',
+          title: metadata.title || `Track ${stream.index}`,
+          default: (disposition & 1) !== 0 // AV_DISPOSITION_DEFAULT
         });
-      });
+      } else if (codecpar.codecType === 3) { // AVMEDIA_TYPE_SUBTITLE
+        info.subtitleStreams++;
+      }
     }
-  } catch (err) {
-    console.error(`Error getting duration for ${videoPath}:`, err.message);
-    return 0;
+    return info;
   } finally {
-    if (demuxer) {
-      await demuxer.close();
+    await demuxer.close();
+  }
+}
+
+// Probe a file and store the result. Files that can't be probed get an entry with
+// error: true, so they aren't retried until they change. Never rejects.
+async function indexMediaFile(filename) {
+  const filePath = resolveMediaPath(filename);
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (err) {
+    delete mediaIndex[filename];
+    return null;
+  }
+
+  let info;
+  try {
+    info = await readMediaMetadata(filePath);
+  } catch (err) {
+    console.error(`[node-av] Error probing ${filename}:`, err.message);
+    info = { ...createMediaInfo(), error: true };
+  }
+
+  const entry = { size: stats.size, mtimeMs: stats.mtimeMs, probedAt: Date.now(), ...info };
+  mediaIndex[filename] = entry;
+  scheduleMediaIndexSave();
+  return entry;
+}
+
+// Queue a probe, resolves with the new entry (or null if the file is gone). Urgent
+// probes (someone is waiting for the file) go ahead of the background backlog.
+function probeMediaFile(filename, urgent = false) {
+  const existing = probeJobs.get(filename);
+  if (existing) {
+    const queued = probeQueue.indexOf(filename);
+    if (urgent && queued > 0) {
+      probeQueue.splice(queued, 1);
+      probeQueue.unshift(filename);
     }
+    return existing.promise;
   }
+
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  probeJobs.set(filename, { promise, resolve });
+  if (urgent) probeQueue.unshift(filename);
+  else probeQueue.push(filename);
+  runProbeWorkers();
+  return promise;
 }
 
-// Generate thumbnail from video using FFmpeg (720p, random frame from first third)
-app.get('/api/thumbnail/:filename', thumbnailRateLimiter, async (req, res) => {
-  const filename = req.params.filename;
+function runProbeWorkers() {
+  while (activeProbes < MEDIA_PROBE_WORKERS && probeQueue.length > 0) {
+    const filename = probeQueue.shift();
+    activeProbes++;
+    indexMediaFile(filename).then((entry) => {
+      probeJobs.get(filename).resolve(entry);
+      probeJobs.delete(filename);
+      activeProbes--;
+      runProbeWorkers();
+    });
+  }
+}
 
-  // Validate filename before processing
-  const validation = validateFilename(filename);
-  if (!validation.valid) {
-    console.log(`${colors.yellow}Invalid filename rejected in /api/thumbnail: ${validation.error}${colors.reset}`);
-    return res.status(400).json({ error: validation.error });
+// Metadata for a validated media filename, probed now if the index has nothing current.
+// Null if the file doesn't exist.
+async function getMediaInfo(filename) {
+  const filePath = resolveMediaPath(filename);
+  if (!filePath) return null;
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (err) {
+    return null;
   }
 
-  const safeFilename = validation.sanitized;
-  const videoPath = path.join(ROOT_DIR, 'media', safeFilename);
+  const entry = mediaIndex[filename];
+  if (isIndexCurrent(entry, stats.size, stats.mtimeMs)) return entry;
+  return probeMediaFile(filename, true);
+}
 
-  // Support custom width (default 720p)
-  let width = parseInt(req.query.width) || 720;
-  width = Math.min(1920, Math.max(50, width)); // Clamp 50-1920
+// Listing metadata for a scanned file, null until it has been probed
+function getListedMediaInfo(file) {
+  const entry = mediaIndex[file.filename];
+  if (!isIndexCurrent(entry, file.size, file.mtimeMs)) return null;
+  const { size, mtimeMs, probedAt, ...info } = entry;
+  return info;
+}
 
-  // Use distinct cache file for different widths (backward compat for 720)
-  const thumbnailFilename = width === 720
-    ? safeFilename.replace(/\.[^.]+$/, '.jpg')
-    : safeFilename.replace(/\.[^.]+$/, `.${width}.jpg`);
+// Queue probes for files the index doesn't know (or knows an older version of), and
+// drop entries for files that are gone when the scan saw the whole library
+function syncMediaIndex(files, complete) {
+  files.forEach(file => {
+    if (!isIndexCurrent(mediaIndex[file.filename], file.size, file.mtimeMs)) {
+      probeMediaFile(file.filename);
+    }
+  });
 
-  const thumbnailPath = path.join(THUMBNAIL_DIR, thumbnailFilename);
+  if (!complete) return;
+  const listed = new Set(files.map(file => file.filename));
+  let removed = false;
+  Object.keys(mediaIndex).forEach(filename => {
+    if (!listed.has(filename) && !probeJobs.has(filename)) {
+      delete mediaIndex[filename];
+      removed = true;
+    }
+  });
+  if (removed) scheduleMediaIndexSave();
+}
 
-  // Check if thumbnail already exists (cached)
-  if (fs.existsSync(thumbnailPath)) {
-    return res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+// Call after adding, replacing or removing files in /media, the next listing rescans
+function markMediaChanged() {
+  mediaChangeCount++;
+}
+
+function watchMediaFolder() {
+  try {
+    mediaWatcher = fs.watch(MEDIA_DIR, { recursive: true }, (eventType, filename) => {
+      // Chunks landing in unfinished uploads aren't library changes, see finishUpload
+      if (filename && filename.startsWith(UPLOAD_DIR_NAME)) return;
+      clearTimeout(mediaWatchTimer);
+      mediaWatchTimer = setTimeout(() => {
+        markMediaChanged();
+        // Rescan right away so changed files are probed before anyone asks for them
+        getMediaFiles().catch(err => console.error('Error rescanning media folder:', err));
+      }, MEDIA_WATCH_DEBOUNCE_MS);
+    });
+    mediaWatcher.on('error', (err) => {
+      console.warn(`${colors.yellow}Stopped watching the media folder, rescanning every ${MEDIA_RESCAN_INTERVAL_MS / 1000}s instead:${colors.reset}`, err.message);
+      mediaWatcher.close();
+      mediaWatcher = null;
+    });
+  } catch (err) {
+    console.warn(`${colors.yellow}Can't watch the media folder, rescanning every ${MEDIA_RESCAN_INTERVAL_MS / 1000}s instead:${colors.reset}`, err.message);
+    mediaWatcher = null;
   }
+}
 
-  // Check if file exists
-  if (!fs.existsSync(videoPath)) {
-    return res.status(404).json({ error: 'File not found' });
+// Helper to get media files
+async function getMediaFiles() {
+  // Rescan after a change was seen, and on a timer too if /media can't be watched
+  const fresh = mediaFilesCache.changeCount === mediaChangeCount &&
+    (mediaWatcher || Date.now() - mediaFilesCache.lastUpdate < MEDIA_RESCAN_INTERVAL_MS);
+
+  if (!mediaFilesCache.data || !fresh) {
+    const changeCount = mediaChangeCount;
+    const mediaFiles = [];
+    await scanMediaFolder(MEDIA_DIR, '', 0, mediaFiles);
+    mediaFiles.sort((a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true, sensitivity: 'base' }));
+
+    mediaFilesCache = { data: mediaFiles, lastUpdate: Date.now(), changeCount };
+    syncMediaIndex(mediaFiles, mediaFiles.length < MEDIA_SCAN_MAX_FILES);
   }
 
-  // Check if this is an audio file (MP3, etc.) - extract embedded cover art
-  const audioExtensions = ['.mp3', '.flac', '.m4a', '.aac', '.ogg', '.wav'];
-  const isAudioFile = audioExtensions.some(ext => safeFilename.toLowerCase().endsWith(ext));
+  // Merged per call, so files probed in the background show up without a rescan
+  return mediaFilesCache.data.map(file => ({ ...file, info: getListedMediaInfo(file) }));
+}
 
-  if (isAudioFile) {
-    console.log(`${colors.cyan}Extracting cover art from audio file: ${safeFilename}${colors.reset}`);
+watchMediaFolder();
+// Index the library in the background so the first playlist doesn't wait for probes
+getMediaFiles().catch(err => console.error('Error scanning media folder:', err));
+
+// Nest the flat file list into folders: { name, path, folders: [...], files: [...] }
+function buildMediaTree(files) {
+  const root = { name: '', path: '', folders: [], files: [] };
+  const folderMap = new Map([['', root]]);
+
+  const getFolder = (folderPath) => {
+    if (folderMap.has(folderPath)) return folderMap.get(folderPath);
+    const slash = folderPath.lastIndexOf('/');
+    const parent = getFolder(slash >= 0 ? folderPath.slice(0, slash) : '');
+    const folder = { name: folderPath.slice(slash + 1), path: folderPath, folders: [], files: [] };
+    parent.folders.push(folder);
+    folderMap.set(folderPath, folder);
+    return folder;
+  };
 
+  files.forEach(file => getFolder(file.folder).files.push(file));
+  return root;
+}
 
-    // Extract embedded cover art from audio file using node-av
-    try {
-      if (!Demuxer) throw new Error('node-av Demuxer not available');
+// Rate limiters for expensive operations
+// Helper: Check if request is from localhost
+const isLocalhost = (req) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1';
+};
 
-      console.log(`${colors.cyan}Processing audio cover art with node-av for: ${safeFilename}${colors.reset}`);
+const filesRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 35, // 35 requests per minute per IP
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: isLocalhost // Bypass for localhost
+});
 
-      const input = await Demuxer.open(videoPath);
-      let coverStream = null;
+const tracksRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute per IP
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: isLocalhost // Bypass for localhost
+});
 
-      // 1. Look for stream with AV_DISPOSITION_ATTACHED_PIC (0x0400 = 1024)
-      for (const stream of input.streams) {
-        if (stream.disposition & 1024) {
-          coverStream = stream;
-          break;
-        }
-      }
+const thumbnailRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 50, // 50 requests per minute per IP
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: isLocalhost // Bypass for localhost
+});
 
-      // 2. If not found, look for a video stream (generic cover art in some containers)
-      if (!coverStream) {
-        for (const stream of input.streams) {
-          // Access via codecType getter (node-av 5.x) or try strict check
-          if (stream.codecpar && (stream.codecpar.codecType === 0 || stream.codecpar.type === 'video')) { // 0 = AVMEDIA_TYPE_VIDEO
-            coverStream = stream;
-            break;
-          }
-        }
-      }
+const playlistsRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute per IP
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: isLocalhost // Bypass for localhost
+});
 
-      if (coverStream) {
-        console.log(`${colors.cyan}Found cover art stream #${coverStream.index}. Extracting...${colors.reset}`);
+// ==================== Playlist Library ====================
+// Named playlists saved from the admin panel, stored in memory/playlists.json
+// under a scope: 'legacy', or the room code in server mode
+const PLAYLIST_LIBRARY_FILE = path.join(MEMORY_DIR, 'playlists.json');
+const PLAYLIST_LIBRARY_MAX = 100; // Saved playlists per scope
+const PLAYLIST_ITEMS_MAX = 500;
+const PLAYLIST_NAME_MAX = 100;
 
-        // Read first packet from this stream
-        let found = false;
-        // Iterate packets specifically for this stream
-        for await (const packet of input.packets(coverStream.index)) {
-          if (packet.streamIndex === coverStream.index) {
-            // Write packet data to file
-            if (packet.data) {
-              fs.writeFileSync(thumbnailPath, packet.data);
-              console.log(`${colors.green}Extracted cover art to: ${thumbnailPath}${colors.reset}`);
-              res.json({ thumbnail: `/thumbnails/${thumbnailFilename}`, isAudio: true });
-              found = true;
-            }
-            packet.free();
-            break; // Only need one packet
-          }
-          packet.free();
-        }
-        if (!found) {
-          console.log(`${colors.yellow}Stream found but no packets extracted.${colors.reset}`);
-          res.json({ thumbnail: null, isAudio: true });
-        }
-      } else {
-        console.log(`${colors.yellow}No embedded cover art stream found.${colors.reset}`);
-        res.json({ thumbnail: null, isAudio: true });
-      }
+function loadPlaylistLibrary() {
+  try {
+    if (fs.existsSync(PLAYLIST_LIBRARY_FILE)) {
+      return JSON.parse(fs.readFileSync(PLAYLIST_LIBRARY_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading playlist library:', error);
+  }
+  return {};
+}
 
-      await input.close();
+const playlistLibrary = loadPlaylistLibrary(); // scope -> [entry]
 
-    } catch (err) {
-      console.error(`${colors.red}Error extracting audio cover art: ${err.message}${colors.reset}`);
-      // Fallback or just return null
-      res.json({ thumbnail: null, isAudio: true });
-    }
+// Write through a temp file so a crash mid-write never wipes the library
+function savePlaylistLibrary() {
+  try {
+    const tempFile = PLAYLIST_LIBRARY_FILE + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(playlistLibrary, null, 2));
+    fs.renameSync(tempFile, PLAYLIST_LIBRARY_FILE);
+  } catch (error) {
+    console.error('Error saving playlist library:', error);
   }
+}
 
-  // Check if node-av is available
-  if (path.extname(videoPath).toLowerCase() === '.mp4' || path.extname(videoPath).toLowerCase() === '.mkv' || path.extname(videoPath).toLowerCase() === '.avi') { // Basic check, Demuxer handles more
-    if (Demuxer && Decoder && Encoder && FilterAPI && Muxer) {
-      try {
-        console.log(`${colors.cyan}Processing thumbnail with node-av for: ${safeFilename}${colors.reset}`);
+function getLibraryEntries(scope) {
+  if (!Array.isArray(playlistLibrary[scope])) playlistLibrary[scope] = [];
+  return playlistLibrary[scope];
+}
 
-        // Logic: Reuse master thumbnail (720p) if available and we want a smaller size
-        // This ensures the blurred background matches the main thumbnail
-        const masterFilename = safeFilename.replace(/\.[^.]+$/, '.jpg');
-        const masterPath = path.join(THUMBNAIL_DIR, masterFilename);
-        let inputPath = videoPath;
-        let isImageInput = false;
+function deletePlaylistLibrary(scope) {
+  if (playlistLibrary[scope]) {
+    delete playlistLibrary[scope];
+    savePlaylistLibrary();
+  }
+}
+
+function validateLibraryName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed.length > 0 && trimmed.length <= PLAYLIST_NAME_MAX ? trimmed : null;
+}
+
+// Items are stored as the admin panel sends them to set-playlist, so track
+// selections, start times and external item fields survive a save/load
+function sanitizeLibraryItems(items) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > PLAYLIST_ITEMS_MAX) return null;
+
+  const clean = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object' || typeof item.filename !== 'string' || !item.filename) return null;
+    const { isNew, ...saved } = item;
+    clean.push(normalizeItemTiming(saved));
+  }
+  return clean;
+}
+
+// Apply the queue fields of a request body to an entry, returns an error message or null
+function applyLibraryQueue(entry, body) {
+  const items = sanitizeLibraryItems(body.items);
+  if (!items) return `Playlist must have 1-${PLAYLIST_ITEMS_MAX} items`;
+
+  const mainVideoIndex = Number(body.mainVideoIndex);
+  const startTime = Number(body.startTime);
+  entry.items = items;
+  entry.mainVideoIndex = Number.isInteger(mainVideoIndex) && mainVideoIndex >= 0 && mainVideoIndex < items.length ? mainVideoIndex : 0;
+  entry.startTime = Number.isFinite(startTime) && startTime >= 0 ? startTime : 0;
+  entry.updatedAt = new Date().toISOString();
+  return null;
+}
+
+function summarizeLibraryEntry(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    itemCount: entry.items.length,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+function isLibraryNameTaken(entries, name, exceptId = null) {
+  const lower = name.toLowerCase();
+  return entries.some(entry => entry.id !== exceptId && entry.name.toLowerCase() === lower);
+}
+
+// Only the admin may manage the library: the room admin in server mode,
+// the registered admin machine in legacy mode when the fingerprint lock is on
+function requirePlaylistAdmin(req, res, next) {
+  const fingerprint = req.get('x-admin-fingerprint');
+
+  if (SERVER_MODE) {
+    const room = getRoom(req.params.roomCode);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!fingerprint || !room.isAdmin(fingerprint)) {
+      return res.status(403).json({ error: 'Only the room admin can manage playlists' });
+    }
+    req.libraryScope = room.code;
+  } else {
+    if (req.params.roomCode) {
+      return res.status(404).json({ error: 'Server mode not enabled' });
+    }
+    if (ADMIN_FINGERPRINT_LOCK && registeredAdminFingerprint && fingerprint !== registeredAdminFingerprint) {
+      return res.status(403).json({ error: 'Unauthorized device' });
+    }
+    req.libraryScope = 'legacy';
+  }
+  next();
+}
+
+function findLibraryEntry(req, res) {
+  const entry = getLibraryEntries(req.libraryScope).find(e => e.id === req.params.id);
+  if (!entry) res.status(404).json({ error: 'Playlist not found' });
+  return entry;
+}
+
+const playlistLibraryRouter = express.Router({ mergeParams: true });
+playlistLibraryRouter.use(playlistsRateLimiter, express.json({ limit: '1mb' }), csrfProtection, requirePlaylistAdmin);
+
+playlistLibraryRouter.get('/', (req, res) => {
+  res.json(getLibraryEntries(req.libraryScope).map(summarizeLibraryEntry));
+});
+
+playlistLibraryRouter.get('/:id', (req, res) => {
+  const entry = findLibraryEntry(req, res);
+  if (entry) res.json(entry);
+});
+
+// Save a queue under a new name
+playlistLibraryRouter.post('/', (req, res) => {
+  const entries = getLibraryEntries(req.libraryScope);
+  const name = validateLibraryName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: `Name must be 1-${PLAYLIST_NAME_MAX} characters` });
+  }
+  if (isLibraryNameTaken(entries, name)) {
+    return res.status(409).json({ error: 'A playlist with that name already exists' });
+  }
+  if (entries.length >= PLAYLIST_LIBRARY_MAX) {
+    return res.status(400).json({ error: `Library is full (max ${PLAYLIST_LIBRARY_MAX} playlists)` });
+  }
+
+  const now = new Date().toISOString();
+  const entry = { id: crypto.randomBytes(8).toString('hex'), name, createdAt: now };
+  const error = applyLibraryQueue(entry, req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  entries.push(entry);
+  savePlaylistLibrary();
+  console.log(`${colors.cyan}Saved playlist "${name}" (${entry.items.length} items, scope: ${req.libraryScope})${colors.reset}`);
+  res.status(201).json(summarizeLibraryEntry(entry));
+});
+
+// Overwrite the queue of a saved playlist
+playlistLibraryRouter.put('/:id', (req, res) => {
+  const entry = findLibraryEntry(req, res);
+  if (!entry) return;
+
+  const error = applyLibraryQueue(entry, req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  savePlaylistLibrary();
+  res.json(summarizeLibraryEntry(entry));
+});
+
+// Rename
+playlistLibraryRouter.patch('/:id', (req, res) => {
+  const entry = findLibraryEntry(req, res);
+  if (!entry) return;
+
+  const name = validateLibraryName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: `Name must be 1-${PLAYLIST_NAME_MAX} characters` });
+  }
+  if (isLibraryNameTaken(getLibraryEntries(req.libraryScope), name, entry.id)) {
+    return res.status(409).json({ error: 'A playlist with that name already exists' });
+  }
+
+  entry.name = name;
+  entry.updatedAt = new Date().toISOString();
+  savePlaylistLibrary();
+  res.json(summarizeLibraryEntry(entry));
+});
+
+playlistLibraryRouter.delete('/:id', (req, res) => {
+  const entries = getLibraryEntries(req.libraryScope);
+  const index = entries.findIndex(e => e.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  entries.splice(index, 1);
+  savePlaylistLibrary();
+  res.json({ success: true });
+});
+
+playlistLibraryRouter.post('/:id/duplicate', (req, res) => {
+  const entry = findLibraryEntry(req, res);
+  if (!entry) return;
+
+  const entries = getLibraryEntries(req.libraryScope);
+  if (entries.length >= PLAYLIST_LIBRARY_MAX) {
+    return res.status(400).json({ error: `Library is full (max ${PLAYLIST_LIBRARY_MAX} playlists)` });
+  }
+
+  let name = validateLibraryName(req.body?.name);
+  if (!name) {
+    // Default to "Name (copy)", "Name (copy 2)", ...
+    const base = `${entry.name} (copy`.slice(0, PLAYLIST_NAME_MAX - 5);
+    name = `${base})`;
+    for (let n = 2; isLibraryNameTaken(entries, name); n++) name = `${base} ${n})`;
+  } else if (isLibraryNameTaken(entries, name)) {
+    return res.status(409).json({ error: 'A playlist with that name already exists' });
+  }
+
+  const now = new Date().toISOString();
+  const copy = {
+    ...JSON.parse(JSON.stringify(entry)),
+    id: crypto.randomBytes(8).toString('hex'),
+    name,
+    createdAt: now,
+    updatedAt: now
+  };
+  entries.push(copy);
+  savePlaylistLibrary();
+  res.status(201).json(summarizeLibraryEntry(copy));
+});
+
+app.use('/api/playlists', playlistLibraryRouter);
+app.use('/api/rooms/:roomCode/playlists', playlistLibraryRouter);
+
+// /api/files search, filters and paging. Without any of these parameters the whole
+// flat list is returned as before.
+//  q: text in the path, type: video|audio|image, codec: video or audio codec name,
+//  minDuration/maxDuration: seconds, subtitles: true|false (internal or extracted),
+//  sort: name|date|size|duration, order: asc|desc, limit: page size, cursor: from nextCursor
+const FILES_QUERY_PARAMS = ['q', 'type', 'codec', 'minDuration', 'maxDuration', 'subtitles', 'sort', 'order', 'limit', 'cursor'];
+const FILES_PAGE_DEFAULT = 100;
+const FILES_PAGE_MAX = 500;
+const FILE_TYPES = ['video', 'audio', 'image'];
+const FILE_SORTS = ['name', 'date', 'size', 'duration'];
+
+// Returns { query } or { error }
+function parseFilesQuery(params) {
+  for (const name of FILES_QUERY_PARAMS) {
+    if (params[name] !== undefined && typeof params[name] !== 'string') return { error: `${name} must be given once` };
+  }
+
+  const query = {
+    text: (params.q || '').trim().toLowerCase().slice(0, 100),
+    type: params.type || null,
+    codec: params.codec ? params.codec.toLowerCase() : null,
+    minDuration: params.minDuration !== undefined ? Number(params.minDuration) : null,
+    maxDuration: params.maxDuration !== undefined ? Number(params.maxDuration) : null,
+    subtitles: params.subtitles !== undefined ? params.subtitles === 'true' : null,
+    sort: params.sort || 'name',
+    descending: params.order === 'desc',
+    limit: params.limit !== undefined ? Number(params.limit) : FILES_PAGE_DEFAULT,
+    cursor: null
+  };
+
+  if (query.type && !FILE_TYPES.includes(query.type)) return { error: `type must be one of ${FILE_TYPES.join(', ')}` };
+  if (!FILE_SORTS.includes(query.sort)) return { error: `sort must be one of ${FILE_SORTS.join(', ')}` };
+  if (params.order !== undefined && !['asc', 'desc'].includes(params.order)) return { error: 'order must be asc or desc' };
+  if (params.subtitles !== undefined && !['true', 'false'].includes(params.subtitles)) return { error: 'subtitles must be true or false' };
+  for (const name of ['minDuration', 'maxDuration']) {
+    if (query[name] !== null && !(Number.isFinite(query[name]) && query[name] >= 0)) return { error: `${name} must be a number of seconds` };
+  }
+  if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > FILES_PAGE_MAX) {
+    return { error: `limit must be 1-${FILES_PAGE_MAX}` };
+  }
+  if (params.cursor) {
+    query.cursor = decodeFilesCursor(params.cursor);
+    if (!query.cursor) return { error: 'Invalid cursor' };
+    if (query.cursor.sort !== query.sort || query.cursor.descending !== query.descending) {
+      return { error: 'Cursor belongs to a different sort order' };
+    }
+  }
+  return { query };
+}
+
+// A cursor is the sort value and path of the last file on the page, so pages stay in
+// place when files are added or removed in between
+function encodeFilesCursor(query, file) {
+  const key = [query.sort, query.descending, getFileSortValue(file, query.sort), file.filename];
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeFilesCursor(cursor) {
+  try {
+    const [sort, descending, value, filename] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!FILE_SORTS.includes(sort) || typeof descending !== 'boolean' || typeof filename !== 'string') return null;
+    if (sort === 'name' ? typeof value !== 'string' : !Number.isFinite(value)) return null;
+    return { sort, descending, value, filename };
+  } catch (err) {
+    return null;
+  }
+}
+
+function getMediaType(file) {
+  const ext = path.extname(file.filename).toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+  if (file.info && !file.info.error) return file.info.videoCodec ? 'video' : 'audio';
+  return ext === '.mp3' ? 'audio' : 'video';
+}
+
+function getFileSortValue(file, sort) {
+  if (sort === 'date') return file.mtimeMs;
+  if (sort === 'size') return file.size;
+  if (sort === 'duration') return file.info ? file.info.duration : -1; // Unprobed files first
+  return file.filename;
+}
+
+const compareFilenames = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }) || (a < b ? -1 : a > b ? 1 : 0);
+
+// Order of two (sort value, path) keys under the query's sort, ties broken by path
+function compareFileKeys(query, valueA, filenameA, valueB, filenameB) {
+  const byValue = query.sort === 'name' ? 0 : valueA - valueB;
+  const order = byValue || compareFilenames(filenameA, filenameB);
+  return query.descending ? -order : order;
+}
+
+// Extracted subtitle tracks per tracks manifest, re-read when the manifest changes
+const sidecarSubtitleCache = new Map(); // manifest path -> { mtimeMs, hasSubtitles }
+
+async function hasSidecarSubtitles(filename) {
+  const manifestPath = getTracksManifestPath(filename);
+  try {
+    const stats = await fs.promises.stat(manifestPath);
+    const cached = sidecarSubtitleCache.get(manifestPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.hasSubtitles;
+
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+    const hasSubtitles = Array.isArray(manifest.externalTracks) && manifest.externalTracks.some(track => track.type === 'subtitle');
+    sidecarSubtitleCache.set(manifestPath, { mtimeMs: stats.mtimeMs, hasSubtitles });
+    return hasSubtitles;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function queryMediaFiles(files, query) {
+  let matched = files.filter(file => {
+    const info = file.info;
+    if (query.text && !file.filename.toLowerCase().includes(query.text)) return false;
+    if (query.type && getMediaType(file) !== query.type) return false;
+    if (query.codec && !(info && (info.videoCodec === query.codec || info.audioCodec === query.codec))) return false;
+    // Durations are only known once the file has been probed
+    if (query.minDuration !== null && !(info && info.duration >= query.minDuration)) return false;
+    if (query.maxDuration !== null && !(info && info.duration > 0 && info.duration <= query.maxDuration)) return false;
+    return true;
+  });
+
+  if (query.subtitles !== null) {
+    // Only files that have a tracks manifest can have extracted subtitles
+    let manifests;
+    try {
+      manifests = new Set(await fs.promises.readdir(TRACKS_MANIFEST_DIR));
+    } catch (err) {
+      manifests = new Set();
+    }
+    const flags = await Promise.all(matched.map(async file => (file.info?.subtitleStreams > 0) ||
+      (manifests.has(getMediaCacheKey(file.filename) + '.json') && await hasSidecarSubtitles(file.filename))));
+    matched = matched.filter((file, i) => flags[i] === query.subtitles);
+  }
+
+  return matched.sort((a, b) => compareFileKeys(query,
+    getFileSortValue(a, query.sort), a.filename, getFileSortValue(b, query.sort), b.filename));
+}
+
+app.get('/api/files', filesRateLimiter, async (req, res) => {
+  const files = await getMediaFiles();
+  const isQuery = FILES_QUERY_PARAMS.some(name => req.query[name] !== undefined);
+
+  if (!isQuery) {
+    // ?tree=true nests the files by folder, the default is the flat list
+    if (req.query.tree === 'true') {
+      return res.json(buildMediaTree(files));
+    }
+    return res.json(files);
+  }
+
+  const { query, error } = parseFilesQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const matched = await queryMediaFiles(files, query);
+  if (req.query.tree === 'true') {
+    return res.json(buildMediaTree(matched));
+  }
+
+  // Resume after the cursor's file, wherever it ended up
+  let start = 0;
+  if (query.cursor) {
+    const { value, filename } = query.cursor;
+    start = matched.findIndex(file => compareFileKeys(query, getFileSortValue(file, query.sort), file.filename, value, filename) > 0);
+    if (start === -1) start = matched.length;
+  }
+  const page = matched.slice(start, start + query.limit);
+  const hasMore = start + page.length < matched.length;
+
+  res.json({
+    total: matched.length,
+    files: page,
+    nextCursor: hasMore ? encodeFilesCursor(query, page[page.length - 1]) : null
+  });
+});
+
+// Read-only media search for viewer requests: filenames only, filtered by ?q=
+const REQUEST_FILES_MAX_RESULTS = 100;
+
+app.get('/api/request-files', filesRateLimiter, async (req, res) => {
+  if (!REQUESTS_ENABLED) {
+    return res.status(403).json({ error: 'Requests are disabled' });
+  }
+
+  const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase().slice(0, 100) : '';
+  const files = (await getMediaFiles()).filter(f => !query || f.filename.toLowerCase().includes(query));
+  res.json({
+    total: files.length,
+    files: files.slice(0, REQUEST_FILES_MAX_RESULTS).map(f => ({ filename: f.filename }))
+  });
+});
+
+app.get('/api/tracks/:filename', tracksRateLimiter, async (req, res) => {
+  const filename = req.params.filename;
+
+  // Validate filename before processing
+  const validation = validateFilename(filename);
+  if (!validation.valid) {
+    console.log(`${colors.yellow}Invalid filename rejected in /api/tracks: ${validation.error}${colors.reset}`);
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const tracks = await getTracksForFile(validation.sanitized);
+    res.json(tracks);
+  } catch (error) {
+    console.error('Error reading track info:', error);
+    res.status(500).json({ error: 'Unable to read track information' });
+  }
+});
+
+// Duration of a validated media filename from the media index. Throws if it doesn't exist
+async function getMediaDuration(filename) {
+  if (!resolveMediaPath(filename)) throw new Error('Invalid media path');
+
+  const info = await getMediaInfo(filename);
+  if (!info) throw new Error('File not found');
+  return info.duration;
+}
+
+app.get('/api/duration/:filename', tracksRateLimiter, async (req, res) => {
+  const validation = validateFilename(req.params.filename);
+  if (!validation.valid) {
+    console.log(`${colors.yellow}Invalid filename rejected in /api/duration: ${validation.error}${colors.reset}`);
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const duration = await getMediaDuration(validation.sanitized);
+    res.json({ duration });
+  } catch (error) {
+    res.status(404).json({ error: 'File not found' });
+  }
+});
+
+// ==================== Media Upload ====================
+// Admins (and co-hosts with the admin panel) can upload into /media from the browser.
+// Uploads are resumable: the client creates a session, then sends the file in chunks at
+// the offset the server reports, so a dropped connection or reload only repeats one chunk.
+// Unfinished files live in /media/.uploads (hidden from the library) next to a small
+// session file. Once the last byte is in they are hard-linked into place (an exclusive
+// copy where the drive has no hard links), so an existing file is never overwritten.
+const UPLOAD_DIR_NAME = '.uploads';
+const UPLOAD_DIR = path.join(MEDIA_DIR, UPLOAD_DIR_NAME);
+const UPLOAD_CHUNK_MAX = 16 * 1024 * 1024; // Bytes per request
+const UPLOAD_SESSIONS_MAX = 20;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Untouched sessions are dropped after this
+// Browsers often don't know video containers, so an empty type or octet-stream passes too
+const UPLOAD_MIME_TYPES = {
+  '.mp4': ['video/mp4'],
+  '.mp3': ['audio/mpeg', 'audio/mp3'],
+  '.avi': ['video/x-msvideo', 'video/avi', 'video/msvideo'],
+  '.mov': ['video/quicktime'],
+  '.wmv': ['video/x-ms-wmv'],
+  '.mkv': ['video/x-matroska', 'video/mkv'],
+  '.webm': ['video/webm', 'audio/webm'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.webp': ['image/webp']
+};
+
+const uploadSessions = new Map(); // id -> { id, filename, size, received, scope, createdAt, updatedAt, writing }
+
+function getUploadPaths(id) {
+  return {
+    part: path.join(UPLOAD_DIR, `${id}.part`),
+    session: path.join(UPLOAD_DIR, `${id}.json`)
+  };
+}
+
+function saveUploadSession(session) {
+  const { writing, ...saved } = session;
+  fs.writeFileSync(getUploadPaths(session.id).session, JSON.stringify(saved));
+}
+
+function removeUploadSession(session) {
+  uploadSessions.delete(session.id);
+  const paths = getUploadPaths(session.id);
+  fs.rmSync(paths.part, { force: true });
+  fs.rmSync(paths.session, { force: true });
+}
+
+// Pick up unfinished uploads after a restart, the part file's size is what was received
+function restoreUploadSessions() {
+  if (!UPLOADS_ENABLED) return;
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+  fs.readdirSync(UPLOAD_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.join(UPLOAD_DIR, name), 'utf8'));
+      const paths = getUploadPaths(saved.id);
+      if (name !== `${saved.id}.json` || !fs.existsSync(paths.part)) throw new Error('Missing upload data');
+      const received = Math.min(fs.statSync(paths.part).size, saved.size);
+      uploadSessions.set(saved.id, { ...saved, received, writing: false });
+    } catch (error) {
+      console.warn(`${colors.yellow}Dropping broken upload session ${name}:${colors.reset}`, error.message);
+      fs.rmSync(path.join(UPLOAD_DIR, name), { force: true });
+    }
+  });
+  purgeStaleUploads();
+  if (uploadSessions.size > 0) {
+    console.log(`${colors.green}Restored ${uploadSessions.size} unfinished upload(s)${colors.reset}`);
+  }
+}
+
+function purgeStaleUploads() {
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+  uploadSessions.forEach(session => {
+    if (session.updatedAt < cutoff && !session.writing) removeUploadSession(session);
+  });
+}
+
+// Same path rules as every other media filename, plus a media extension and a matching type.
+// Returns { filename } or { error }
+function validateUploadTarget(filename, type) {
+  const validation = validateFilename(filename);
+  if (!validation.valid) return { error: validation.error };
+  if (validation.sanitized.split('/').some(segment => segment.startsWith('.'))) {
+    return { error: 'Hidden files and folders are not allowed' };
+  }
+
+  const ext = path.extname(validation.sanitized).toLowerCase();
+  if (!MEDIA_EXTENSIONS.includes(ext)) {
+    return { error: `File type not allowed (${MEDIA_EXTENSIONS.join(', ')})` };
+  }
+  const mime = typeof type === 'string' ? type.toLowerCase() : '';
+  if (mime && mime !== 'application/octet-stream' && !UPLOAD_MIME_TYPES[ext].includes(mime)) {
+    return { error: `${mime} doesn't match a ${ext} file` };
+  }
+  return { filename: validation.sanitized };
+}
+
+// Returns an error message or null. The quota covers the whole library plus space held
+// for uploads in progress, and the disk has to have room for what is still to come.
+async function checkUploadSpace(size) {
+  let reserved = 0;
+  let remaining = 0;
+  uploadSessions.forEach(session => {
+    reserved += session.size;
+    remaining += session.size - session.received;
+  });
+
+  if (UPLOAD_QUOTA_GB > 0) {
+    const used = (await getMediaFiles()).reduce((sum, file) => sum + file.size, 0) + reserved;
+    const quota = UPLOAD_QUOTA_GB * 1024 ** 3;
+    if (used + size > quota) {
+      return `Upload would exceed the ${UPLOAD_QUOTA_GB} GB media quota (${Math.max(0, (quota - used) / 1024 ** 3).toFixed(2)} GB left)`;
+    }
+  }
+
+  try {
+    const { bavail, bsize } = await fs.promises.statfs(MEDIA_DIR);
+    if (size > bavail * bsize - remaining) return 'Not enough free disk space';
+  } catch (error) {
+    console.warn('Could not read free disk space:', error.message);
+  }
+  return null;
+}
+
+function summarizeUpload(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    size: session.size,
+    received: session.received,
+    chunkSize: UPLOAD_CHUNK_MAX
+  };
+}
+
+function findUploadSession(req, res) {
+  const session = uploadSessions.get(req.params.id);
+  // Sessions belong to the room (or legacy admin) that started them
+  if (!session || session.scope !== req.libraryScope) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return session;
+}
+
+// Last byte is in: hard-link the part file into the library, which fails instead of
+// overwriting when the name was taken meanwhile. Returns false on a name clash, the
+// upload then stays so the admin can pick another name (PATCH /api/uploads/:id).
+async function finishUpload(session) {
+  const target = resolveMediaPath(session.filename);
+  const paths = getUploadPaths(session.id);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.promises.link(paths.part, target);
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    // Drives without hard links (FAT, some network shares): an exclusive copy still never overwrites
+    if (!['EPERM', 'ENOTSUP', 'EXDEV'].includes(error.code)) throw error;
+    try {
+      await fs.promises.copyFile(paths.part, target, fs.constants.COPYFILE_EXCL);
+    } catch (copyError) {
+      if (copyError.code === 'EEXIST') return false;
+      throw copyError;
+    }
+  }
+  removeUploadSession(session);
+
+  markMediaChanged();
+  probeMediaFile(session.filename, true);
+  console.log(`${colors.green}Upload complete: ${session.filename} (${(session.size / 1024 ** 2).toFixed(1)} MB)${colors.reset}`);
+  return true;
+}
+
+// Answer a request that completed an upload: done, or the name is taken (409, conflict)
+async function respondFinishedUpload(session, res) {
+  session.writing = true;
+  let finished;
+  try {
+    finished = await finishUpload(session);
+  } catch (error) {
+    console.error(`Error finishing upload of ${session.filename}:`, error.message);
+    return res.status(500).json({ error: 'Could not move the upload into the media folder', received: session.received });
+  } finally {
+    session.writing = false;
+  }
+
+  if (!finished) {
+    console.log(`${colors.yellow}Upload of ${session.filename} is complete but the name is taken${colors.reset}`);
+    return res.status(409).json({ ...summarizeUpload(session), error: 'A file with that name already exists', conflict: true });
+  }
+  res.json({ ...summarizeUpload(session), complete: true });
+}
+
+const uploadsRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 600, // Chunks are up to 16 MB, so this leaves room for fast connections
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: isLocalhost // Bypass for localhost
+});
+
+function requireUploadsEnabled(req, res, next) {
+  if (!UPLOADS_ENABLED) {
+    return res.status(403).json({ error: 'Uploads are disabled' });
+  }
+  next();
+}
+
+const uploadRouter = express.Router({ mergeParams: true });
+uploadRouter.use(uploadsRateLimiter, requireUploadsEnabled, csrfProtection, requirePlaylistAdmin);
+
+// Start an upload, or pick up the unfinished one for the same file and size
+uploadRouter.post('/', express.json(), async (req, res) => {
+  const { filename, error } = validateUploadTarget(req.body?.filename, req.body?.type);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const size = Number(req.body.size);
+  if (!Number.isSafeInteger(size) || size < 1) {
+    return res.status(400).json({ error: 'Size must be a positive number of bytes' });
+  }
+
+  purgeStaleUploads();
+  const existing = [...uploadSessions.values()].find(session => session.filename === filename);
+  if (existing) {
+    if (existing.scope !== req.libraryScope || existing.size !== size) {
+      return res.status(409).json({ error: 'Another upload of that file is in progress' });
+    }
+    return res.json(summarizeUpload(existing));
+  }
+
+  if (fs.existsSync(resolveMediaPath(filename))) {
+    return res.status(409).json({ error: 'A file with that name already exists' });
+  }
+  if (uploadSessions.size >= UPLOAD_SESSIONS_MAX) {
+    return res.status(429).json({ error: `Too many uploads in progress (max ${UPLOAD_SESSIONS_MAX})` });
+  }
+  const spaceError = await checkUploadSpace(size);
+  if (spaceError) {
+    return res.status(413).json({ error: spaceError });
+  }
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    filename,
+    size,
+    received: 0,
+    scope: req.libraryScope,
+    createdAt: now,
+    updatedAt: now,
+    writing: false
+  };
+  fs.writeFileSync(getUploadPaths(session.id).part, '');
+  saveUploadSession(session);
+  uploadSessions.set(session.id, session);
+
+  console.log(`${colors.cyan}Upload started: ${filename} (${(size / 1024 ** 2).toFixed(1)} MB)${colors.reset}`);
+  res.status(201).json(summarizeUpload(session));
+});
+
+uploadRouter.get('/:id', (req, res) => {
+  const session = findUploadSession(req, res);
+  if (session) res.json(summarizeUpload(session));
+});
+
+// A chunk at ?offset=, which must be where the upload stands. Anything else is refused
+// with a 409 carrying `received`, where the client continues from after a failed request.
+uploadRouter.put('/:id', express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX }), async (req, res) => {
+  const session = findUploadSession(req, res);
+  if (!session) return;
+
+  const offset = Number(req.query.offset);
+  const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (session.writing) {
+    return res.status(409).json({ error: 'A chunk is already being written', received: session.received });
+  }
+  if (offset !== session.received) {
+    return res.status(409).json({ error: 'Offset does not match the upload', received: session.received });
+  }
+  if (chunk.length === 0 || offset + chunk.length > session.size) {
+    return res.status(400).json({ error: 'Chunk is empty or past the end of the file', received: session.received });
+  }
+
+  session.writing = true;
+  let handle;
+  try {
+    handle = await fs.promises.open(getUploadPaths(session.id).part, 'r+');
+    await handle.write(chunk, 0, chunk.length, offset);
+    session.received = offset + chunk.length;
+    session.updatedAt = Date.now();
+  } catch (error) {
+    console.error(`Error writing upload chunk for ${session.filename}:`, error);
+    return res.status(500).json({ error: 'Could not write the chunk', received: session.received });
+  } finally {
+    if (handle) await handle.close();
+    session.writing = false;
+  }
+
+  if (session.received < session.size) {
+    saveUploadSession(session);
+    return res.json({ ...summarizeUpload(session), complete: false });
+  }
+
+  await respondFinishedUpload(session, res);
+});
+
+// Save the upload under another name, e.g. after its name was taken. A complete upload
+// goes into the library right away.
+uploadRouter.patch('/:id', express.json(), async (req, res) => {
+  const session = findUploadSession(req, res);
+  if (!session) return;
+
+  const { filename, error } = validateUploadTarget(req.body?.filename);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // The type was checked against the original extension
+  if (path.extname(filename).toLowerCase() !== path.extname(session.filename).toLowerCase()) {
+    return res.status(400).json({ error: 'The file extension can\'t change' });
+  }
+  if (session.writing) {
+    return res.status(409).json({ error: 'A chunk is being written, try again' });
+  }
+  if ([...uploadSessions.values()].some(other => other !== session && other.filename === filename)) {
+    return res.status(409).json({ error: 'Another upload of that file is in progress' });
+  }
+  if (fs.existsSync(resolveMediaPath(filename))) {
+    return res.status(409).json({ ...summarizeUpload(session), error: 'A file with that name already exists', conflict: true });
+  }
+
+  console.log(`${colors.cyan}Upload renamed: ${session.filename} -> ${filename}${colors.reset}`);
+  session.filename = filename;
+  session.updatedAt = Date.now();
+  saveUploadSession(session);
+
+  if (session.received < session.size) {
+    return res.json({ ...summarizeUpload(session), complete: false });
+  }
+  await respondFinishedUpload(session, res);
+});
+
+uploadRouter.delete('/:id', (req, res) => {
+  const session = findUploadSession(req, res);
+  if (!session) return;
+  if (session.writing) {
+    return res.status(409).json({ error: 'A chunk is being written, try again' });
+  }
+  removeUploadSession(session);
+  console.log(`${colors.yellow}Upload cancelled: ${session.filename}${colors.reset}`);
+  res.json({ success: true });
+});
+
+app.use('/api/uploads', uploadRouter);
+app.use('/api/rooms/:roomCode/uploads', uploadRouter);
+
+restoreUploadSessions();
+
+// Get Windows temp directory for thumbnails (cleared on reboot)
+const os = require('os');
+const THUMBNAIL_DIR = path.join(os.tmpdir(), 'sync-player-thumbnails');
+
+// Ensure thumbnail directory exists
+if (!fs.existsSync(THUMBNAIL_DIR)) {
+  fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+}
+
+// Serve thumbnails from temp directory
+app.use('/thumbnails', express.static(THUMBNAIL_DIR));
+
+// Get video duration using node-av
+async function getVideoDuration(videoPath) {
+  let demuxer = null;
+  try {
+    if (Demuxer) {
+      demuxer = await Demuxer.open(videoPath);
+      // demuxer.duration is in seconds (float)
+      return demuxer.duration || 0;
+    } else {
+      // Fallback to ffprobe if node-av failed to load (though unlikely if Demuxer is defined)
+      return new Promise((resolve, reject) => {
+        execFile('ffprobe', [
+          '-v', 'quiet',
+          '-print_format', 'json',
+          '-show_format',
+          videoPath
+        ], (error, stdout) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          try {
+            const data = JSON.parse(stdout);
+            const duration = parseFloat(data.format.duration) || 0;
+            resolve(duration);
+          } catch (e) {
+            reject(e);
+          }
+        });
+      });
+    }
+  } catch (err) {
+    console.error(`Error getting duration for ${videoPath}:`, err.message);
+    return 0;
+  } finally {
+    if (demuxer) {
+      await demuxer.close();
+    }
+  }
+}
+
+// Generate thumbnail from video using FFmpeg (720p, random frame from first third)
+app.get('/api/thumbnail/:filename', thumbnailRateLimiter, async (req, res) => {
+  const filename = req.params.filename;
+
+  // Validate filename before processing
+  const validation = validateFilename(filename);
+  if (!validation.valid) {
+    console.log(`${colors.yellow}Invalid filename rejected in /api/thumbnail: ${validation.error}${colors.reset}`);
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const safeFilename = validation.sanitized;
+  const videoPath = resolveMediaPath(safeFilename);
+
+  // Support custom width (default 720p)
+  let width = parseInt(req.query.width) || 720;
+  width = Math.min(1920, Math.max(50, width)); // Clamp 50-1920
+
+  // Use distinct cache file for different widths (backward compat for 720)
+  const thumbnailKey = getMediaCacheKey(safeFilename);
+  const thumbnailFilename = width === 720
+    ? thumbnailKey.replace(/\.[^.]+$/, '.jpg')
+    : thumbnailKey.replace(/\.[^.]+$/, `.${width}.jpg`);
+
+  const thumbnailPath = path.join(THUMBNAIL_DIR, thumbnailFilename);
+
+  // Check if thumbnail already exists (cached)
+  if (fs.existsSync(thumbnailPath)) {
+    return res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+  }
+
+  // Check if file exists
+  if (!fs.existsSync(videoPath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // Check if this is an audio file (MP3, etc.) - extract embedded cover art
+  const audioExtensions = ['.mp3', '.flac', '.m4a', '.aac', '.ogg', '.wav'];
+  const isAudioFile = audioExtensions.some(ext => safeFilename.toLowerCase().endsWith(ext));
+
+  if (isAudioFile) {
+    console.log(`${colors.cyan}Extracting cover art from audio file: ${safeFilename}${colors.reset}`);
+
+
+    // Extract embedded cover art from audio file using node-av
+    try {
+      if (!Demuxer) throw new Error('node-av Demuxer not available');
+
+      console.log(`${colors.cyan}Processing audio cover art with node-av for: ${safeFilename}${colors.reset}`);
+
+      const input = await Demuxer.open(videoPath);
+      let coverStream = null;
+
+      // 1. Look for stream with AV_DISPOSITION_ATTACHED_PIC (0x0400 = 1024)
+      for (const stream of input.streams) {
+        if (stream.disposition & 1024) {
+          coverStream = stream;
+          break;
+        }
+      }
+
+      // 2. If not found, look for a video stream (generic cover art in some containers)
+      if (!coverStream) {
+        for (const stream of input.streams) {
+          // Access via codecType getter (node-av 5.x) or try strict check
+          if (stream.codecpar && (stream.codecpar.codecType === 0 || stream.codecpar.type === 'video')) { // 0 = AVMEDIA_TYPE_VIDEO
+            coverStream = stream;
+            break;
+          }
+        }
+      }
+
+      if (coverStream) {
+        console.log(`${colors.cyan}Found cover art stream #${coverStream.index}. Extracting...${colors.reset}`);
+
+        // Read first packet from this stream
+        let found = false;
+        // Iterate packets specifically for this stream
+        for await (const packet of input.packets(coverStream.index)) {
+          if (packet.streamIndex === coverStream.index) {
+            // Write packet data to file
+            if (packet.data) {
+              fs.writeFileSync(thumbnailPath, packet.data);
+              console.log(`${colors.green}Extracted cover art to: ${thumbnailPath}${colors.reset}`);
+              res.json({ thumbnail: `/thumbnails/${thumbnailFilename}`, isAudio: true });
+              found = true;
+            }
+            packet.free();
+            break; // Only need one packet
+          }
+          packet.free();
+        }
+        if (!found) {
+          console.log(`${colors.yellow}Stream found but no packets extracted.${colors.reset}`);
+          res.json({ thumbnail: null, isAudio: true });
+        }
+      } else {
+        console.log(`${colors.yellow}No embedded cover art stream found.${colors.reset}`);
+        res.json({ thumbnail: null, isAudio: true });
+      }
+
+      await input.close();
+
+    } catch (err) {
+      console.error(`${colors.red}Error extracting audio cover art: ${err.message}${colors.reset}`);
+      // Fallback or just return null
+      res.json({ thumbnail: null, isAudio: true });
+    }
+  }
+
+  // Check if node-av is available
+  if (path.extname(videoPath).toLowerCase() === '.mp4' || path.extname(videoPath).toLowerCase() === '.mkv' || path.extname(videoPath).toLowerCase() === '.avi') { // Basic check, Demuxer handles more
+    if (Demuxer && Decoder && Encoder && FilterAPI && Muxer) {
+      try {
+        console.log(`${colors.cyan}Processing thumbnail with node-av for: ${safeFilename}${colors.reset}`);
+
+        // Logic: Reuse master thumbnail (720p) if available and we want a smaller size
+        // This ensures the blurred background matches the main thumbnail
+        const masterFilename = thumbnailKey.replace(/\.[^.]+$/, '.jpg');
+        const masterPath = path.join(THUMBNAIL_DIR, masterFilename);
+        let inputPath = videoPath;
+        let isImageInput = false;
 
         // If requesting non-standard size and master exists, use master as source
         if (width !== 720 && fs.existsSync(masterPath)) {
@@ -2046,165 +3896,1913 @@ app.get('/api/thumbnail/:filename', thumbnailRateLimiter, async (req, res) => {
           console.log(`${colors.cyan}Downscaling existing master thumbnail for ${safeFilename}${colors.reset}`);
         }
 
-        // 1. Open Input
-        const input = await Demuxer.open(inputPath);
-        const videoStream = input.video();
+        // 1. Open Input
+        const input = await Demuxer.open(inputPath);
+        const videoStream = input.video();
+
+        if (!videoStream) {
+          throw new Error('No video stream found');
+        }
+
+        if (!isImageInput) {
+          const duration = input.duration > 0 ? input.duration : (await getVideoDuration(videoPath));
+          // Deterministic seek based on filename hash to ensure consistency
+          const seed = safeFilename.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+          const seekPct = Math.max(0.01, (seed % 20) / 100); // 1% to 19%
+          const seekTime = Math.max(1, Math.floor(duration * seekPct));
+
+          console.log(`${colors.cyan}Seeking deterministically to ${seekTime}s (duration: ${duration}s)${colors.reset}`);
+          await input.seek(seekTime);
+        }
+
+        // 2. Setup Decoder
+        const decoder = await Decoder.create(videoStream);
+
+        // 3. Setup Output Muxer (with explicit update option to allow single image write)
+        const output = await Muxer.open(thumbnailPath, {
+          format: 'image2',
+          update: '1' // Critical for single image writing in recent ffmpeg/node-av
+        });
+
+        const packetGen = input.packets(videoStream.index);
+        const frameGen = decoder.frames(packetGen);
+
+        let gotFrame = false;
+        let encoder = null;
+        let outStreamIdx = -1;
+        let filter = null;
+
+        for await (const frame of frameGen) {
+          // If seeking, decoder handles getting to the right frame logic roughly, but we take first emitted
+          if (!gotFrame) {
+            if (!filter) {
+              // Using yuvj420p for MJPEG full range consistency
+              filter = await FilterAPI.create(`scale=-1:${width},format=yuvj420p`, {
+                width: frame.width,
+                height: frame.height,
+                pixelFormat: frame.format,
+                timeBase: videoStream.timeBase
+              });
+            }
+
+            const filteredFrames = await filter.processAll(frame);
+
+            for (const filteredFrame of filteredFrames) {
+              if (!encoder) {
+                const { FF_ENCODER_MJPEG } = require('node-av/constants');
+                encoder = await Encoder.create(FF_ENCODER_MJPEG, {
+                  timeBase: { num: 1, den: 1 },
+                  width: filteredFrame.width,
+                  height: filteredFrame.height,
+                  pixelFormat: filteredFrame.format
+                });
+                outStreamIdx = output.addStream(encoder);
+              }
+              const packets = await encoder.encodeAll(filteredFrame);
+              for (const pkt of packets) {
+                await output.writePacket(pkt, outStreamIdx);
+              }
+            }
+
+            // Flush encoder
+            if (encoder) {
+              for await (const pkt of encoder.flushPackets()) {
+                await output.writePacket(pkt, outStreamIdx);
+              }
+            }
+
+            gotFrame = true;
+            break; // Done after one frame
+          }
+        }
+
+        if (input.close) await input.close();
+
+        if (gotFrame) {
+          console.log(`${colors.green}Generated thumbnail via node-av for: ${safeFilename}${colors.reset}`);
+          return res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+        } else {
+          throw new Error('No frame extracted');
+        }
+
+      } catch (avError) {
+        console.error(`${colors.yellow}node-av thumbnail failed, falling back to system ffmpeg:${colors.reset}`, avError);
+        // Fall through to execFile below
+      }
+    }
+  }
+
+  try {
+    // Get video duration
+    const duration = await getVideoDuration(videoPath);
+
+    // Calculate random position in first third of video (minimum 1 second)
+    const firstThird = Math.max(duration / 3, 1);
+    const randomTime = Math.random() * firstThird;
+    const seekTime = Math.max(1, Math.floor(randomTime)); // At least 1 second in
+
+    console.log(`${colors.cyan}Generating 720p thumbnail for ${safeFilename} at ${seekTime}s (duration: ${duration}s)${colors.reset}`);
+
+    // Generate 720p thumbnail (-vf scale=-1:720 maintains aspect ratio with 720 height)
+    execFile('ffmpeg', [
+      '-ss', String(seekTime),
+      '-i', videoPath,
+      '-vframes', '1',
+      '-vf', 'scale=-1:720',
+      '-q:v', '2',
+      '-y',
+      thumbnailPath
+    ], (error) => {
+      if (error) {
+        console.error('FFmpeg thumbnail error:', error.message);
+        // Fallback to 1 second
+        execFile('ffmpeg', [
+          '-ss', '1',
+          '-i', videoPath,
+          '-vframes', '1',
+          '-vf', 'scale=-1:720',
+          '-q:v', '2',
+          '-y',
+          thumbnailPath
+        ], (err2) => {
+          if (err2) {
+            console.error('FFmpeg fallback error:', err2.message);
+            return res.status(500).json({ error: 'Failed to generate thumbnail' });
+          }
+          res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+        });
+        return;
+      }
+      console.log(`${colors.green}Generated 720p thumbnail for: ${safeFilename}${colors.reset}`);
+      res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+    });
+  } catch (error) {
+    console.error('Error getting video duration:', error);
+    // Fallback: just try at 10 seconds
+    execFile('ffmpeg', [
+      '-ss', '10',
+      '-i', videoPath,
+      '-vframes', '1',
+      '-vf', 'scale=-1:720',
+      '-q:v', '2',
+      '-y',
+      thumbnailPath
+    ], (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to generate thumbnail' });
+      }
+      res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+    });
+  }
+});
+
+// ==================== Buffering Barrier ====================
+// Optional "wait for everyone" mode: after a seek or item change the server holds
+// isPlaying=false until every client that plays media (or WAIT_QUORUM percent of
+// them) reports it can play, then starts everyone at a shared timestamp.
+const BARRIER_MAX_WAIT_MS = 15000; // Never hold playback longer than this for stragglers
+const BARRIER_START_LEAD_MS = 500; // Start slightly in the future so the signal reaches everyone
+
+function createBufferingState() {
+  return {
+    enabled: WAIT_FOR_ALL,
+    clientReady: new Map(), // socketId -> bool, only sockets that play media report
+    barrier: null // { since, timer } while holding
+  };
+}
+
+// Resolve what a socket's playback applies to: its room, or the legacy globals
+function getPlaybackContext(socketId) {
+  if (SERVER_MODE) {
+    const room = getRoom(socketRoomMap.get(socketId));
+    return room ? getRoomPlaybackContext(room) : null;
+  }
+  return {
+    roomCode: null,
+    room: null,
+    videoState,
+    playlist: PLAYLIST,
+    buffering: legacyBuffering,
+    telemetry: clientTelemetry,
+    schedule: legacyScheduledStart,
+    remote: legacyRemote,
+    votes: legacyVotes,
+    requests: legacyRequests,
+    channel: legacyChannel,
+    watch: legacyWatch
+  };
+}
+
+function getRoomPlaybackContext(room) {
+  return {
+    roomCode: room.code,
+    room,
+    videoState: room.videoState,
+    playlist: room.playlist,
+    buffering: room.buffering,
+    telemetry: room.clientTelemetry,
+    schedule: room.scheduledStart,
+    remote: room.remote,
+    votes: room.votes,
+    requests: room.requests,
+    channel: room.channel,
+    watch: room.watch
+  };
+}
+
+// Display label for a client: admin-set name, room join name, or fingerprint suffix
+function getClientLabel(ctx, socketId) {
+  const client = ctx.room ? ctx.room.clients.get(socketId) : connectedClients.get(socketId);
+  const fingerprint = client?.fingerprint;
+  return (fingerprint && clientDisplayNames[fingerprint]) || client?.name || (fingerprint || socketId).slice(-4);
+}
+
+function emitToPlayback(ctx, event, payload) {
+  if (ctx.roomCode) {
+    io.to(ctx.roomCode).emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+}
+
+function isQuorumReady(buffering) {
+  const total = buffering.clientReady.size;
+  if (total === 0) return true;
+
+  let ready = 0;
+  buffering.clientReady.forEach(isReady => {
+    if (isReady) ready++;
+  });
+  return ready >= Math.ceil(total * WAIT_QUORUM / 100);
+}
+
+function getBufferingStatus(ctx) {
+  const { buffering } = ctx;
+  const holdingUp = [];
+
+  buffering.clientReady.forEach((isReady, socketId) => {
+    if (!isReady) holdingUp.push({ socketId, name: getClientLabel(ctx, socketId) });
+  });
+
+  const total = buffering.clientReady.size;
+  return {
+    enabled: buffering.enabled,
+    waiting: !!buffering.barrier,
+    ready: total - holdingUp.length,
+    total,
+    needed: Math.ceil(total * WAIT_QUORUM / 100),
+    holdingUp
+  };
+}
+
+// Like emitToPlayback, but also reaches the room admin panel, which is mapped to
+// the room but not joined to it
+function emitToPlaybackAndAdmin(ctx, event, payload) {
+  if (ctx.room) {
+    let target = io.to(ctx.roomCode);
+    if (ctx.room.adminSocketId) target = target.to(ctx.room.adminSocketId);
+    target.emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+}
+
+function broadcastBufferingStatus(ctx) {
+  emitToPlaybackAndAdmin(ctx, 'buffer-status', getBufferingStatus(ctx));
+}
+
+// Call after a state change that makes clients seek or load. While held, isPlaying is
+// forced to false; the caller still broadcasts the sync as usual. Returns true if the
+// buffering status changed and should be broadcast (see broadcastBufferingStatus).
+// resetReady=false is for plain resumes, where clients haven't moved and only
+// currently unready ones hold things up.
+function holdForBuffering(ctx, { resetReady = true } = {}) {
+  if (!ctx) return false;
+  const { buffering, videoState: state } = ctx;
+  if (!buffering.enabled || buffering.clientReady.size === 0) return false;
+  if (!state.isPlaying && !buffering.barrier) return false;
+
+  if (resetReady) {
+    buffering.clientReady.forEach((_, socketId) => buffering.clientReady.set(socketId, false));
+  } else if (isQuorumReady(buffering)) {
+    // Everyone is ready already, play right away
+    return cancelBufferingBarrier(ctx);
+  }
+
+  consolidateTime(state);
+  state.isPlaying = false;
+
+  if (buffering.barrier) clearTimeout(buffering.barrier.timer);
+  buffering.barrier = {
+    since: Date.now(),
+    timer: setTimeout(() => {
+      console.log(`${colors.yellow}Buffering barrier timed out (Room: ${ctx.roomCode || 'Legacy'}), starting anyway${colors.reset}`);
+      releaseBufferingBarrier(ctx);
+    }, BARRIER_MAX_WAIT_MS)
+  };
+  return true;
+}
+
+// Drop a pending hold without starting playback (e.g. admin paused meanwhile)
+function cancelBufferingBarrier(ctx) {
+  if (!ctx || !ctx.buffering.barrier) return false;
+  clearTimeout(ctx.buffering.barrier.timer);
+  ctx.buffering.barrier = null;
+  return true;
+}
+
+// Start everyone at the same moment: lastUpdate in the future is the start timestamp
+function releaseBufferingBarrier(ctx) {
+  const { buffering, videoState: state } = ctx;
+  if (!buffering.barrier) return;
+
+  clearTimeout(buffering.barrier.timer);
+  buffering.barrier = null;
+
+  consolidateTime(state);
+  state.isPlaying = true;
+  state.lastUpdate = Date.now() + BARRIER_START_LEAD_MS;
+  bumpVersion(state);
+
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  broadcastBufferingStatus(ctx);
+}
+
+function setClientBufferState(ctx, socketId, ready) {
+  const { buffering } = ctx;
+  const changed = buffering.clientReady.get(socketId) !== ready;
+  buffering.clientReady.set(socketId, ready);
+
+  if (!buffering.barrier) return;
+  if (isQuorumReady(buffering)) {
+    releaseBufferingBarrier(ctx);
+  } else if (changed) {
+    broadcastBufferingStatus(ctx);
+  }
+}
+
+function forgetBufferingClient(ctx, socketId) {
+  if (!ctx || !ctx.buffering.clientReady.delete(socketId)) return;
+
+  if (ctx.buffering.barrier && isQuorumReady(ctx.buffering)) {
+    releaseBufferingBarrier(ctx);
+  } else {
+    broadcastBufferingStatus(ctx);
+  }
+}
+
+// ==================== Playback Actions ====================
+// Shared by the socket handlers and viewer votes. Callers do their own permission checks.
+
+// Apply an action-based control event (playpause, skip, skipIntro, seek, selectTrack, rate) and
+// broadcast the new state. Returns true if the buffering status should be broadcast.
+function applyControlAction(ctx, data) {
+  const state = ctx.videoState;
+  let bufferingChanged = false;
+
+  if (data.action === 'playpause') {
+    consolidateTime(state);
+    state.isPlaying = data.state;
+    bufferingChanged = data.state
+      ? holdForBuffering(ctx, { resetReady: false })
+      : cancelBufferingBarrier(ctx);
+  } else if (data.action === 'skip') {
+    consolidateTime(state);
+    const direction = data.direction === 'forward' ? 1 : -1;
+    state.currentTime = Math.max(0, state.currentTime + direction * (data.seconds || SKIP_SECONDS));
+    bufferingChanged = holdForBuffering(ctx);
+  } else if (data.action === 'skipIntro') {
+    // Jump to the end of the detected intro, or a fixed amount if there is none
+    consolidateTime(state);
+    const item = ctx.playlist.videos[ctx.playlist.currentIndex];
+    const intro = item && !item.isExternal ? getDetectedRanges(item.filename).introRange : null;
+    state.currentTime = intro && state.currentTime < intro.end
+      ? intro.end
+      : state.currentTime + SKIP_INTRO_SECONDS;
+    bufferingChanged = holdForBuffering(ctx);
+  } else if (data.action === 'seek') {
+    state.currentTime = data.time;
+    state.lastUpdate = Date.now();
+    bufferingChanged = holdForBuffering(ctx);
+  } else if (data.action === 'selectTrack') {
+    consolidateTime(state);
+    if (data.type === 'audio') {
+      state.audioTrack = data.trackIndex;
+    } else if (data.type === 'subtitle') {
+      state.subtitleTrack = data.trackIndex;
+    }
+  } else if (data.action === 'rate') {
+    consolidateTime(state);
+    console.log(`[Rate Control] Setting playback rate to ${data.rate} (Room: ${ctx.roomCode || 'Legacy'})`);
+    state.playbackRate = data.rate;
+  } else {
+    return false;
+  }
+
+  bumpVersion(state);
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  return bufferingChanged;
+}
+
+// ==================== Playlist Advance ====================
+// The server decides what plays next. Clients only report that the current item ended
+const ITEM_END_TOLERANCE = 5; // Seconds before the known end that a viewer's end report is believed
+
+// End reports for items the server can't time, playlist -> { key, reporters: Set }
+const itemEndReports = new WeakMap();
+
+function getItemKey(item) {
+  return item.isExternal ? `${item.platform}:${item.externalId}` : item.filename;
+}
+
+function newShuffleSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Shuffle order comes from the playlist seed and each item's identity rather than
+// its position, so it is reproducible and reordering the playlist doesn't change it
+function getShuffleOrder(playlist) {
+  if (!playlist.shuffleSeed) playlist.shuffleSeed = newShuffleSeed();
+  return playlist.videos
+    .map((item, index) => ({
+      index,
+      rank: crypto.createHash('sha1').update(`${playlist.shuffleSeed}:${getItemKey(item)}`).digest('hex')
+    }))
+    .sort((a, b) => a.rank.localeCompare(b.rank) || a.index - b.index)
+    .map(entry => entry.index);
+}
+
+// Index to play after the current item, or -1 when playback should stop.
+// `ended` means the item finished by itself, repeat-one only applies then
+function getNextIndex(playlist, ended) {
+  const count = playlist.videos.length;
+  if (count === 0) return -1;
+  const current = playlist.currentIndex;
+
+  switch (playlist.advanceMode) {
+    case 'repeat-one':
+      return ended && current >= 0 ? current : (current + 1) % count;
+    case 'stop':
+      return current + 1 < count ? current + 1 : -1;
+    case 'shuffle': {
+      const order = getShuffleOrder(playlist);
+      const position = order.indexOf(current);
+      if (position !== -1 && position + 1 < count) return order[position + 1];
+
+      // Round finished, reshuffle without starting on the item that just played
+      let next = order;
+      for (let tries = 0; tries < 5 && (next === order || (next[0] === current && count > 1)); tries++) {
+        playlist.shuffleSeed = newShuffleSeed();
+        next = getShuffleOrder(playlist);
+      }
+      return next[0];
+    }
+    default: // 'repeat-all'
+      return (current + 1) % count;
+  }
+}
+
+// Switch to a playlist item from the start and broadcast it
+function playItemAt(ctx, index) {
+  const { playlist, videoState: state } = ctx;
+
+  // Restarting after the end screen resumes playback
+  if (playlist.ended) state.isPlaying = true;
+  playlist.ended = false;
+  playlist.currentIndex = index;
+
+  // Set initial track selections for the new video
+  const video = playlist.videos[index];
+  state.audioTrack = video.selectedAudioTrack !== undefined ? video.selectedAudioTrack : 0;
+  state.subtitleTrack = video.selectedSubtitleTrack !== undefined ? video.selectedSubtitleTrack : -1;
+  state.currentTime = getItemStartTime(video);
+  state.lastUpdate = Date.now();
+  const bufferingChanged = holdForBuffering(ctx);
+
+  bumpVersion(state);
+  // 'ended' reports based on an older state than this are duplicates
+  playlist.advanceVersion = state.version;
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  emitToPlayback(ctx, 'playlist-position', index);
+
+  if (bufferingChanged) broadcastBufferingStatus(ctx);
+}
+
+// Stop on the last item and show the end screen (advanceMode 'stop')
+function endPlaylist(ctx) {
+  const { playlist, videoState: state } = ctx;
+  if (playlist.ended) return;
+
+  console.log(`${colors.yellow}Reached the end of the playlist (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  const bufferingChanged = cancelBufferingBarrier(ctx);
+  consolidateTime(state);
+  state.isPlaying = false;
+  playlist.ended = true;
+
+  bumpVersion(state);
+  playlist.advanceVersion = state.version;
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  emitToPlaybackAndAdmin(ctx, 'playlist-ended', { index: playlist.currentIndex });
+
+  if (bufferingChanged) broadcastBufferingStatus(ctx);
+}
+
+// Move on according to the advance mode. Returns the new index, -1 if playback stopped
+function advancePlaylist(ctx, ended) {
+  // On air the lineup order applies, the channel ticker corrects any leftover drift
+  const channelPosition = isChannelOnAir(ctx) ? getNextChannelPosition(ctx) : null;
+  if (channelPosition) {
+    tuneChannel(ctx, channelPosition);
+    return channelPosition.index;
+  }
+
+  const nextIndex = getNextIndex(ctx.playlist, ended);
+  if (nextIndex === -1) {
+    endPlaylist(ctx);
+    return -1;
+  }
+
+  console.log(`${colors.yellow}Advancing to video ${nextIndex + 1}/${ctx.playlist.videos.length} (${ctx.playlist.advanceMode}, Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  playItemAt(ctx, nextIndex);
+  return nextIndex;
+}
+
+// Skip to the next playlist item (admin skip and skip votes)
+function skipToNextItem(ctx) {
+  if (!ctx) return;
+
+  if (ctx.playlist.videos.length === 0) {
+    console.log('No videos in playlist to skip');
+    return;
+  }
+
+  if (advancePlaylist(ctx, false) !== -1) {
+    emitToPlayback(ctx, 'playlist-update', ctx.playlist);
+  }
+}
+
+// Whoever may skip anyway (admin, remote holder, anyone with client controls on) is
+// believed right away
+function canSkipPlayback(ctx, socketId) {
+  if (isPlaybackAdmin(ctx, socketId)) return true;
+  return !CLIENT_CONTROLS_DISABLED && !getRemoteRejection(ctx, socketId);
+}
+
+// Other viewers' end reports only count once the server timeline is near the item's
+// end. Items without a known length (external players) need half the viewers to report.
+async function isItemEndConfirmed(ctx, socketId) {
+  const { playlist, videoState: state } = ctx;
+  const item = playlist.videos[playlist.currentIndex];
+  if (!item) return false;
+
+  const end = await getItemAirEnd(item);
+  if (end !== null) return projectTime(state) >= end - ITEM_END_TOLERANCE;
+
+  const key = `${playlist.currentIndex}:${playlist.advanceVersion || 0}`;
+  let reports = itemEndReports.get(playlist);
+  if (!reports || reports.key !== key) {
+    reports = { key, reporters: new Set() };
+    itemEndReports.set(playlist, reports);
+  }
+  reports.reporters.add(socketId);
+  return reports.reporters.size >= Math.floor(getVoterCount(ctx) / 2) + 1;
+}
+
+function setAdvanceMode(ctx, mode) {
+  const { playlist } = ctx;
+  playlist.advanceMode = mode;
+  // A fresh order every time shuffle is switched on
+  if (mode === 'shuffle') playlist.shuffleSeed = newShuffleSeed();
+  schedulePlaybackSave();
+
+  console.log(`${colors.cyan}Playlist advance mode set to ${mode} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  emitToPlaybackAndAdmin(ctx, 'advance-mode', { mode });
+}
+
+// ==================== Live Playlist Editing ====================
+// Items can be added, removed and moved while something is playing. Each edit is
+// broadcast as a small 'playlist-edit' diff instead of the whole playlist, so clients
+// keep the current item loaded. Every change to the item list bumps playlist.revision;
+// a client that sees a gap in revisions asks for a 'playlist-snapshot' instead.
+
+// Probe tracks for an item coming from the admin (set-playlist and playlist-add)
+async function processPlaylistItem(item) {
+  const videoInfo = { ...item };
+
+  try {
+    let tracks = { audio: [], subtitles: [] };
+    if (!item.isExternal) {
+      tracks = await getTracksForFile(item.filename);
+    }
+    videoInfo.tracks = tracks;
+  } catch (error) {
+    console.error('Error getting track info:', error);
+    videoInfo.tracks = { audio: [], subtitles: [] };
+  }
+
+  if (item.selectedAudioTrack !== undefined) {
+    videoInfo.selectedAudioTrack = item.selectedAudioTrack;
+  }
+  if (item.selectedSubtitleTrack !== undefined) {
+    videoInfo.selectedSubtitleTrack = item.selectedSubtitleTrack;
+  }
+
+  videoInfo.usesHEVC = item.filename.endsWith('.mkv');
+  return normalizeItemTiming(videoInfo);
+}
+
+function isValidPlaylistItem(item) {
+  return !!item && typeof item === 'object' && typeof item.filename === 'string' && item.filename.length > 0;
+}
+
+// Call after replacing or reordering playlist.videos wholesale (full playlist-update)
+function bumpRevision(playlist) {
+  playlist.revision = (playlist.revision || 0) + 1;
+}
+
+// Where an index ends up after moving the item at `from` to `to`
+function getMovedIndex(index, from, to) {
+  if (index === from) return to;
+  if (from < index && index <= to) return index - 1;
+  if (to <= index && index < from) return index + 1;
+  return index;
+}
+
+// On air the lineup follows an edit, a looping channel carries on from what is playing
+function followPlaylistEdit(ctx) {
+  if (!isChannelOnAir(ctx)) return;
+  if (ctx.channel.mode === 'loop') ctx.channel.anchor = null;
+  invalidateChannelLineup(ctx);
+}
+
+function broadcastPlaylistEdit(ctx, edit) {
+  const { playlist } = ctx;
+  bumpRevision(playlist);
+  schedulePlaybackSave();
+  followPlaylistEdit(ctx);
+
+  emitToPlaybackAndAdmin(ctx, 'playlist-edit', {
+    ...edit,
+    currentIndex: playlist.currentIndex,
+    mainVideoIndex: playlist.mainVideoIndex,
+    revision: playlist.revision
+  });
+}
+
+// Insert already processed items at index (appends when index is null)
+function insertPlaylistItems(ctx, items, index) {
+  const { playlist, videoState: state } = ctx;
+  const wasEmpty = playlist.videos.length === 0;
+  const at = index === null ? playlist.videos.length : index;
+
+  playlist.videos.splice(at, 0, ...items);
+  if (playlist.currentIndex >= at) playlist.currentIndex += items.length;
+  if (playlist.mainVideoIndex >= at) playlist.mainVideoIndex += items.length;
+
+  console.log(`${colors.cyan}Added ${items.length} item(s) at position ${at + 1} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastPlaylistEdit(ctx, { op: 'insert', index: at, items });
+
+  // Nothing was playing yet, start the first item like a launch would
+  if (wasEmpty) {
+    state.isPlaying = VIDEO_AUTOPLAY;
+    playItemAt(ctx, 0);
+  }
+}
+
+function removePlaylistItem(ctx, index) {
+  const { playlist, videoState: state } = ctx;
+  const removedCurrent = index === playlist.currentIndex;
+
+  playlist.videos.splice(index, 1);
+  if (playlist.mainVideoIndex === index) {
+    playlist.mainVideoIndex = -1;
+  } else if (playlist.mainVideoIndex > index) {
+    playlist.mainVideoIndex--;
+  }
+
+  const count = playlist.videos.length;
+  if (!removedCurrent) {
+    if (playlist.currentIndex > index) playlist.currentIndex--;
+  } else if (count === 0) {
+    playlist.currentIndex = -1;
+  } else {
+    // The item that took its place plays next, wrapping like repeat-all when it was the last
+    playlist.currentIndex = index < count ? index : 0;
+  }
+
+  console.log(`${colors.cyan}Removed playlist item ${index + 1} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  // Sent before playItemAt so clients already hold the new list when they load the item
+  broadcastPlaylistEdit(ctx, { op: 'remove', index });
+  if (!removedCurrent) return;
+
+  if (count > 0) {
+    playItemAt(ctx, playlist.currentIndex);
+    return;
+  }
+
+  // Removed the last item, nothing left to play
+  const bufferingChanged = cancelBufferingBarrier(ctx);
+  state.isPlaying = false;
+  state.currentTime = 0;
+  state.lastUpdate = Date.now();
+  playlist.ended = false;
+  bumpVersion(state);
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  emitToPlayback(ctx, 'playlist-position', -1);
+  if (bufferingChanged) broadcastBufferingStatus(ctx);
+}
+
+// Replace an item's editable fields (in/out points, skip segments) in place
+function updatePlaylistItem(ctx, index, changes) {
+  const { playlist } = ctx;
+  const item = normalizeItemTiming({ ...playlist.videos[index], ...changes });
+  playlist.videos[index] = item;
+
+  console.log(`${colors.cyan}Updated playlist item ${index + 1} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastPlaylistEdit(ctx, { op: 'update', index, item });
+}
+
+// A true move (splice out, splice in), unlike playlist-reorder which swaps two items
+function movePlaylistItem(ctx, from, to) {
+  const { playlist } = ctx;
+  const [item] = playlist.videos.splice(from, 1);
+  playlist.videos.splice(to, 0, item);
+  playlist.currentIndex = getMovedIndex(playlist.currentIndex, from, to);
+  if (playlist.mainVideoIndex >= 0) {
+    playlist.mainVideoIndex = getMovedIndex(playlist.mainVideoIndex, from, to);
+  }
+
+  console.log(`${colors.cyan}Moved playlist item ${from + 1} -> ${to + 1} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastPlaylistEdit(ctx, { op: 'move', from, to });
+}
+
+// ==================== Item In/Out Points ====================
+// Any playlist item can have an in point (startTime), an out point (endTime) and skip
+// segments ([{ start, end, label }], e.g. recap, credits, sponsor), all in seconds.
+// The server timeline enforces them for everyone: items start at the in point, the
+// timeline jumps over segments and reaching the out point advances like an ended item.
+// Images run on the same timeline: without an out point they end after IMAGE_DURATION,
+// and their transition is rendered by every client from the shared time.
+const SKIP_SEGMENTS_MAX = 20;
+const SEGMENT_LABEL_MAX_LENGTH = 40;
+const ITEM_TIMING_CHECK_INTERVAL = 250; // ms
+const IN_POINT_TOLERANCE = 1; // Seconds before the in point that still count as on it
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const IMAGE_TRANSITIONS = ['none', 'crossfade', 'kenburns'];
+
+function toSeconds(value) {
+  const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof num === 'number' && isFinite(num) && num >= 0 ? num : null;
+}
+
+// Validate the timing fields of an item from the admin in place, dropping invalid ones
+function normalizeItemTiming(item) {
+  const startTime = toSeconds(item.startTime);
+  const endTime = toSeconds(item.endTime);
+  const segments = Array.isArray(item.skipSegments) ? item.skipSegments : [];
+  delete item.startTime;
+  delete item.endTime;
+  delete item.skipSegments;
+  if (!IMAGE_TRANSITIONS.includes(item.transition)) delete item.transition;
+
+  if (startTime > 0) item.startTime = startTime;
+  if (endTime !== null && endTime > (startTime || 0)) item.endTime = endTime;
+
+  const skipSegments = segments
+    .filter(segment => segment && typeof segment === 'object')
+    .map(segment => ({
+      start: toSeconds(segment.start),
+      end: toSeconds(segment.end),
+      label: typeof segment.label === 'string' ? segment.label.trim().slice(0, SEGMENT_LABEL_MAX_LENGTH) : ''
+    }))
+    .filter(segment => segment.start !== null && segment.end !== null && segment.end > segment.start)
+    .sort((a, b) => a.start - b.start)
+    .slice(0, SKIP_SEGMENTS_MAX);
+  if (skipSegments.length > 0) item.skipSegments = skipSegments;
+  return item;
+}
+
+function getItemStartTime(item) {
+  return item?.startTime || 0;
+}
+
+function isImageItem(item) {
+  return !!item && !item.isExternal && typeof item.filename === 'string' &&
+    IMAGE_EXTENSIONS.includes(path.extname(item.filename).toLowerCase());
+}
+
+// The out point, or for images the default display duration (0 keeps them up until skipped)
+function getItemEndTime(item) {
+  if (item?.endTime !== undefined) return item.endTime;
+  if (isImageItem(item) && IMAGE_DURATION > 0) return getItemStartTime(item) + IMAGE_DURATION;
+  return undefined;
+}
+
+function hasItemTiming(item) {
+  return !!item && (item.startTime > 0 || getItemEndTime(item) !== undefined || item.skipSegments !== undefined);
+}
+
+// The item's own skip segments plus, with auto-skip on, its detected intro and credits
+function getItemSkipSegments(item) {
+  const segments = item?.skipSegments || [];
+  if (!AUTO_SKIP_DETECTED || !item || item.isExternal) return segments;
+
+  const { introRange, outroRange } = getDetectedRanges(item.filename);
+  const detected = [];
+  if (introRange) detected.push({ ...introRange, label: 'Intro' });
+  if (outroRange) detected.push({ ...outroRange, label: 'Credits' });
+  return detected.length > 0 ? [...segments, ...detected] : segments;
+}
+
+// Called a few times a second per playing room
+function enforceItemTiming(ctx) {
+  const { playlist, videoState: state } = ctx;
+  // Not moving, ended, or waiting for a scheduled/barrier start (future lastUpdate)
+  if (!state.isPlaying || playlist.ended || state.lastUpdate > Date.now()) return;
+
+  const item = playlist.videos[playlist.currentIndex];
+  const skipSegments = getItemSkipSegments(item);
+  if (!hasItemTiming(item) && skipSegments.length === 0) return;
+
+  const time = projectTime(state);
+  const segment = skipSegments.find(s => time >= s.start && time < s.end);
+  const target = segment ? segment.end : time;
+  const endTime = getItemEndTime(item);
+
+  if (endTime !== undefined && target >= endTime) {
+    console.log(`${colors.yellow}Reached the out point of item ${playlist.currentIndex + 1} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+    advancePlaylist(ctx, true);
+    return;
+  }
+
+  let seekTo = null;
+  if (segment) {
+    seekTo = segment.end;
+    console.log(`${colors.cyan}Skipping segment${segment.label ? ` "${segment.label}"` : ''} to ${seekTo}s (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+    emitToPlaybackAndAdmin(ctx, 'segment-skipped', { index: playlist.currentIndex, ...segment });
+  } else if (item.startTime > 0 && time < item.startTime - IN_POINT_TOLERANCE) {
+    seekTo = item.startTime;
+  }
+
+  if (seekTo !== null) {
+    const bufferingChanged = applyControlAction(ctx, { action: 'seek', time: seekTo });
+    if (bufferingChanged) broadcastBufferingStatus(ctx);
+  }
+}
+
+const itemTimingInterval = setInterval(() => {
+  if (SERVER_MODE) {
+    rooms.forEach(room => enforceItemTiming(getRoomPlaybackContext(room)));
+  } else {
+    enforceItemTiming(getPlaybackContext(null));
+  }
+}, ITEM_TIMING_CHECK_INTERVAL);
+
+// ==================== Scheduled Start ====================
+// The admin can set a wall-clock time ("movie starts at 21:00"). The room stays paused
+// until then and clients show a countdown. The timer lives here, so the start still
+// happens if the admin panel disconnects.
+const SCHEDULE_MAX_AHEAD_MS = 7 * 24 * 60 * 60 * 1000; // Keeps setTimeout well within range
+
+function isValidStartAt(startAt) {
+  return typeof startAt === 'number' && isFinite(startAt) &&
+    startAt > Date.now() && startAt - Date.now() <= SCHEDULE_MAX_AHEAD_MS;
+}
+
+function getScheduledStart(ctx) {
+  return { startAt: ctx.schedule.startAt, serverTime: Date.now() };
+}
+
+function broadcastScheduledStart(ctx) {
+  emitToPlaybackAndAdmin(ctx, 'scheduled-start', getScheduledStart(ctx));
+}
+
+// Pause the room where it is and start it at startAt (ms since epoch, server clock).
+// The caller broadcasts the sync and the schedule. Returns true if a buffering hold was
+// dropped and the buffering status should be broadcast.
+function scheduleStart(ctx, startAt) {
+  const { schedule, videoState: state } = ctx;
+  clearTimeout(schedule.timer);
+  const bufferingChanged = cancelBufferingBarrier(ctx);
+
+  consolidateTime(state);
+  state.isPlaying = false;
+
+  schedule.startAt = startAt;
+  // Fire a little early with a future lastUpdate, like the buffering barrier release,
+  // so every client starts at exactly startAt
+  schedule.timer = setTimeout(() => fireScheduledStart(ctx), Math.max(0, startAt - Date.now() - BARRIER_START_LEAD_MS));
+  console.log(`${colors.cyan}Start scheduled for ${new Date(startAt).toISOString()} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  return bufferingChanged;
+}
+
+// Returns true if a pending start was dropped and the schedule should be broadcast
+function cancelScheduledStart(ctx) {
+  if (!ctx || ctx.schedule.startAt === null) return false;
+  clearTimeout(ctx.schedule.timer);
+  ctx.schedule.timer = null;
+  ctx.schedule.startAt = null;
+  return true;
+}
+
+function fireScheduledStart(ctx) {
+  const { schedule, videoState: state } = ctx;
+  const startAt = schedule.startAt;
+  schedule.timer = null;
+  schedule.startAt = null;
+
+  console.log(`${colors.green}Scheduled start reached (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  state.isPlaying = true;
+  state.lastUpdate = Math.max(startAt, Date.now());
+  // Wait-for-all still applies: stragglers hold the start like after a seek
+  const bufferingChanged = holdForBuffering(ctx, { resetReady: false });
+  bumpVersion(state);
+
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  broadcastScheduledStart(ctx);
+  if (bufferingChanged) broadcastBufferingStatus(ctx);
+}
+
+// ==================== Channel Mode ====================
+// A room (or legacy mode) can run like a TV channel: what is on air and where it is are
+// computed from the wall clock and the item durations, so anyone who walks up to a screen
+// sees the same thing and nothing depends on the admin panel staying open.
+//  - loop: the current playlist loops forever, anchored at the moment it went on air
+//  - schedule: daily blocks [{ start: 'HH:MM', playlist }] (server local time), each
+//    looping a saved playlist from its start until the next block takes over
+// The clock wins over everything else on air: pauses, seeks and skips are put back.
+const CHANNEL_CHECK_INTERVAL = 1000; // ms
+const CHANNEL_DRIFT_TOLERANCE = 3; // Seconds off the clock before the room is retuned
+const CHANNEL_BLOCKS_MAX = 48;
+const CHANNEL_GUIDE_ITEMS = 5; // Upcoming items in the guide
+const CHANNEL_MIN_ITEM_SECONDS = 1; // Shorter items (or unknown durations) are left out
+const BLOCK_START_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function createChannelState() {
+  return {
+    mode: null, // null when off air, 'loop' or 'schedule'
+    anchor: null, // Loop: when the lineup last started from the top (ms since epoch)
+    blocks: [], // Schedule: [{ start: 'HH:MM', playlist }] sorted by start
+    blockStart: null, // Schedule: start (ms) of the block whose playlist is loaded
+    lineup: null, // [{ index, end, length }] for the airable items, null until probed
+    total: 0, // Sum of lineup lengths in seconds
+    probing: false,
+    generation: 0 // Bumped on every change, so probes that finish late are dropped
+  };
+}
+
+function isChannelOnAir(ctx) {
+  return !!ctx?.channel?.mode;
+}
+
+// Skip segments inside [start, end], merged and clipped, in order
+function getAiredSkipSegments(item, end) {
+  const start = getItemStartTime(item);
+  const merged = [];
+  getItemSkipSegments(item)
+    .map(s => ({ start: Math.max(s.start, start), end: Math.min(s.end, end) }))
+    .filter(s => s.end > s.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach(s => {
+      const last = merged[merged.length - 1];
+      if (last && s.start <= last.end) {
+        last.end = Math.max(last.end, s.end);
+      } else {
+        merged.push(s);
+      }
+    });
+  return merged;
+}
+
+// Media time of an item after `offset` seconds on air (skip segments take no air time)
+function getItemTimeOnAir(item, end, offset) {
+  let time = getItemStartTime(item) + offset;
+  for (const segment of getAiredSkipSegments(item, end)) {
+    if (segment.start > time) break;
+    time += segment.end - segment.start;
+  }
+  return Math.min(time, end);
+}
+
+// The reverse: seconds on air at a media time
+function getItemOffsetOnAir(item, end, time) {
+  let offset = Math.min(time, end) - getItemStartTime(item);
+  for (const segment of getAiredSkipSegments(item, end)) {
+    if (segment.start >= time) break;
+    offset -= Math.min(segment.end, time) - segment.start;
+  }
+  return Math.max(0, offset);
+}
+
+// Where the item ends on air, or null if it can't be aired (no known length)
+async function getItemAirEnd(item) {
+  const end = getItemEndTime(item);
+  if (end !== undefined) return end;
+  if (item.isExternal || isImageItem(item)) return null;
+  try {
+    const duration = await getMediaDuration(item.filename);
+    return duration > 0 ? duration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function probeChannelLineup(ctx) {
+  const { channel, playlist } = ctx;
+  const generation = channel.generation;
+  channel.probing = true;
+
+  const lineup = [];
+  for (let index = 0; index < playlist.videos.length; index++) {
+    const item = playlist.videos[index];
+    const end = await getItemAirEnd(item);
+    if (generation !== channel.generation) return;
+    if (end === null) continue;
+
+    const length = getItemOffsetOnAir(item, end, end);
+    if (length >= CHANNEL_MIN_ITEM_SECONDS) lineup.push({ index, end, length });
+  }
+
+  channel.probing = false;
+  channel.lineup = lineup;
+  channel.total = lineup.reduce((sum, entry) => sum + entry.length, 0);
+  const skipped = playlist.videos.length - lineup.length;
+  console.log(`${colors.cyan}Channel lineup ready: ${lineup.length} item(s), ${Math.round(channel.total)}s${skipped > 0 ? `, ${skipped} without a known length left out` : ''} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+
+  // Going on air in loop mode keeps whatever is playing right where it is
+  if (channel.mode === 'loop' && channel.anchor === null) {
+    channel.anchor = Date.now() - getLineupOffset(ctx) * 1000;
+    schedulePlaybackSave();
+  }
+  broadcastChannelStatus(ctx);
+}
+
+// Seconds into the lineup of the room's current position (0 if it isn't on a lineup item)
+function getLineupOffset(ctx) {
+  const { channel, playlist, videoState: state } = ctx;
+  let offset = 0;
+  for (const entry of channel.lineup) {
+    if (entry.index === playlist.currentIndex) {
+      return offset + getItemOffsetOnAir(playlist.videos[entry.index], entry.end, projectTime(state));
+    }
+    offset += entry.length;
+  }
+  return 0;
+}
+
+// Drop the probed lineup after the playlist changed, the ticker probes it again
+function invalidateChannelLineup(ctx) {
+  const { channel } = ctx;
+  if (!channel.mode) return;
+  channel.generation++;
+  channel.lineup = null;
+  channel.total = 0;
+  channel.probing = false;
+}
+
+// What is on air at `now`: { lineupIndex, index, time, startsAt, endsAt }, or null
+function getChannelPosition(ctx, now) {
+  const { channel, playlist } = ctx;
+  const anchor = channel.mode === 'schedule' ? channel.blockStart : channel.anchor;
+  if (!channel.lineup || channel.total <= 0 || anchor === null) return null;
+
+  const elapsed = (now - anchor) / 1000;
+  let offset = ((elapsed % channel.total) + channel.total) % channel.total;
+  for (let lineupIndex = 0; lineupIndex < channel.lineup.length; lineupIndex++) {
+    const entry = channel.lineup[lineupIndex];
+    if (offset < entry.length) {
+      return {
+        lineupIndex,
+        index: entry.index,
+        time: getItemTimeOnAir(playlist.videos[entry.index], entry.end, offset),
+        startsAt: now - offset * 1000,
+        endsAt: now + (entry.length - offset) * 1000
+      };
+    }
+    offset -= entry.length;
+  }
+  return null;
+}
+
+// Today's (or yesterday's) block running at `now` and when the next one starts
+function getCurrentBlock(blocks, now) {
+  const date = new Date(now);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const toMinutes = (block) => {
+    const [, hours, mins] = block.start.match(BLOCK_START_PATTERN);
+    return parseInt(hours, 10) * 60 + parseInt(mins, 10);
+  };
+  const at = (block, dayOffset) => {
+    const total = toMinutes(block);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, Math.floor(total / 60), total % 60).getTime();
+  };
+
+  let position = -1;
+  blocks.forEach((block, i) => {
+    if (toMinutes(block) <= minutes) position = i;
+  });
+  const block = position === -1 ? blocks[blocks.length - 1] : blocks[position];
+  const next = blocks[(position + 1) % blocks.length];
+  return {
+    ...block,
+    startsAt: at(block, position === -1 ? -1 : 0),
+    next: { ...next, startsAt: at(next, position + 1 < blocks.length ? 0 : 1) }
+  };
+}
+
+function findLibraryPlaylist(scope, nameOrId) {
+  const lower = String(nameOrId).toLowerCase();
+  const entries = getLibraryEntries(scope);
+  return entries.find(entry => entry.id === nameOrId) || entries.find(entry => entry.name.toLowerCase() === lower);
+}
+
+function getLibraryScope(ctx) {
+  return ctx.roomCode || 'legacy';
+}
+
+// Replace the playlist with the block's saved playlist
+async function loadChannelBlock(ctx, block) {
+  const { channel, playlist } = ctx;
+  invalidateChannelLineup(ctx);
+  const generation = channel.generation;
+  channel.probing = true;
+
+  const entry = findLibraryPlaylist(getLibraryScope(ctx), block.playlist);
+  const items = await Promise.all((entry ? entry.items : []).map(processPlaylistItem));
+  if (generation !== channel.generation) return;
+
+  channel.probing = false;
+  channel.blockStart = block.startsAt;
+  playlist.videos = items;
+  playlist.currentIndex = items.length > 0 ? 0 : -1;
+  playlist.mainVideoIndex = -1;
+  playlist.ended = false;
+  bumpRevision(playlist);
+  schedulePlaybackSave();
+
+  if (entry) {
+    console.log(`${colors.green}Channel block ${block.start} "${entry.name}" on air (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  } else {
+    console.log(`${colors.yellow}Channel block ${block.start}: saved playlist "${block.playlist}" not found, nothing on air (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  }
+  emitToPlayback(ctx, 'playlist-update', playlist);
+  broadcastChannelStatus(ctx);
+}
+
+// Put the room on the clock's position, playing, without waiting for buffering
+function tuneChannel(ctx, position) {
+  const { playlist, videoState: state } = ctx;
+  const itemChanged = playlist.currentIndex !== position.index || playlist.ended;
+  const bufferingChanged = cancelBufferingBarrier(ctx);
+  if (cancelScheduledStart(ctx)) broadcastScheduledStart(ctx);
+
+  playlist.ended = false;
+  playlist.currentIndex = position.index;
+  if (itemChanged) {
+    const item = playlist.videos[position.index];
+    state.audioTrack = item.selectedAudioTrack !== undefined ? item.selectedAudioTrack : 0;
+    state.subtitleTrack = item.selectedSubtitleTrack !== undefined ? item.selectedSubtitleTrack : -1;
+  }
+  state.currentTime = position.time;
+  state.lastUpdate = Date.now();
+  state.isPlaying = true;
+  state.playbackRate = 1.0;
+
+  bumpVersion(state);
+  playlist.advanceVersion = state.version;
+  emitToPlayback(ctx, 'sync', stampSync(state));
+  if (itemChanged) {
+    emitToPlayback(ctx, 'playlist-position', position.index);
+    broadcastChannelStatus(ctx);
+  }
+  if (bufferingChanged) broadcastBufferingStatus(ctx);
+}
+
+// The item after the current one, from its start. Used when an item ends a little before
+// the clock says so, which would otherwise retune it back to its last second
+function getNextChannelPosition(ctx) {
+  const { channel, playlist } = ctx;
+  if (!channel.lineup || channel.lineup.length === 0) return null;
 
-        if (!videoStream) {
-          throw new Error('No video stream found');
-        }
+  const current = channel.lineup.findIndex(entry => entry.index === playlist.currentIndex);
+  const entry = channel.lineup[(current + 1) % channel.lineup.length];
+  return { index: entry.index, time: getItemTimeOnAir(playlist.videos[entry.index], entry.end, 0) };
+}
 
-        if (!isImageInput) {
-          const duration = input.duration > 0 ? input.duration : (await getVideoDuration(videoPath));
-          // Deterministic seek based on filename hash to ensure consistency
-          const seed = safeFilename.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-          const seekPct = Math.max(0.01, (seed % 20) / 100); // 1% to 19%
-          const seekTime = Math.max(1, Math.floor(duration * seekPct));
+// Called once a second per room that is on air
+function updateChannel(ctx) {
+  const { channel, playlist, videoState: state } = ctx;
+  if (!channel.mode || channel.probing) return;
 
-          console.log(`${colors.cyan}Seeking deterministically to ${seekTime}s (duration: ${duration}s)${colors.reset}`);
-          await input.seek(seekTime);
-        }
+  const now = Date.now();
+  if (channel.mode === 'schedule') {
+    const block = getCurrentBlock(channel.blocks, now);
+    if (block.startsAt !== channel.blockStart) {
+      loadChannelBlock(ctx, block);
+      return;
+    }
+  }
+  if (!channel.lineup) {
+    probeChannelLineup(ctx);
+    return;
+  }
 
-        // 2. Setup Decoder
-        const decoder = await Decoder.create(videoStream);
+  const position = getChannelPosition(ctx, now);
+  if (!position) return;
 
-        // 3. Setup Output Muxer (with explicit update option to allow single image write)
-        const output = await Muxer.open(thumbnailPath, {
-          format: 'image2',
-          update: '1' // Critical for single image writing in recent ffmpeg/node-av
-        });
+  const onAir = playlist.currentIndex === position.index && !playlist.ended &&
+    state.isPlaying && state.lastUpdate <= now &&
+    Math.abs(projectTime(state) - position.time) <= CHANNEL_DRIFT_TOLERANCE;
+  if (!onAir) tuneChannel(ctx, position);
+}
 
-        const packetGen = input.packets(videoStream.index);
-        const frameGen = decoder.frames(packetGen);
+// Now/next guide. Titles fall back to the filename
+function getChannelStatus(ctx) {
+  const { channel, playlist } = ctx;
+  const now = Date.now();
+  const status = {
+    onAir: !!channel.mode,
+    mode: channel.mode,
+    blocks: channel.blocks,
+    serverTime: now,
+    now: null,
+    next: []
+  };
+  if (!channel.mode) return status;
 
-        let gotFrame = false;
-        let encoder = null;
-        let outStreamIdx = -1;
-        let filter = null;
+  const describe = (index, startsAt, endsAt) => {
+    const item = playlist.videos[index];
+    return { index, title: item.title || item.filename, filename: item.filename, startsAt, endsAt };
+  };
 
-        for await (const frame of frameGen) {
-          // If seeking, decoder handles getting to the right frame logic roughly, but we take first emitted
-          if (!gotFrame) {
-            if (!filter) {
-              // Using yuvj420p for MJPEG full range consistency
-              filter = await FilterAPI.create(`scale=-1:${width},format=yuvj420p`, {
-                width: frame.width,
-                height: frame.height,
-                pixelFormat: frame.format,
-                timeBase: videoStream.timeBase
-              });
-            }
+  let blockEndsAt = Infinity;
+  if (channel.mode === 'schedule' && channel.blocks.length > 0) {
+    const block = getCurrentBlock(channel.blocks, now);
+    status.block = { start: block.start, playlist: block.playlist };
+    status.nextBlock = { start: block.next.start, playlist: block.next.playlist, startsAt: block.next.startsAt };
+    blockEndsAt = block.next.startsAt;
+  }
 
-            const filteredFrames = await filter.processAll(frame);
+  const position = getChannelPosition(ctx, now);
+  if (!position) return status;
 
-            for (const filteredFrame of filteredFrames) {
-              if (!encoder) {
-                const { FF_ENCODER_MJPEG } = require('node-av/constants');
-                encoder = await Encoder.create(FF_ENCODER_MJPEG, {
-                  timeBase: { num: 1, den: 1 },
-                  width: filteredFrame.width,
-                  height: filteredFrame.height,
-                  pixelFormat: filteredFrame.format
-                });
-                outStreamIdx = output.addStream(encoder);
-              }
-              const packets = await encoder.encodeAll(filteredFrame);
-              for (const pkt of packets) {
-                await output.writePacket(pkt, outStreamIdx);
-              }
-            }
+  status.now = describe(position.index, position.startsAt, Math.min(position.endsAt, blockEndsAt));
+  let startsAt = position.endsAt;
+  for (let i = 1; i <= CHANNEL_GUIDE_ITEMS && startsAt < blockEndsAt; i++) {
+    const entry = channel.lineup[(position.lineupIndex + i) % channel.lineup.length];
+    const endsAt = startsAt + entry.length * 1000;
+    status.next.push(describe(entry.index, startsAt, Math.min(endsAt, blockEndsAt)));
+    startsAt = endsAt;
+  }
+  return status;
+}
 
-            // Flush encoder
-            if (encoder) {
-              for await (const pkt of encoder.flushPackets()) {
-                await output.writePacket(pkt, outStreamIdx);
-              }
-            }
+function broadcastChannelStatus(ctx) {
+  emitToPlaybackAndAdmin(ctx, 'channel-status', getChannelStatus(ctx));
+}
 
-            gotFrame = true;
-            break; // Done after one frame
-          }
-        }
+// Validate schedule blocks from the admin, returns the sorted blocks or an error message
+function sanitizeChannelBlocks(blocks, scope) {
+  if (!Array.isArray(blocks) || blocks.length === 0 || blocks.length > CHANNEL_BLOCKS_MAX) {
+    return `Schedule must have 1-${CHANNEL_BLOCKS_MAX} blocks`;
+  }
 
-        if (input.close) await input.close();
+  const clean = [];
+  for (const block of blocks) {
+    const match = typeof block?.start === 'string' ? block.start.trim().match(BLOCK_START_PATTERN) : null;
+    if (!match) return 'Block start times must be HH:MM';
+    const start = `${match[1].padStart(2, '0')}:${match[2]}`;
+    if (clean.some(b => b.start === start)) return `Two blocks start at ${start}`;
 
-        if (gotFrame) {
-          console.log(`${colors.green}Generated thumbnail via node-av for: ${safeFilename}${colors.reset}`);
-          return res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
-        } else {
-          throw new Error('No frame extracted');
-        }
+    const entry = typeof block.playlist === 'string' ? findLibraryPlaylist(scope, block.playlist.trim()) : null;
+    if (!entry) return `Saved playlist "${block.playlist}" not found`;
+    clean.push({ start, playlist: entry.name });
+  }
+  return clean.sort((a, b) => a.start.localeCompare(b.start));
+}
 
-      } catch (avError) {
-        console.error(`${colors.yellow}node-av thumbnail failed, falling back to system ffmpeg:${colors.reset}`, avError);
-        // Fall through to execFile below
-      }
+// Put the room on air. The caller validated the blocks (schedule mode)
+function startChannel(ctx, mode, blocks = []) {
+  const { channel } = ctx;
+  channel.mode = mode;
+  channel.anchor = null;
+  channel.blocks = blocks;
+  channel.blockStart = null;
+  // The first tick probes the lineup (loop) or loads the current block (schedule)
+  invalidateChannelLineup(ctx);
+  schedulePlaybackSave();
+
+  console.log(`${colors.green}Channel on air: ${mode === 'loop' ? 'looping the playlist' : `${blocks.length} daily block(s)`} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastChannelStatus(ctx);
+  updateChannel(ctx);
+}
+
+// Take the room off air, playback simply carries on from where it is
+function stopChannel(ctx) {
+  const { channel } = ctx;
+  if (!channel.mode) return false;
+  invalidateChannelLineup(ctx);
+  channel.mode = null;
+  channel.anchor = null;
+  channel.blocks = [];
+  channel.blockStart = null;
+  schedulePlaybackSave();
+
+  console.log(`${colors.cyan}Channel off air (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastChannelStatus(ctx);
+  return true;
+}
+
+const channelInterval = setInterval(() => {
+  if (SERVER_MODE) {
+    rooms.forEach(room => updateChannel(getRoomPlaybackContext(room)));
+  } else {
+    updateChannel(getPlaybackContext(null));
+  }
+}, CHANNEL_CHECK_INTERVAL);
+
+// EPG for screens and bots: what is on now and next
+function sendChannelGuide(req, res) {
+  let ctx;
+  if (SERVER_MODE) {
+    const room = getRoom(req.params.roomCode);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    ctx = getRoomPlaybackContext(room);
+  } else {
+    if (req.params.roomCode) {
+      return res.status(404).json({ error: 'Server mode not enabled' });
     }
+    ctx = getPlaybackContext(null);
+  }
+  res.json(getChannelStatus(ctx));
+}
+
+app.get('/api/channel', sendChannelGuide);
+app.get('/api/rooms/:roomCode/channel', sendChannelGuide);
+
+// ==================== Watch History ====================
+// Per scope (room or legacy), the last position of every media file that was left
+// unfinished and a history of what played, when and how far. Only local video/audio
+// files are tracked, images and external links have nothing to resume.
+const WATCH_CHECK_INTERVAL = 5000; // ms
+const WATCH_HISTORY_MAX = 200; // Entries kept per scope
+const RESUME_MIN_SECONDS = 30; // Positions before this aren't worth resuming
+const RESUME_COMPLETE_RATIO = 0.95; // Past this share of the duration counts as finished
+
+function createWatchState() {
+  return {
+    entry: null // The open history entry for the current item, null when nothing is tracked
+  };
+}
+
+function isTrackableItem(item) {
+  return !!item && !item.isExternal && typeof item.filename === 'string' && !isImageItem(item);
+}
+
+// Finished when past the out point, the detected credits or most of the file
+function isWatchedToEnd(item, position, duration) {
+  const endTime = getItemEndTime(item);
+  if (endTime !== undefined) return position >= endTime - WATCH_CHECK_INTERVAL / 1000;
+
+  const { outroRange } = getDetectedRanges(item.filename);
+  if (outroRange && position >= outroRange.start) return true;
+  return duration > 0 && position >= duration * RESUME_COMPLETE_RATIO;
+}
+
+function openWatchEntry(ctx, item) {
+  const now = new Date().toISOString();
+  const entry = {
+    filename: item.filename,
+    title: item.title || path.posix.basename(item.filename),
+    startedAt: now,
+    lastWatchedAt: now,
+    position: 0,
+    duration: null,
+    completed: false
+  };
+
+  const history = getWatchHistory(getLibraryScope(ctx));
+  history.unshift(entry);
+  if (history.length > WATCH_HISTORY_MAX) history.length = WATCH_HISTORY_MAX;
+  ctx.watch.entry = entry;
+
+  getMediaDuration(item.filename)
+    .then(duration => { entry.duration = duration || null; })
+    .catch(() => {});
+  return entry;
+}
+
+// Sample the current item: update its history entry and its resume position
+function recordWatchProgress(ctx) {
+  const { playlist, videoState: state, watch } = ctx;
+  const item = playlist.ended ? null : playlist.videos[playlist.currentIndex];
+  const filename = isTrackableItem(item) ? item.filename : null;
+
+  // Item changed or playback stopped: the open entry keeps its last sample
+  if (watch.entry && watch.entry.filename !== filename) watch.entry = null;
+  if (!filename) return;
+
+  const position = Math.floor(projectTime(state));
+  let entry = watch.entry;
+  if (!entry) {
+    if (!state.isPlaying) return; // History starts when the item actually plays
+    entry = openWatchEntry(ctx, item);
+  } else if (!state.isPlaying && Math.abs(entry.position - position) < 1) {
+    return; // Paused and not moved, nothing new
+  }
+
+  entry.position = position;
+  entry.lastWatchedAt = new Date().toISOString();
+  entry.completed = isWatchedToEnd(item, position, entry.duration);
+
+  const scope = getLibraryScope(ctx);
+  if (entry.completed) {
+    clearResumePosition(scope, filename);
+  } else if (position >= RESUME_MIN_SECONDS) {
+    setResumePosition(scope, filename, position, entry.duration);
+  }
+  memory.watchHistory = watchHistory;
+  scheduleMemorySave();
+}
+
+const watchInterval = setInterval(() => {
+  if (SERVER_MODE) {
+    rooms.forEach(room => recordWatchProgress(getRoomPlaybackContext(room)));
+  } else {
+    recordWatchProgress(getPlaybackContext(null));
+  }
+}, WATCH_CHECK_INTERVAL);
+
+// Admin only, same access rules and scopes as the playlist library
+const watchHistoryRouter = express.Router({ mergeParams: true });
+watchHistoryRouter.use(playlistsRateLimiter, csrfProtection, requirePlaylistAdmin);
+
+watchHistoryRouter.get('/', (req, res) => {
+  res.json({
+    history: getWatchHistory(req.libraryScope),
+    resume: getResumePositions(req.libraryScope)
+  });
+});
+
+// Forget one file's resume position (?filename=), or the whole history
+watchHistoryRouter.delete('/', (req, res) => {
+  const { filename } = req.query;
+  if (typeof filename === 'string' && filename) {
+    clearResumePosition(req.libraryScope, filename);
+  } else {
+    deleteWatchData(req.libraryScope);
+    // A fresh entry is opened on the next sample if something is still playing
+    const room = SERVER_MODE ? getRoom(req.libraryScope) : null;
+    (room ? room.watch : legacyWatch).entry = null;
+  }
+  res.json({ success: true });
+});
+
+app.use('/api/history', watchHistoryRouter);
+app.use('/api/rooms/:roomCode/history', watchHistoryRouter);
+
+// ==================== Remote Token ====================
+// "Who has the remote": with SYNC_REMOTE_TOKEN on (and client controls enabled), only
+// the admin and the viewer holding the token may control playback. The admin grants
+// it, viewers can ask for it, and it falls back to the admin after inactivity.
+function createRemoteState() {
+  return {
+    holder: null, // socketId of the viewer holding the remote
+    timer: null, // Inactivity timeout, restarted on every accepted control event
+    requests: new Map() // socketId -> requestedAt
+  };
+}
+
+function isRemoteTokenActive() {
+  return REMOTE_TOKEN && !CLIENT_CONTROLS_DISABLED;
+}
+
+// Same notion of admin as the control handler: the room admin, or a verified legacy admin
+function isPlaybackAdmin(ctx, socketId) {
+  return ctx.room ? ctx.room.adminSocketId === socketId : verifiedAdminSockets.has(socketId);
+}
+
+function getRemoteStatus(ctx) {
+  const { remote } = ctx;
+  return {
+    enabled: isRemoteTokenActive(),
+    holder: remote.holder ? { socketId: remote.holder, name: getClientLabel(ctx, remote.holder) } : null,
+    requests: [...remote.requests.keys()].map(socketId => ({ socketId, name: getClientLabel(ctx, socketId) })),
+    timeoutSeconds: REMOTE_TOKEN_TIMEOUT
+  };
+}
+
+function broadcastRemoteStatus(ctx) {
+  emitToPlaybackAndAdmin(ctx, 'remote-status', getRemoteStatus(ctx));
+}
+
+function touchRemote(ctx) {
+  const { remote } = ctx;
+  if (!remote.holder) return;
+  clearTimeout(remote.timer);
+  remote.timer = setTimeout(() => {
+    console.log(`${colors.yellow}Remote of ${getClientLabel(ctx, remote.holder)} timed out (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+    revokeRemote(ctx);
+    broadcastRemoteStatus(ctx);
+  }, REMOTE_TOKEN_TIMEOUT * 1000);
+}
+
+// The caller broadcasts the status
+function grantRemote(ctx, socketId) {
+  const { remote } = ctx;
+  remote.holder = socketId;
+  remote.requests.delete(socketId);
+  touchRemote(ctx);
+}
+
+// Returns true if someone held the remote and the status should be broadcast
+function revokeRemote(ctx) {
+  if (!ctx || !ctx.remote.holder) return false;
+  clearTimeout(ctx.remote.timer);
+  ctx.remote.timer = null;
+  ctx.remote.holder = null;
+  return true;
+}
+
+// Reason a socket may not control playback right now, or null if it may
+function getRemoteRejection(ctx, socketId) {
+  if (!isRemoteTokenActive() || isPlaybackAdmin(ctx, socketId)) return null;
+  if (ctx.remote.holder === socketId) return null;
+  return ctx.remote.holder
+    ? `${getClientLabel(ctx, ctx.remote.holder)} has the remote. Request it to control playback.`
+    : 'Only the admin has the remote. Request it to control playback.';
+}
+
+// Drop a leaving socket's token and request
+function forgetRemoteClient(ctx, socketId) {
+  if (!ctx) return;
+  let changed = ctx.remote.requests.delete(socketId);
+  if (ctx.remote.holder === socketId) changed = revokeRemote(ctx);
+  if (changed) broadcastRemoteStatus(ctx);
+}
+
+// ==================== Viewer Votes ====================
+// Viewers can vote to skip, pause or rewind, even with client controls disabled. A vote
+// passes once VOTE_THRESHOLD of the viewers (the admin doesn't count) agree within
+// VOTE_TIMEOUT seconds, then runs the same code path as the admin controls.
+// After any vote ends, new ones are blocked for VOTE_COOLDOWN seconds.
+const VOTE_TYPES = {
+  skip: {
+    label: 'skip to the next item',
+    check: (ctx) => ctx.playlist.videos.length > 1 ? null : 'Nothing to skip to',
+    apply: (ctx) => skipToNextItem(ctx)
+  },
+  pause: {
+    label: 'pause',
+    check: (ctx) => ctx.videoState.isPlaying ? null : 'Already paused',
+    apply: (ctx) => applyControlAction(ctx, { action: 'playpause', state: false })
+  },
+  rewind: {
+    label: `rewind ${SKIP_SECONDS}s`,
+    check: () => null,
+    apply: (ctx) => applyControlAction(ctx, { action: 'skip', direction: 'backward' })
+  }
+};
+
+function createVoteState() {
+  return {
+    active: null, // { type, startedBy, voters: Set, expiresAt, timer }
+    cooldownUntil: 0
+  };
+}
+
+// Viewers eligible to vote: everyone in the room (or registered legacy clients) but the admin
+function getVoterCount(ctx) {
+  let count = 0;
+  if (ctx.room) {
+    ctx.room.clients.forEach((_, socketId) => {
+      if (socketId !== ctx.room.adminSocketId) count++;
+    });
+  } else {
+    connectedClients.forEach((_, socketId) => {
+      if (!verifiedAdminSockets.has(socketId)) count++;
+    });
+  }
+  return count;
+}
+
+function getVotesNeeded(ctx) {
+  const voters = getVoterCount(ctx);
+  const needed = VOTE_THRESHOLD === 'majority'
+    ? Math.floor(voters / 2) + 1
+    : Math.ceil(voters * VOTE_THRESHOLD / 100);
+  return Math.max(1, needed);
+}
+
+function getVoteStatus(ctx) {
+  const vote = ctx.votes.active;
+  if (!vote) return { active: false, serverTime: Date.now() };
+  return {
+    active: true,
+    type: vote.type,
+    label: VOTE_TYPES[vote.type].label,
+    startedBy: getClientLabel(ctx, vote.startedBy),
+    votes: vote.voters.size,
+    needed: getVotesNeeded(ctx),
+    expiresAt: vote.expiresAt,
+    serverTime: Date.now()
+  };
+}
+
+// ended describes a vote that just finished, so clients can show the outcome
+function broadcastVoteStatus(ctx, ended = null) {
+  const status = getVoteStatus(ctx);
+  if (ended) status.ended = ended;
+  emitToPlaybackAndAdmin(ctx, 'vote-status', status);
+}
+
+// End the running vote, result is 'passed', 'failed' or 'cancelled'
+function endVote(ctx, result) {
+  const vote = ctx.votes.active;
+  if (!vote) return;
+
+  clearTimeout(vote.timer);
+  ctx.votes.active = null;
+  ctx.votes.cooldownUntil = Date.now() + VOTE_COOLDOWN * 1000;
+  console.log(`${colors.cyan}Vote to ${VOTE_TYPES[vote.type].label} ${result} with ${vote.voters.size}/${getVotesNeeded(ctx)} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastVoteStatus(ctx, { type: vote.type, label: VOTE_TYPES[vote.type].label, outcome: result });
+
+  if (result === 'passed') {
+    const bufferingChanged = VOTE_TYPES[vote.type].apply(ctx);
+    if (bufferingChanged) broadcastBufferingStatus(ctx);
+  }
+}
+
+// Pass the vote if enough viewers agree, otherwise just broadcast progress
+function checkVote(ctx) {
+  const vote = ctx.votes.active;
+  if (!vote) return;
+  if (vote.voters.size >= getVotesNeeded(ctx)) {
+    endVote(ctx, 'passed');
+  } else {
+    broadcastVoteStatus(ctx);
+  }
+}
+
+// Start a vote or add a yes to the running one. Returns an error message, or null.
+function castVote(ctx, socketId, type) {
+  if (!VOTE_ENABLED) return 'Voting is disabled';
+  if (!VOTE_TYPES[type]) return 'Unknown vote';
+
+  const { votes } = ctx;
+  if (votes.active) {
+    if (votes.active.type !== type) return `A vote to ${VOTE_TYPES[votes.active.type].label} is already running`;
+    if (votes.active.voters.has(socketId)) return 'You already voted';
+    votes.active.voters.add(socketId);
+    checkVote(ctx);
+    return null;
   }
 
+  const cooldownLeft = Math.ceil((votes.cooldownUntil - Date.now()) / 1000);
+  if (cooldownLeft > 0) return `Please wait ${cooldownLeft}s before starting another vote`;
+
+  const blocked = VOTE_TYPES[type].check(ctx);
+  if (blocked) return blocked;
+
+  votes.active = {
+    type,
+    startedBy: socketId,
+    voters: new Set([socketId]),
+    expiresAt: Date.now() + VOTE_TIMEOUT * 1000,
+    timer: setTimeout(() => endVote(ctx, 'failed'), VOTE_TIMEOUT * 1000)
+  };
+  console.log(`${colors.cyan}${getClientLabel(ctx, socketId)} started a vote to ${VOTE_TYPES[type].label} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  checkVote(ctx);
+  return null;
+}
+
+// Call after the viewer was removed: their vote no longer counts, and fewer viewers
+// may now be enough to pass
+function forgetVoter(ctx, socketId) {
+  if (!ctx || !ctx.votes.active) return;
+  ctx.votes.active.voters.delete(socketId);
+  checkVote(ctx);
+}
+
+// ==================== Viewer Media Requests ====================
+// Viewers can ask for a media file or an external URL to be played. Requests queue
+// up per room until the admin approves (inserted into the live playlist, see
+// insertPlaylistItems) or rejects them. Each viewer, identified by fingerprint so it
+// survives reconnects, can have at most REQUEST_LIMIT requests pending.
+const REQUEST_QUEUE_MAX = 50;
+const REQUEST_URL_MAX_LENGTH = 2048;
+
+function createRequestState() {
+  return {
+    queue: [], // { id, type: 'file' | 'url', filename | url, title, requesterKey, socketId, requestedBy, createdAt }
+    nextId: 1
+  };
+}
+
+function getRequesterKey(ctx, socketId) {
+  const client = ctx.room ? ctx.room.clients.get(socketId) : connectedClients.get(socketId);
+  return client?.fingerprint && client.fingerprint !== 'unknown' ? client.fingerprint : socketId;
+}
+
+// The queue as one socket sees it: viewers see their own requests marked, only the
+// admin sees who asked for what. Socket ids stay on the server.
+function getRequestStatus(ctx, socketId) {
+  const isAdmin = isPlaybackAdmin(ctx, socketId);
+  const requesterKey = getRequesterKey(ctx, socketId);
+  return {
+    enabled: REQUESTS_ENABLED,
+    limit: REQUEST_LIMIT,
+    queue: ctx.requests.queue.map((request, index) => ({
+      id: request.id,
+      type: request.type,
+      title: request.title,
+      url: request.url,
+      filename: request.filename,
+      requestedBy: isAdmin ? request.requestedBy : undefined,
+      mine: request.requesterKey === requesterKey,
+      position: index + 1
+    }))
+  };
+}
+
+// Same audience as emitToPlaybackAndAdmin, but each socket gets its own status
+function broadcastRequestStatus(ctx) {
+  const socketIds = new Set(ctx.room ? io.sockets.adapter.rooms.get(ctx.roomCode) : io.sockets.sockets.keys());
+  if (ctx.room?.adminSocketId) socketIds.add(ctx.room.adminSocketId);
+  socketIds.forEach(socketId => {
+    io.to(socketId).emit('media-requests', getRequestStatus(ctx, socketId));
+  });
+}
+
+function parseRequestUrl(value) {
+  if (typeof value !== 'string' || value.length > REQUEST_URL_MAX_LENGTH) return null;
   try {
-    // Get video duration
-    const duration = await getVideoDuration(videoPath);
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
 
-    // Calculate random position in first third of video (minimum 1 second)
-    const firstThird = Math.max(duration / 3, 1);
-    const randomTime = Math.random() * firstThird;
-    const seekTime = Math.max(1, Math.floor(randomTime)); // At least 1 second in
+// Queue a request ({ filename } or { url }). Returns an error message, or null.
+async function submitMediaRequest(ctx, socketId, data) {
+  if (!REQUESTS_ENABLED) return 'Requests are disabled';
+  if (!data || typeof data !== 'object') return 'Invalid request';
+
+  const { queue } = ctx.requests;
+  const requesterKey = getRequesterKey(ctx, socketId);
+  if (queue.filter(r => r.requesterKey === requesterKey).length >= REQUEST_LIMIT) {
+    return `You can have at most ${REQUEST_LIMIT} pending request(s)`;
+  }
+  if (queue.length >= REQUEST_QUEUE_MAX) return 'The request queue is full';
+
+  let request;
+  if (data.url !== undefined) {
+    const url = parseRequestUrl(data.url);
+    if (!url) return 'Invalid URL';
+    request = { type: 'url', url, title: url };
+  } else {
+    const files = await getMediaFiles();
+    if (typeof data.filename !== 'string' || !files.some(f => f.filename === data.filename)) {
+      return 'File not found';
+    }
+    request = { type: 'file', filename: data.filename, title: data.filename };
+  }
+
+  // Re-check after the file listing, another request may have been queued meanwhile
+  if (queue.some(r => r.title === request.title)) return 'Already requested';
+  if (queue.length >= REQUEST_QUEUE_MAX) return 'The request queue is full';
+
+  queue.push({
+    ...request,
+    id: ctx.requests.nextId++,
+    requesterKey,
+    socketId,
+    requestedBy: getClientLabel(ctx, socketId),
+    createdAt: Date.now()
+  });
+  console.log(`${colors.cyan}${getClientLabel(ctx, socketId)} requested ${request.title} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  broadcastRequestStatus(ctx);
+  return null;
+}
+
+// Take a request out of the queue and tell the requester what happened
+function resolveMediaRequest(ctx, id, outcome) {
+  const { queue } = ctx.requests;
+  const index = queue.findIndex(r => r.id === id);
+  if (index === -1) return null;
+
+  const [request] = queue.splice(index, 1);
+  console.log(`${colors.cyan}Request for ${request.title} ${outcome} (Room: ${ctx.roomCode || 'Legacy'})${colors.reset}`);
+  io.to(request.socketId).emit('media-request-result', { id, title: request.title, outcome });
+  broadcastRequestStatus(ctx);
+  return request;
+}
+
+// A reconnecting viewer (new socket id, same fingerprint) keeps its requests
+function adoptMediaRequests(ctx, socketId) {
+  if (!ctx) return;
+  const requesterKey = getRequesterKey(ctx, socketId);
+  let adopted = false;
+  ctx.requests.queue.forEach(request => {
+    if (request.requesterKey === requesterKey && request.socketId !== socketId) {
+      request.socketId = socketId;
+      adopted = true;
+    }
+  });
+  if (adopted) broadcastRequestStatus(ctx);
+}
+
+// ==================== Sync Health Telemetry ====================
+// Clients report their playback state every few seconds; the admin panel gets an
+// aggregated per-client view with drift against the server timeline.
+const TELEMETRY_SOURCES = ['server', 'bsl', 'youtube', 'image', 'external'];
+const HEALTH_PUSH_INTERVAL = 2000;
+
+// Keep only well-formed fields from a client report
+function sanitizeTelemetry(data) {
+  const num = (v) => (typeof v === 'number' && isFinite(v) ? v : null);
+  const buffered = Array.isArray(data.buffered)
+    ? data.buffered.slice(0, 8)
+      .filter(r => Array.isArray(r) && num(r[0]) !== null && num(r[1]) !== null)
+      .map(r => [r[0], r[1]])
+    : [];
+
+  return {
+    currentTime: num(data.currentTime),
+    isPlaying: data.isPlaying === true,
+    playbackRate: num(data.playbackRate),
+    buffered,
+    droppedFrames: num(data.droppedFrames),
+    totalFrames: num(data.totalFrames),
+    source: TELEMETRY_SOURCES.includes(data.source) ? data.source : 'server',
+    videoIndex: Number.isInteger(data.videoIndex) ? data.videoIndex : -1,
+    rtt: num(data.rtt),
+    lastError: typeof data.lastError === 'string' ? data.lastError.substring(0, 200) : null,
+    receivedAt: Date.now()
+  };
+}
 
-    console.log(`${colors.cyan}Generating 720p thumbnail for ${safeFilename} at ${seekTime}s (duration: ${duration}s)${colors.reset}`);
+function getSyncHealth(ctx) {
+  const { videoState: state, playlist } = ctx;
+  const serverTime = projectTime(state);
+  const now = Date.now();
+  const clients = [];
+
+  ctx.telemetry.forEach((report, socketId) => {
+    let drift = null;
+    const onCurrentItem = report.videoIndex === playlist.currentIndex;
+
+    if (onCurrentItem && report.currentTime !== null) {
+      // Project the report to now: it was sampled about half an RTT before we got it
+      const ageSeconds = ((now - report.receivedAt) + (report.rtt || 0) / 2) / 1000;
+      const clientTime = report.isPlaying
+        ? report.currentTime + ageSeconds * (report.playbackRate || 1.0)
+        : report.currentTime;
+      drift = clientTime - serverTime;
+    }
 
-    // Generate 720p thumbnail (-vf scale=-1:720 maintains aspect ratio with 720 height)
-    execFile('ffmpeg', [
-      '-ss', String(seekTime),
-      '-i', videoPath,
-      '-vframes', '1',
-      '-vf', 'scale=-1:720',
-      '-q:v', '2',
-      '-y',
-      thumbnailPath
-    ], (error) => {
-      if (error) {
-        console.error('FFmpeg thumbnail error:', error.message);
-        // Fallback to 1 second
-        execFile('ffmpeg', [
-          '-ss', '1',
-          '-i', videoPath,
-          '-vframes', '1',
-          '-vf', 'scale=-1:720',
-          '-q:v', '2',
-          '-y',
-          thumbnailPath
-        ], (err2) => {
-          if (err2) {
-            console.error('FFmpeg fallback error:', err2.message);
-            return res.status(500).json({ error: 'Failed to generate thumbnail' });
-          }
-          res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
-        });
-        return;
-      }
-      console.log(`${colors.green}Generated 720p thumbnail for: ${safeFilename}${colors.reset}`);
-      res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+    // Seconds buffered ahead of the playhead
+    let bufferedAhead = 0;
+    if (report.currentTime !== null) {
+      const range = report.buffered.find(r => report.currentTime >= r[0] && report.currentTime <= r[1]);
+      if (range) bufferedAhead = range[1] - report.currentTime;
+    }
+
+    clients.push({
+      socketId,
+      name: getClientLabel(ctx, socketId),
+      ...report,
+      onCurrentItem,
+      drift,
+      bufferedAhead,
+      ready: ctx.buffering.clientReady.get(socketId),
+      stale: now - report.receivedAt > HEALTH_PUSH_INTERVAL * 3
     });
-  } catch (error) {
-    console.error('Error getting video duration:', error);
-    // Fallback: just try at 10 seconds
-    execFile('ffmpeg', [
-      '-ss', '10',
-      '-i', videoPath,
-      '-vframes', '1',
-      '-vf', 'scale=-1:720',
-      '-q:v', '2',
-      '-y',
-      thumbnailPath
-    ], (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to generate thumbnail' });
-      }
-      res.json({ thumbnail: `/thumbnails/${thumbnailFilename}` });
+  });
+
+  return {
+    serverTime,
+    isPlaying: state.isPlaying,
+    currentIndex: playlist.currentIndex,
+    clients
+  };
+}
+
+// Stream the health table to admin panels
+const healthInterval = setInterval(() => {
+  if (SERVER_MODE) {
+    rooms.forEach(room => {
+      if (!room.adminSocketId) return;
+      const ctx = getPlaybackContext(room.adminSocketId);
+      if (ctx) io.to(room.adminSocketId).emit('sync-health', getSyncHealth(ctx));
     });
+  } else if (adminSocketId) {
+    io.to(adminSocketId).emit('sync-health', getSyncHealth(getPlaybackContext(adminSocketId)));
   }
-});
+}, HEALTH_PUSH_INTERVAL);
 
 // Socket.io rate limiter (generous limits with short cooldown)
 const socketRateLimiter = new RateLimiterMemory({
@@ -2216,7 +5814,6 @@ const socketRateLimiter = new RateLimiterMemory({
 // Socket.io handling
 io.on('connection', (socket) => {
   console.log(`${colors.cyan}A user connected: ${socket.id}${colors.reset}`);
-  socket.joinTime = Date.now(); // Track connection time for grace period
 
   // Get client IP for rate limiting
   const clientIp = socket.handshake.address;
@@ -2284,6 +5881,42 @@ io.on('connection', (socket) => {
     return isInRange(drift, -60, 60);
   }
 
+  function validatePlaybackRate(rate) {
+    return isValidNumber(rate) && rate >= 0.25 && rate <= 3.0;
+  }
+
+  // ==================== Control Versioning ====================
+  // How far (seconds) a client's reported position may be from ours and still
+  // count as an echo of the state we sent it
+  const CONTROL_ECHO_TOLERANCE = 1.0;
+
+  // A direct sync must be based on the latest state version this client was sent.
+  // Anything else was decided on outdated information (e.g. a loading client
+  // reporting 0:00 after someone else already seeked)
+  function isStaleControl(data, state) {
+    return !isValidInteger(data.baseVersion) || parseInt(data.baseVersion, 10) !== (state.version || 0);
+  }
+
+  // A client applying our sync fires its own play/pause/seeked events, which come
+  // back as a direct sync matching the current state - nothing to broadcast
+  function isEchoControl(data, state) {
+    return data.isPlaying === state.isPlaying &&
+      isValidNumber(data.currentTime) &&
+      Math.abs(data.currentTime - projectTime(state)) < CONTROL_ECHO_TOLERANCE;
+  }
+
+  // Drop stale or echoed direct syncs. Stale senders get the current state back so
+  // they snap to it; action-based controls are not checked and apply on top of the
+  // current state (they are relative or explicit intents)
+  function shouldDropDirectSync(data, state) {
+    if (isStaleControl(data, state)) {
+      console.log(`${colors.yellow}Rejected stale control from ${socket.id} (based on v${data.baseVersion}, current v${state.version})${colors.reset}`);
+      socket.emit('sync', stampSync(state));
+      return true;
+    }
+    return isEchoControl(data, state);
+  }
+
   // ==================== Admin Authorization Middleware ====================
   // Whitelist of admin-only events that require authorization
   const ADMIN_ONLY_EVENTS = [
@@ -2301,7 +5934,22 @@ io.on('connection', (socket) => {
     'get-client-list',
     'set-client-display-name',
     'delete-room',
-    'create-room'
+    'create-room',
+    'set-buffer-barrier',
+    'force-resync',
+    'schedule-start',
+    'cancel-scheduled-start',
+    'grant-remote',
+    'revoke-remote',
+    'set-advance-mode',
+    'playlist-add',
+    'playlist-remove',
+    'playlist-move',
+    'playlist-item-timing',
+    'media-request-approve',
+    'media-request-reject',
+    'channel-start',
+    'channel-stop'
   ];
 
   // Check if socket is an authorized admin
@@ -2418,12 +6066,23 @@ io.on('connection', (socket) => {
         isAdmin,
         chatEnabled: CHAT_ENABLED,
         maxVolume: MAX_VOLUME,
-        subtitleRenderer: SUBTITLE_RENDERER
+        subtitleRenderer: SUBTITLE_RENDERER,
+        driftSeekThreshold: DRIFT_SEEK_THRESHOLD_MS / 1000,
+        voteEnabled: VOTE_ENABLED,
+        imageDuration: IMAGE_DURATION,
+        imageTransition: IMAGE_TRANSITION,
+        uploadsEnabled: UPLOADS_ENABLED
       });
 
       // Send current room state
       socket.emit('playlist-update', room.playlist);
-      socket.emit('sync', room.videoState);
+      socket.emit('sync', stampSync(room.videoState));
+      socket.emit('scheduled-start', getScheduledStart(getPlaybackContext(socket.id)));
+      socket.emit('channel-status', getChannelStatus(getPlaybackContext(socket.id)));
+      socket.emit('remote-status', getRemoteStatus(getPlaybackContext(socket.id)));
+      socket.emit('vote-status', getVoteStatus(getPlaybackContext(socket.id)));
+      adoptMediaRequests(getPlaybackContext(socket.id), socket.id);
+      socket.emit('media-requests', getRequestStatus(getPlaybackContext(socket.id), socket.id));
 
       if (callback) {
         callback({
@@ -2446,7 +6105,10 @@ io.on('connection', (socket) => {
       if (roomCode) {
         const room = getRoom(roomCode);
         if (room) {
+          forgetBufferingClient(getPlaybackContext(socket.id), socket.id);
+          forgetRemoteClient(getPlaybackContext(socket.id), socket.id);
           room.removeClient(socket.id);
+          forgetVoter(getPlaybackContext(socket.id), socket.id);
           socket.leave(roomCode);
 
           if (roomLogger) {
@@ -2499,7 +6161,10 @@ io.on('connection', (socket) => {
       if (roomCode) {
         const room = getRoom(roomCode);
         if (room) {
+          forgetBufferingClient(getPlaybackContext(socket.id), socket.id);
+          forgetRemoteClient(getPlaybackContext(socket.id), socket.id);
           room.removeClient(socket.id);
+          forgetVoter(getPlaybackContext(socket.id), socket.id);
 
           if (roomLogger) {
             roomLogger.logRoom(roomCode, 'client_disconnected', { socketId: socket.id });
@@ -2551,6 +6216,14 @@ io.on('connection', (socket) => {
             return; // Don't broadcast the command itself
           }
 
+          // Handle /skip, /pause and /rewind votes
+          const voteMatch = message.toLowerCase().match(/^\/(skip|pause|rewind)$/);
+          if (voteMatch) {
+            const error = castVote(getPlaybackContext(socket.id), socket.id, voteMatch[1]);
+            if (error) socket.emit('vote-rejected', { message: error });
+            return;
+          }
+
           // Broadcast message to all clients in the room (properly escaped)
           io.to(roomCode).emit('chat-message', {
             sender: escapeHTML(data.sender || 'Guest'),
@@ -2583,22 +6256,39 @@ io.on('connection', (socket) => {
       serverMode: false,
       chatEnabled: CHAT_ENABLED,
       maxVolume: MAX_VOLUME,
-      subtitleRenderer: SUBTITLE_RENDERER
+      subtitleRenderer: SUBTITLE_RENDERER,
+      driftSeekThreshold: DRIFT_SEEK_THRESHOLD_MS / 1000,
+      voteEnabled: VOTE_ENABLED,
+      imageDuration: IMAGE_DURATION,
+      imageTransition: IMAGE_TRANSITION,
+      uploadsEnabled: UPLOADS_ENABLED
     });
 
     // Send playlist to client
     socket.emit('playlist-update', PLAYLIST);
 
-    // Handle join behavior based on config
-    if (JOIN_MODE === 'reset') {
+    // Handle join behavior based on config. Reconnecting clients send
+    // { resume, version } in the handshake and are resynced, never reset.
+    const resume = socket.handshake.auth && socket.handshake.auth.resume === true;
+    if (resume) {
+      socket.emit('sync', stampSync(videoState));
+      const clientVersion = socket.handshake.auth.version;
+      console.log(`${colors.cyan}Client reconnected (state v${clientVersion ?? '?'} -> v${videoState.version}), resyncing without reset${colors.reset}`);
+    } else if (JOIN_MODE === 'reset') {
       videoState.currentTime = 0;
       videoState.lastUpdate = Date.now();
-      io.emit('sync', videoState);
+      bumpVersion(videoState);
+      io.emit('sync', stampSync(videoState));
       console.log(`${colors.yellow}New user joined, resetting video to 0 for everyone (reset mode)${colors.reset}`);
     } else {
-      socket.emit('sync', videoState);
+      socket.emit('sync', stampSync(videoState));
       console.log(`${colors.cyan}New user joined, syncing to current time: ${videoState.currentTime}${colors.reset}`);
     }
+    socket.emit('scheduled-start', getScheduledStart(getPlaybackContext(socket.id)));
+    socket.emit('channel-status', getChannelStatus(getPlaybackContext(socket.id)));
+    socket.emit('remote-status', getRemoteStatus(getPlaybackContext(socket.id)));
+    socket.emit('vote-status', getVoteStatus(getPlaybackContext(socket.id)));
+    socket.emit('media-requests', getRequestStatus(getPlaybackContext(socket.id), socket.id));
   } // End of !SERVER_MODE block
 
   // ==================== Shared Event Handlers (Both Modes) ====================
@@ -2614,7 +6304,7 @@ io.on('connection', (socket) => {
           socket.emit('initial-state', {
             playlist: room.playlist,
             mainVideoStartTime: room.playlist.mainVideoStartTime,
-            videoState: room.videoState
+            videoState: stampSync(room.videoState)
           });
           return;
         }
@@ -2625,10 +6315,256 @@ io.on('connection', (socket) => {
     socket.emit('initial-state', {
       playlist: PLAYLIST,
       mainVideoStartTime: PLAYLIST.mainVideoStartTime,
-      videoState: videoState
+      videoState: stampSync(videoState)
+    });
+  });
+
+  // Clock sync ping (NTP-style): clients estimate their clock offset and RTT from
+  // their send time and our receive/send times
+  socket.on('time-sync', (clientSentAt, callback) => {
+    const serverReceivedAt = Date.now();
+    if (typeof callback !== 'function') return;
+    callback({
+      clientSentAt: isValidNumber(clientSentAt) ? clientSentAt : null,
+      serverReceivedAt,
+      serverSentAt: Date.now()
     });
   });
 
+  // Client reports whether it can play from the current position (buffering barrier)
+  socket.on('buffer-state', (data) => {
+    if (!data || typeof data.ready !== 'boolean') return;
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    setClientBufferState(playbackCtx, socket.id, data.ready);
+  });
+
+  // Admin toggles wait-for-all mode for the room
+  socket.on('set-buffer-barrier', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+
+    playbackCtx.buffering.enabled = !!data?.enabled;
+    console.log(`${colors.cyan}Wait-for-all ${playbackCtx.buffering.enabled ? 'enabled' : 'disabled'} (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+
+    // Turning it off while holding starts playback right away
+    if (!playbackCtx.buffering.enabled && playbackCtx.buffering.barrier) {
+      releaseBufferingBarrier(playbackCtx);
+    } else {
+      broadcastBufferingStatus(playbackCtx);
+    }
+  });
+
+  // Client playback telemetry (sync health dashboard)
+  socket.on('client-telemetry', (data) => {
+    if (!data || typeof data !== 'object') return;
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    playbackCtx.telemetry.set(socket.id, sanitizeTelemetry(data));
+  });
+
+  // Admin forces a single client to snap to the server timeline
+  socket.on('force-resync', (data) => {
+    const targetSocketId = data?.socketId;
+    if (typeof targetSocketId !== 'string') return;
+
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+
+    // Only clients of the same room (or any client in legacy mode)
+    const inContext = playbackCtx.room
+      ? playbackCtx.room.clients.has(targetSocketId)
+      : io.sockets.sockets.has(targetSocketId);
+    if (!inContext) return;
+
+    console.log(`${colors.cyan}Forcing resync of ${targetSocketId} (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+    io.to(targetSocketId).emit('sync', { ...stampSync(playbackCtx.videoState), forceResync: true });
+  });
+
+  socket.on('get-buffer-status', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('buffer-status', getBufferingStatus(playbackCtx));
+  });
+
+  // Admin sets (or moves) the wall-clock start of the current playlist
+  socket.on('schedule-start', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+
+    if (!isValidStartAt(data?.startAt)) {
+      console.log(`${colors.yellow}Invalid scheduled start: ${data?.startAt}${colors.reset}`);
+      socket.emit('scheduled-start', { ...getScheduledStart(playbackCtx), error: 'Start time must be in the future (at most 7 days ahead)' });
+      return;
+    }
+
+    const bufferingChanged = scheduleStart(playbackCtx, data.startAt);
+    bumpVersion(playbackCtx.videoState);
+    emitToPlayback(playbackCtx, 'sync', stampSync(playbackCtx.videoState));
+    if (bufferingChanged) broadcastBufferingStatus(playbackCtx);
+    broadcastScheduledStart(playbackCtx);
+  });
+
+  // Admin drops the pending start, the room stays paused
+  socket.on('cancel-scheduled-start', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!cancelScheduledStart(playbackCtx)) return;
+    console.log(`${colors.cyan}Scheduled start cancelled (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+    broadcastScheduledStart(playbackCtx);
+  });
+
+  socket.on('get-scheduled-start', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('scheduled-start', getScheduledStart(playbackCtx));
+  });
+
+  // Admin puts the room on air: { mode: 'loop' } or { mode: 'schedule', blocks }
+  socket.on('channel-start', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
+
+    if (data.mode === 'loop') {
+      if (playbackCtx.playlist.videos.length === 0) {
+        socket.emit('channel-status', { ...getChannelStatus(playbackCtx), error: 'Launch a playlist to loop first' });
+        return;
+      }
+      startChannel(playbackCtx, 'loop');
+    } else if (data.mode === 'schedule') {
+      const blocks = sanitizeChannelBlocks(data.blocks, getLibraryScope(playbackCtx));
+      if (typeof blocks === 'string') {
+        console.log(`${colors.yellow}Invalid channel schedule: ${blocks}${colors.reset}`);
+        socket.emit('channel-status', { ...getChannelStatus(playbackCtx), error: blocks });
+        return;
+      }
+      startChannel(playbackCtx, 'schedule', blocks);
+    }
+  });
+
+  socket.on('channel-stop', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (playbackCtx) stopChannel(playbackCtx);
+  });
+
+  socket.on('get-channel-status', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('channel-status', getChannelStatus(playbackCtx));
+  });
+
+  // Viewer asks the admin for the remote
+  socket.on('request-remote', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !isRemoteTokenActive()) return;
+    const { remote } = playbackCtx;
+    if (remote.holder === socket.id || remote.requests.has(socket.id)) return;
+
+    remote.requests.set(socket.id, Date.now());
+    console.log(`${colors.cyan}${getClientLabel(playbackCtx, socket.id)} requested the remote (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+    broadcastRemoteStatus(playbackCtx);
+  });
+
+  // Holder hands the remote back, or a viewer withdraws its request
+  socket.on('release-remote', () => {
+    forgetRemoteClient(getPlaybackContext(socket.id), socket.id);
+  });
+
+  // Admin gives the remote to a viewer (replacing the current holder)
+  socket.on('grant-remote', (data) => {
+    const targetSocketId = data?.socketId;
+    if (typeof targetSocketId !== 'string') return;
+
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !isRemoteTokenActive()) return;
+
+    const inContext = playbackCtx.room
+      ? playbackCtx.room.clients.has(targetSocketId)
+      : io.sockets.sockets.has(targetSocketId);
+    if (!inContext) return;
+
+    grantRemote(playbackCtx, targetSocketId);
+    console.log(`${colors.cyan}Remote granted to ${getClientLabel(playbackCtx, targetSocketId)} (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+    broadcastRemoteStatus(playbackCtx);
+  });
+
+  socket.on('revoke-remote', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!revokeRemote(playbackCtx)) return;
+    console.log(`${colors.cyan}Remote returned to admin (Room: ${playbackCtx.roomCode || 'Legacy'})${colors.reset}`);
+    broadcastRemoteStatus(playbackCtx);
+  });
+
+  // Viewer starts a vote or votes yes on the running one ({ type: 'skip' | 'pause' | 'rewind' })
+  socket.on('vote', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    const error = castVote(playbackCtx, socket.id, data?.type);
+    if (error) socket.emit('vote-rejected', { message: error });
+  });
+
+  // Viewer asks for a file or URL to be played ({ filename } or { url })
+  socket.on('media-request', async (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    const error = await submitMediaRequest(playbackCtx, socket.id, data);
+    if (error) socket.emit('media-request-rejected', { message: error });
+  });
+
+  // Viewer withdraws one of their own requests
+  socket.on('media-request-cancel', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    const request = playbackCtx.requests.queue.find(r => r.id === data?.id);
+    if (!request || request.requesterKey !== getRequesterKey(playbackCtx, socket.id)) return;
+    resolveMediaRequest(playbackCtx, request.id, 'cancelled');
+  });
+
+  // Admin approves a request with the playlist item to add ({ id, item, position: 'next' | 'end' }).
+  // The admin panel builds the item, external URLs need its platform detection.
+  socket.on('media-request-approve', async (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
+
+    const request = playbackCtx.requests.queue.find(r => r.id === data.id);
+    if (!request) return;
+    if (!isValidPlaylistItem(data.item) || (request.type === 'file' && data.item.filename !== request.filename)) {
+      console.log(`${colors.yellow}Invalid item for media request ${data.id}${colors.reset}`);
+      return;
+    }
+
+    // Out of the queue before probing, so a double click can't add it twice
+    resolveMediaRequest(playbackCtx, request.id, 'approved');
+    const item = await processPlaylistItem(data.item);
+
+    const { playlist } = playbackCtx;
+    const index = data.position === 'next' && playlist.currentIndex >= 0 ? playlist.currentIndex + 1 : null;
+    insertPlaylistItems(playbackCtx, [item], index);
+  });
+
+  socket.on('media-request-reject', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    resolveMediaRequest(playbackCtx, data?.id, 'rejected');
+  });
+
+  socket.on('get-media-requests', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('media-requests', getRequestStatus(playbackCtx, socket.id));
+  });
+
+  socket.on('get-vote-status', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('vote-status', getVoteStatus(playbackCtx));
+  });
+
+  socket.on('get-remote-status', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('remote-status', getRemoteStatus(playbackCtx));
+  });
+
   // Handle explicit sync request from client
   socket.on('request-sync', () => {
     if (SERVER_MODE) {
@@ -2636,14 +6572,14 @@ io.on('connection', (socket) => {
       if (roomCode) {
         const room = getRoom(roomCode);
         if (room) {
-          socket.emit('sync', room.videoState);
+          socket.emit('sync', stampSync(room.videoState));
           return;
         }
       }
     }
 
     console.log('Client requested sync');
-    socket.emit('sync', videoState);
+    socket.emit('sync', stampSync(videoState));
   });
 
   // Chat message handler (legacy mode - only if not in server mode room)
@@ -2675,6 +6611,14 @@ io.on('connection', (socket) => {
         return; // Don't broadcast the command itself
       }
 
+      // Handle /skip, /pause and /rewind votes
+      const voteMatch = message.toLowerCase().match(/^\/(skip|pause|rewind)$/);
+      if (voteMatch) {
+        const error = castVote(getPlaybackContext(socket.id), socket.id, voteMatch[1]);
+        if (error) socket.emit('vote-rejected', { message: error });
+        return;
+      }
+
       // Broadcast message to all clients (properly escaped)
       io.emit('chat-message', {
         sender: escapeHTML(data.sender || 'Guest'),
@@ -2695,15 +6639,6 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Grace Period Check: Ignore control events from new connections for 5 seconds
-    // This prevents "join-reset" bugs where a loading client broadcasts 0:00
-    if (socket.joinTime && Date.now() - socket.joinTime < 5000) {
-      // Allow minor syncs or non-state-changing events if needed, but blocking major control is safer
-      // We log it so we know it happened
-      console.log(`${colors.yellow}Ignored control event during grace period from ${socket.id}${colors.reset}`);
-      return;
-    }
-
     // Validate time for seek action
     if (data.action === 'seek' && !validateCurrentTime(data.time)) {
       console.log(`${colors.yellow}Invalid seek time: ${data.time}${colors.reset}`);
@@ -2716,6 +6651,37 @@ io.on('connection', (socket) => {
       return;
     }
 
+    // Validate rate for rate action
+    if (data.action === 'rate' && !validatePlaybackRate(data.rate)) {
+      console.log(`${colors.yellow}Invalid playback rate: ${data.rate}${colors.reset}`);
+      return;
+    }
+
+    const playbackCtx = getPlaybackContext(socket.id);
+    let bufferingChanged = false;
+    let scheduleChanged = false;
+
+    // Remote token mode: everyone but the admin and the holder is told who has it and
+    // snapped back to the room state
+    const remoteRejection = playbackCtx && getRemoteRejection(playbackCtx, socket.id);
+    if (remoteRejection) {
+      socket.emit('control-rejected', { message: remoteRejection, reason: 'remote' });
+      socket.emit('sync', stampSync(playbackCtx.videoState));
+      return;
+    }
+    if (playbackCtx && playbackCtx.remote.holder === socket.id) touchRemote(playbackCtx);
+
+    // A pending scheduled start keeps the room paused. The admin starting playback by
+    // hand replaces the schedule, anyone else gets the paused state sent back.
+    const wantsPlay = data.action ? data.action === 'playpause' && data.state === true : data.isPlaying === true;
+    if (wantsPlay && playbackCtx && playbackCtx.schedule.startAt !== null) {
+      if (!isPlaybackAdmin(playbackCtx, socket.id)) {
+        socket.emit('sync', stampSync(playbackCtx.videoState));
+        return;
+      }
+      scheduleChanged = cancelScheduledStart(playbackCtx);
+    }
+
     if (SERVER_MODE) {
       const roomCode = socketRoomMap.get(socket.id);
       if (!roomCode) return;
@@ -2730,45 +6696,26 @@ io.on('connection', (socket) => {
       }
 
       if (data.action) {
-        if (data.action === 'playpause') {
-          consolidateTime(room.videoState);
-          room.videoState.isPlaying = data.state;
-          io.to(roomCode).emit('sync', room.videoState);
-        } else if (data.action === 'skip') {
-          consolidateTime(room.videoState);
-          const direction = data.direction === 'forward' ? 1 : -1;
-          room.videoState.currentTime = Math.max(0, room.videoState.currentTime + direction * (data.seconds || SKIP_SECONDS));
-          io.to(roomCode).emit('sync', room.videoState);
-        } else if (data.action === 'seek') {
-          room.videoState.currentTime = data.time;
-          room.videoState.lastUpdate = Date.now();
-          io.to(roomCode).emit('sync', room.videoState);
-        } else if (data.action === 'selectTrack') {
-          consolidateTime(room.videoState);
-          if (data.type === 'audio') {
-            room.videoState.audioTrack = data.trackIndex;
-          } else if (data.type === 'subtitle') {
-            room.videoState.subtitleTrack = data.trackIndex;
-          }
-          io.to(roomCode).emit('sync', room.videoState);
-        } else if (data.action === 'rate') {
-          consolidateTime(room.videoState);
-          console.log(`[Rate Control] Setting playback rate to ${data.rate} for room ${roomCode}`);
-          room.videoState.playbackRate = data.rate;
-          io.to(roomCode).emit('sync', room.videoState);
-        }
+        bufferingChanged = applyControlAction(playbackCtx, data);
       } else {
         // Direct sync from client (sync-player mode)
-        room.videoState = {
+        if (shouldDropDirectSync(data, room.videoState)) return;
+        const seeked = Math.abs(data.currentTime - projectTime(room.videoState)) >= CONTROL_ECHO_TOLERANCE;
+        // Updated in place, other handlers (and buffering timers) hold references to it
+        Object.assign(room.videoState, {
           isPlaying: data.isPlaying,
           currentTime: data.currentTime,
-          lastUpdate: Date.now(),
-          audioTrack: room.videoState.audioTrack,
-          subtitleTrack: room.videoState.subtitleTrack,
-          playbackRate: room.videoState.playbackRate
-        };
-        io.to(roomCode).emit('sync', room.videoState);
+          lastUpdate: Date.now()
+        });
+        bufferingChanged = data.isPlaying
+          ? holdForBuffering(playbackCtx, { resetReady: seeked })
+          : cancelBufferingBarrier(playbackCtx);
+        bumpVersion(room.videoState);
+        io.to(roomCode).emit('sync', stampSync(room.videoState));
       }
+
+      if (bufferingChanged) broadcastBufferingStatus(playbackCtx);
+      if (scheduleChanged) broadcastScheduledStart(playbackCtx);
       return;
     }
 
@@ -2788,46 +6735,28 @@ io.on('connection', (socket) => {
       console.log(`${colors.yellow}Ignoring client sync event (client_sync_disabled)${colors.reset}`);
       return;
     }
+
     if (data.action) {
-      if (data.action === 'playpause') {
-        consolidateTime(videoState);
-        videoState.isPlaying = data.state;
-        io.emit('sync', videoState);
-      } else if (data.action === 'skip') {
-        consolidateTime(videoState);
-        const direction = data.direction === 'forward' ? 1 : -1;
-        videoState.currentTime = Math.max(0, videoState.currentTime + direction * (data.seconds || SKIP_SECONDS));
-        io.emit('sync', videoState);
-      } else if (data.action === 'seek') {
-        videoState.currentTime = data.time;
-        videoState.lastUpdate = Date.now();
-        io.emit('sync', videoState);
-      } else if (data.action === 'selectTrack') {
-        consolidateTime(videoState);
-        if (data.type === 'audio') {
-          videoState.audioTrack = data.trackIndex;
-        } else if (data.type === 'subtitle') {
-          videoState.subtitleTrack = data.trackIndex;
-        }
-        io.emit('sync', videoState);
-      } else if (data.action === 'rate') {
-        consolidateTime(videoState);
-        videoState.playbackRate = data.rate;
-        console.log(`[Rate Control Legacy] Setting playback rate to ${data.rate}`);
-        io.emit('sync', videoState);
-      }
+      bufferingChanged = applyControlAction(playbackCtx, data);
     } else {
-      videoState = {
+      if (shouldDropDirectSync(data, videoState)) return;
+      const seeked = Math.abs(data.currentTime - projectTime(videoState)) >= CONTROL_ECHO_TOLERANCE;
+      // Updated in place, other handlers (and buffering timers) hold references to it
+      Object.assign(videoState, {
         isPlaying: data.isPlaying,
         currentTime: data.currentTime,
-        lastUpdate: Date.now(),
-        audioTrack: videoState.audioTrack,
-        subtitleTrack: videoState.subtitleTrack,
-        playbackRate: videoState.playbackRate
-      };
-      io.emit('sync', videoState);
+        lastUpdate: Date.now()
+      });
+      bufferingChanged = data.isPlaying
+        ? holdForBuffering(playbackCtx, { resetReady: seeked })
+        : cancelBufferingBarrier(playbackCtx);
+      bumpVersion(videoState);
+      io.emit('sync', stampSync(videoState));
       console.log('Broadcasting sync to all clients:', videoState);
     }
+
+    if (bufferingChanged) broadcastBufferingStatus(playbackCtx);
+    if (scheduleChanged) broadcastScheduledStart(playbackCtx);
   });
 
   // Handle playlist set from admin
@@ -2856,38 +6785,23 @@ io.on('connection', (socket) => {
       targetVideoState = videoState;
     }
 
-    const processedPlaylist = [];
-
-    for (const item of data.playlist) {
-      const videoInfo = { ...item };
-
-      try {
-        let tracks = { audio: [], subtitles: [] };
-        if (!item.isExternal) {
-          tracks = await getTracksForFile(item.filename);
-        }
-        videoInfo.tracks = tracks;
-      } catch (error) {
-        console.error('Error getting track info:', error);
-        videoInfo.tracks = { audio: [], subtitles: [] };
-      }
-
-      if (item.selectedAudioTrack !== undefined) {
-        videoInfo.selectedAudioTrack = item.selectedAudioTrack;
-      }
-      if (item.selectedSubtitleTrack !== undefined) {
-        videoInfo.selectedSubtitleTrack = item.selectedSubtitleTrack;
-      }
-
-      videoInfo.usesHEVC = item.filename.endsWith('.mkv');
-      processedPlaylist.push(videoInfo);
+    // Optional wall-clock start time (ms since epoch, server clock)
+    const startAt = data.startAt ?? null;
+    if (startAt !== null && !isValidStartAt(startAt)) {
+      socket.emit('playlist-set', { success: false, message: 'Scheduled start must be in the future (at most 7 days ahead)' });
+      return;
     }
 
+    // Probed in parallel, the media index limits how many files are opened at once
+    const processedPlaylist = await Promise.all(data.playlist.map(processPlaylistItem));
+
     targetPlaylist.videos = processedPlaylist;
     targetPlaylist.mainVideoIndex = data.mainVideoIndex;
     targetPlaylist.mainVideoStartTime = data.startTime;
     targetPlaylist.currentIndex = 0;
     targetPlaylist.preloadMainVideo = true;
+    targetPlaylist.ended = false;
+    bumpRevision(targetPlaylist);
 
     // Set initial track selections for the first video
     if (processedPlaylist.length > 0) {
@@ -2896,7 +6810,8 @@ io.on('connection', (socket) => {
       targetVideoState.subtitleTrack = firstVideo.selectedSubtitleTrack !== undefined ? firstVideo.selectedSubtitleTrack : -1;
     }
 
-    targetVideoState.currentTime = data.startTime || 0;
+    // An explicit start time wins over the first item's in point
+    targetVideoState.currentTime = data.startTime || getItemStartTime(processedPlaylist[0]);
     targetVideoState.lastUpdate = Date.now();
 
     console.log(`Playlist updated (Room: ${targetRoomCode || 'Legacy'}):`);
@@ -2911,31 +6826,46 @@ io.on('connection', (socket) => {
       io.emit('playlist-update', targetPlaylist);
     }
 
-    // Set initial play state based on autoplay config
-    targetVideoState.isPlaying = VIDEO_AUTOPLAY;
+    // Set initial play state based on autoplay config, or wait for the scheduled start.
+    // A playlist launched by hand takes the room off air
+    const playbackCtx = getPlaybackContext(socket.id);
+    stopChannel(playbackCtx);
+    let bufferingChanged = false;
+    if (startAt !== null) {
+      bufferingChanged = scheduleStart(playbackCtx, startAt);
+    } else {
+      cancelScheduledStart(playbackCtx);
+      targetVideoState.isPlaying = VIDEO_AUTOPLAY;
+      // Hold the start until clients have loaded the first item (wait-for-all mode)
+      bufferingChanged = holdForBuffering(playbackCtx);
+    }
 
+    bumpVersion(targetVideoState);
+    targetPlaylist.advanceVersion = targetVideoState.version;
     if (SERVER_MODE) {
-      io.to(targetRoomCode).emit('sync', targetVideoState);
+      io.to(targetRoomCode).emit('sync', stampSync(targetVideoState));
     } else {
-      io.emit('sync', targetVideoState);
+      io.emit('sync', stampSync(targetVideoState));
     }
+    if (bufferingChanged) broadcastBufferingStatus(playbackCtx);
+    broadcastScheduledStart(playbackCtx);
 
     // Extra pause to make sure if autoplay is off
-    if (!VIDEO_AUTOPLAY) {
+    if (!VIDEO_AUTOPLAY && startAt === null) {
       setTimeout(() => {
         targetVideoState.isPlaying = false;
+        bumpVersion(targetVideoState);
         if (SERVER_MODE) {
-          io.to(targetRoomCode).emit('sync', targetVideoState);
+          io.to(targetRoomCode).emit('sync', stampSync(targetVideoState));
         } else {
-          io.emit('sync', targetVideoState);
+          io.emit('sync', stampSync(targetVideoState));
         }
       }, 500);
     }
 
-    socket.emit('playlist-set', {
-      success: true,
-      message: VIDEO_AUTOPLAY ? 'Playlist launched - playing!' : 'Playlist launched - paused (autoplay disabled)'
-    });
+    let launchMessage = VIDEO_AUTOPLAY ? 'Playlist launched - playing!' : 'Playlist launched - paused (autoplay disabled)';
+    if (startAt !== null) launchMessage = 'Playlist launched - waiting for scheduled start';
+    socket.emit('playlist-set', { success: true, message: launchMessage });
   });
 
   // Get config (for admin)
@@ -2957,91 +6887,124 @@ io.on('connection', (socket) => {
       dataHydration: DATA_HYDRATION,
       serverMode: SERVER_MODE,
       clientControlsDisabled: CLIENT_CONTROLS_DISABLED,
-      subtitleRenderer: SUBTITLE_RENDERER
+      subtitleRenderer: SUBTITLE_RENDERER,
+      driftSeekThreshold: DRIFT_SEEK_THRESHOLD_MS / 1000,
+      waitForAll: WAIT_FOR_ALL,
+      waitQuorum: WAIT_QUORUM,
+      voteEnabled: VOTE_ENABLED,
+      imageDuration: IMAGE_DURATION,
+      imageTransition: IMAGE_TRANSITION,
+      uploadsEnabled: UPLOADS_ENABLED
     });
   });
 
   // Skip to next video in playlist (from admin skip button)
   socket.on('skip-to-next-video', () => {
-    let targetPlaylist, targetVideoState, targetRoomCode;
-
     if (SERVER_MODE) {
-      targetRoomCode = socketRoomMap.get(socket.id);
-      if (!targetRoomCode) return;
-      const room = getRoom(targetRoomCode);
-      if (!room) return;
+      const room = getRoom(socketRoomMap.get(socket.id));
+      if (!room || room.adminSocketId !== socket.id) return;
+    }
 
-      if (room.adminSocketId !== socket.id) return;
+    skipToNextItem(getPlaybackContext(socket.id));
+  });
 
-      targetPlaylist = room.playlist;
-      targetVideoState = room.videoState;
-    } else {
-      targetPlaylist = PLAYLIST;
-      targetVideoState = videoState;
-    }
+  // Move to next video in playlist
+  // A client's current item ended. Clients that reach the end together all report it,
+  // only the first report for the current item and state version advances the playlist.
+  // On air the channel ticker moves on by itself.
+  socket.on('playlist-next', async (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object' || isChannelOnAir(playbackCtx)) return;
+    const { playlist } = playbackCtx;
+    const isCurrentReport = () => !playlist.ended && data.index === playlist.currentIndex &&
+      data.version >= (playlist.advanceVersion || 0);
+
+    if (!isValidInteger(data.version) || !isCurrentReport()) return;
+    if (!canSkipPlayback(playbackCtx, socket.id) && !(await isItemEndConfirmed(playbackCtx, socket.id))) return;
+    // Looking up the length can take a moment, another report may have advanced meanwhile
+    if (!isCurrentReport()) return;
+
+    advancePlaylist(playbackCtx, true);
+  });
+
+  socket.on('set-advance-mode', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
 
-    if (targetPlaylist.videos.length === 0) {
-      console.log('No videos in playlist to skip');
+    if (!ADVANCE_MODES.includes(data?.mode)) {
+      console.log(`${colors.yellow}Invalid advance mode: ${data?.mode}${colors.reset}`);
       return;
     }
+    setAdvanceMode(playbackCtx, data.mode);
+  });
 
-    const nextIndex = (targetPlaylist.currentIndex + 1) % targetPlaylist.videos.length;
-    console.log(`${colors.yellow}Skipping to video ${nextIndex + 1}/${targetPlaylist.videos.length} (Room: ${targetRoomCode || 'Legacy'})${colors.reset}`);
+  // Live playlist editing (from admin), see insertPlaylistItems
+  socket.on('playlist-add', async (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
 
-    targetPlaylist.currentIndex = nextIndex;
+    if (!Array.isArray(data.items) || data.items.length === 0 || !data.items.every(isValidPlaylistItem)) {
+      console.log(`${colors.yellow}Invalid playlist-add items${colors.reset}`);
+      return;
+    }
 
-    // Set initial track selections for the new video
-    const video = targetPlaylist.videos[nextIndex];
-    targetVideoState.audioTrack = video.selectedAudioTrack !== undefined ? video.selectedAudioTrack : 0;
-    targetVideoState.subtitleTrack = video.selectedSubtitleTrack !== undefined ? video.selectedSubtitleTrack : -1;
-    targetVideoState.currentTime = 0;
-    targetVideoState.lastUpdate = Date.now();
+    const items = await Promise.all(data.items.map(processPlaylistItem));
 
-    if (SERVER_MODE) {
-      io.to(targetRoomCode).emit('sync', targetVideoState);
-      io.to(targetRoomCode).emit('playlist-position', nextIndex);
-      io.to(targetRoomCode).emit('playlist-update', targetPlaylist);
-    } else {
-      io.emit('sync', targetVideoState);
-      io.emit('playlist-position', nextIndex);
-      io.emit('playlist-update', targetPlaylist);
+    // Validate against the playlist as it is after probing, edits may have happened meanwhile
+    const { playlist } = playbackCtx;
+    let index = null;
+    if (data.index !== undefined && data.index !== null) {
+      if (!isValidInteger(data.index)) return;
+      index = Math.min(Math.max(parseInt(data.index, 10), 0), playlist.videos.length);
     }
+    insertPlaylistItems(playbackCtx, items, index);
   });
 
-  // Move to next video in playlist
-  socket.on('playlist-next', (nextIndex) => {
-    let targetPlaylist, targetVideoState, targetRoomCode;
-
-    if (SERVER_MODE) {
-      targetRoomCode = socketRoomMap.get(socket.id);
-      if (!targetRoomCode) return;
-      const room = getRoom(targetRoomCode);
-      if (!room) return;
+  socket.on('playlist-remove', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
 
-      targetPlaylist = room.playlist;
-      targetVideoState = room.videoState;
-    } else {
-      targetPlaylist = PLAYLIST;
-      targetVideoState = videoState;
+    if (!validatePlaylistIndex(data.index, playbackCtx.playlist)) {
+      console.log(`${colors.yellow}Invalid playlist-remove index: ${data.index}${colors.reset}`);
+      return;
     }
+    removePlaylistItem(playbackCtx, parseInt(data.index, 10));
+  });
 
-    targetPlaylist.currentIndex = nextIndex;
+  // Edit an item's in/out points, skip segments and image transition
+  // ({ index, startTime, endTime, skipSegments, transition })
+  socket.on('playlist-item-timing', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
 
-    // Set initial track selections for the new video
-    if (targetPlaylist.videos[nextIndex]) {
-      const video = targetPlaylist.videos[nextIndex];
-      targetVideoState.audioTrack = video.selectedAudioTrack !== undefined ? video.selectedAudioTrack : 0;
-      targetVideoState.subtitleTrack = video.selectedSubtitleTrack !== undefined ? video.selectedSubtitleTrack : -1;
+    if (!validatePlaylistIndex(data.index, playbackCtx.playlist)) {
+      console.log(`${colors.yellow}Invalid playlist-item-timing index: ${data.index}${colors.reset}`);
+      return;
     }
-    targetVideoState.lastUpdate = Date.now();
+    const { startTime, endTime, skipSegments, transition } = data;
+    updatePlaylistItem(playbackCtx, parseInt(data.index, 10), { startTime, endTime, skipSegments, transition });
+  });
 
-    if (SERVER_MODE) {
-      io.to(targetRoomCode).emit('sync', targetVideoState);
-      io.to(targetRoomCode).emit('playlist-position', nextIndex);
-    } else {
-      io.emit('sync', targetVideoState);
-      io.emit('playlist-position', nextIndex);
+  socket.on('playlist-move', (data) => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx || !data || typeof data !== 'object') return;
+    const { playlist } = playbackCtx;
+
+    if (!validatePlaylistIndex(data.fromIndex, playlist) || !validatePlaylistIndex(data.toIndex, playlist)) {
+      console.log(`${colors.yellow}Invalid playlist-move indices: ${data.fromIndex} -> ${data.toIndex}${colors.reset}`);
+      return;
     }
+    const from = parseInt(data.fromIndex, 10);
+    const to = parseInt(data.toIndex, 10);
+    if (from === to) return;
+    movePlaylistItem(playbackCtx, from, to);
+  });
+
+  // Full playlist for clients that missed an edit (revision gap)
+  socket.on('get-playlist', () => {
+    const playbackCtx = getPlaybackContext(socket.id);
+    if (!playbackCtx) return;
+    socket.emit('playlist-snapshot', playbackCtx.playlist);
   });
 
   // Jump to specific video in playlist (from admin)
@@ -3054,7 +7017,7 @@ io.on('connection', (socket) => {
 
     const parsedIndex = typeof index === 'string' ? parseInt(index, 10) : index;
 
-    let targetPlaylist, targetVideoState, targetRoomCode;
+    let targetPlaylist, targetRoomCode;
 
     if (SERVER_MODE) {
       targetRoomCode = socketRoomMap.get(socket.id);
@@ -3065,10 +7028,8 @@ io.on('connection', (socket) => {
       if (room.adminSocketId !== socket.id) return;
 
       targetPlaylist = room.playlist;
-      targetVideoState = room.videoState;
     } else {
       targetPlaylist = PLAYLIST;
-      targetVideoState = videoState;
     }
 
     // Validate index is within playlist bounds
@@ -3078,24 +7039,9 @@ io.on('connection', (socket) => {
     }
 
     console.log(`${colors.yellow}Jumping to playlist position ${index} (Room: ${targetRoomCode || 'Legacy'})${colors.reset}`);
-    targetPlaylist.currentIndex = index;
-
-    // Set initial track selections for the new video
-    const video = targetPlaylist.videos[index];
-    targetVideoState.audioTrack = video.selectedAudioTrack !== undefined ? video.selectedAudioTrack : 0;
-    targetVideoState.subtitleTrack = video.selectedSubtitleTrack !== undefined ? video.selectedSubtitleTrack : -1;
-    targetVideoState.currentTime = 0;  // Reset to start of video
-    targetVideoState.lastUpdate = Date.now();
-
-    if (SERVER_MODE) {
-      io.to(targetRoomCode).emit('sync', targetVideoState);
-      io.to(targetRoomCode).emit('playlist-position', index);
-      io.to(targetRoomCode).emit('playlist-update', targetPlaylist);
-    } else {
-      io.emit('sync', targetVideoState);
-      io.emit('playlist-position', index);
-      io.emit('playlist-update', targetPlaylist);
-    }
+    const playbackCtx = getPlaybackContext(socket.id);
+    playItemAt(playbackCtx, parsedIndex);
+    emitToPlayback(playbackCtx, 'playlist-update', targetPlaylist);
   });
 
   // Handle track selection changes from admin
@@ -3149,6 +7095,7 @@ io.on('connection', (socket) => {
       } else if (data.type === 'subtitle') {
         video.selectedSubtitleTrack = data.trackIndex;
       }
+      schedulePlaybackSave();
 
       if (data.videoIndex === targetPlaylist.currentIndex) {
         if (data.type === 'audio') {
@@ -3158,10 +7105,11 @@ io.on('connection', (socket) => {
         }
         targetVideoState.lastUpdate = Date.now();
 
+        bumpVersion(targetVideoState);
         if (SERVER_MODE) {
-          io.to(targetRoomCode).emit('sync', targetVideoState);
+          io.to(targetRoomCode).emit('sync', stampSync(targetVideoState));
         } else {
-          io.emit('sync', targetVideoState);
+          io.emit('sync', stampSync(targetVideoState));
         }
       }
 
@@ -3222,6 +7170,9 @@ io.on('connection', (socket) => {
     } else if (targetPlaylist.currentIndex === toIndex) {
       targetPlaylist.currentIndex = fromIndex;
     }
+    bumpRevision(targetPlaylist);
+    schedulePlaybackSave();
+    followPlaylistEdit(getPlaybackContext(socket.id));
 
     // Broadcast updated playlist to clients
     if (SERVER_MODE) {
@@ -3402,7 +7353,7 @@ io.on('connection', (socket) => {
 
             // 1. Filename match (case-insensitive)
             const clientBasename = clientFile.name.toLowerCase();
-            const serverBasename = playlistVideo.filename.toLowerCase();
+            const serverBasename = path.posix.basename(playlistVideo.filename).toLowerCase();
             if (clientBasename === serverBasename) {
               matchScore++;
             }
@@ -3417,7 +7368,7 @@ io.on('connection', (socket) => {
             // 3. Size match (within ±1.5MB tolerance)
             if (clientFile.size !== undefined) {
               try {
-                const serverFilePath = path.join(ROOT_DIR, 'media', playlistVideo.filename);
+                const serverFilePath = resolveMediaPath(playlistVideo.filename);
                 const serverStats = fs.statSync(serverFilePath);
                 const sizeDiff = Math.abs(clientFile.size - serverStats.size);
                 if (sizeDiff <= SIZE_TOLERANCE) {
@@ -3458,7 +7409,7 @@ io.on('connection', (socket) => {
             }
           } else {
             // Simple filename-only matching (original behavior)
-            if (clientFile.name.toLowerCase() === playlistVideo.filename.toLowerCase()) {
+            if (clientFile.name.toLowerCase() === path.posix.basename(playlistVideo.filename).toLowerCase()) {
               matchedVideos[index] = clientFile.name;
               console.log(`${colors.green}  Auto-matched: ${clientFile.name} -> playlist[${index}]${colors.reset}`);
             }
@@ -3658,6 +7609,7 @@ io.on('connection', (socket) => {
       connectedAt: Date.now()
     });
     console.log(`${colors.cyan}Client registered: ${socket.id} (fingerprint: ${fingerprint})${colors.reset}`);
+    adoptMediaRequests(getPlaybackContext(socket.id), socket.id);
   });
 
   // Admin requests the list of connected clients
@@ -3809,9 +7761,13 @@ io.on('connection', (socket) => {
       }
     } else {
       // Legacy Mode cleanup
+      forgetBufferingClient(getPlaybackContext(socket.id), socket.id);
+      forgetRemoteClient(getPlaybackContext(socket.id), socket.id);
       clientBslStatus.delete(socket.id);
+      clientTelemetry.delete(socket.id);
       verifiedAdminSockets.delete(socket.id);
       connectedClients.delete(socket.id);
+      forgetVoter(getPlaybackContext(socket.id), socket.id);
       if (socket.id === adminSocketId) {
         adminSocketId = null;
       }
@@ -3843,24 +7799,24 @@ function broadcastClientCount(roomCode = null) {
 }
 
 // Global time synchronization interval
+// Advances the timeline and doubles as a heartbeat: while playing, clients get a
+// fresh sync so their drift controller keeps correcting between control events
 const syncInterval = setInterval(() => {
   if (SERVER_MODE) {
     // Update videoState for all active rooms
     rooms.forEach(room => {
       if (room.videoState.isPlaying) {
-        const now = Date.now();
-        const elapsed = (now - room.videoState.lastUpdate) / 1000;
-        room.videoState.currentTime += elapsed;
-        room.videoState.lastUpdate = now;
+        consolidateTime(room.videoState);
+        io.to(room.code).emit('sync', stampSync(room.videoState));
+        schedulePlaybackSave(); // Keep the saved position fresh
       }
     });
   } else {
     // Legacy Mode sync
     if (videoState.isPlaying) {
-      const now = Date.now();
-      const elapsed = (now - videoState.lastUpdate) / 1000;
-      videoState.currentTime += elapsed;
-      videoState.lastUpdate = now;
+      consolidateTime(videoState);
+      io.emit('sync', stampSync(videoState));
+      schedulePlaybackSave(); // Keep the saved position fresh
     }
   }
 }, 5000);
@@ -3869,6 +7825,14 @@ const syncInterval = setInterval(() => {
 function shutdown(signal) {
   console.log(`Received ${signal}. Shutting down server...`);
   clearInterval(syncInterval);
+  clearInterval(healthInterval);
+  clearInterval(itemTimingInterval);
+  clearInterval(channelInterval);
+  clearInterval(watchInterval);
+  if (mediaWatcher) mediaWatcher.close();
+  savePlaybackNow();
+  if (memorySaveTimer) saveMemoryNow();
+  if (mediaIndexSaveTimer) saveMediaIndexNow();
 
   io.close(() => {
     console.log('Socket.io closed');